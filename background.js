@@ -0,0 +1,24 @@
+/**
+ * WhatsOnZwift Workout Exporter Background Worker
+ *
+ * Takes the .zwo files a workout page wants in the Zwift folder and hands
+ * them to the folder page (zwift-folder.html), which writes them. Workout
+ * pages cannot hold the folder themselves: whatever a content script
+ * stores is shared with whatsonzwift.com, see src/zwift-folder.js.
+ */
+
+import { SAVE_MESSAGE, queueZwiftFolderSave } from './src/zwift-folder.js';
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+    if (message?.type !== SAVE_MESSAGE) {
+        return false;
+    }
+    queueZwiftFolderSave(message.files)
+        .then(() => sendResponse({ ok: true }))
+        .catch(error => {
+            console.error("WhatsOnZwift Exporter: Could not queue the files for the Zwift folder:", error);
+            sendResponse({ ok: false, error: error.message });
+        });
+    // Answered once the files are queued
+    return true;
+});
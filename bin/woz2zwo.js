@@ -0,0 +1,193 @@
+#!/usr/bin/env node
+
+/**
+ * woz2zwo - convert saved WhatsOnZwift workout pages without a browser
+ *
+ * Usage: woz2zwo <page.html | directory> [--out <dir>] [--format zwo|json] [--url <source url>]
+ *
+ * Exit codes:
+ *   0  every page was converted completely
+ *   1  bad arguments, or an input or output file could not be read or written
+ *   2  some blocks could not be parsed; the files were written without them
+ *   3  at least one page had no workout that could be parsed; nothing was written for it
+ *   4  at least one page produced a file that failed validation; nothing was written for it
+ */
+
+import { JSDOM } from 'jsdom';
+import { parseArgs } from 'util';
+import { pathToFileURL } from 'url';
+import * as fs from 'fs';
+import * as path from 'path';
+import { parseWorkoutDocument, getSafeFilename } from '../src/page.js';
+import { createWorkoutModel } from '../src/model.js';
+import { getExporters } from '../src/exporters.js';
+
+export const EXIT_OK = 0;
+export const EXIT_USAGE = 1;
+export const EXIT_PARTIAL = 2;
+export const EXIT_NO_WORKOUT = 3;
+export const EXIT_INVALID = 4;
+
+const USAGE = 'Usage: woz2zwo <page.html | directory> [--out <dir>] [--format zwo|json] [--url <source url>]';
+
+/**
+ * Lists the HTML files to convert: the file itself, or every .html/.htm
+ * file directly inside a directory.
+ * @param {string} input - Path given on the command line.
+ * @returns {Array<string>} The file paths, sorted.
+ */
+export function findInputFiles(input) {
+    if (!fs.statSync(input).isDirectory()) {
+        return [input];
+    }
+    return fs.readdirSync(input)
+        .filter(file => /\.html?$/i.test(file))
+        .sort()
+        .map(file => path.join(input, file));
+}
+
+/**
+ * Picks a file path not yet written in this run, adding _2, _3, ... to the
+ * name when pages share a title.
+ * @param {string} base - Path without extension.
+ * @param {string} extension - File extension.
+ * @param {Set<string>} targets - Paths written so far, lower case.
+ * @returns {string} The path to write.
+ */
+export function getFreeTarget(base, extension, targets) {
+    let target = `${base}.${extension}`;
+    for (let n = 2; targets.has(target.toLowerCase()); n++) {
+        target = `${base}_${n}.${extension}`;
+    }
+    return target;
+}
+
+/**
+ * Reads the page's own address from a saved page, so the description points
+ * at whatsonzwift.com rather than at the local file.
+ * @param {Document} doc - The parsed page.
+ * @returns {?string} The canonical URL, or null when the page has none.
+ */
+export function getSavedPageUrl(doc) {
+    const link = doc.querySelector('link[rel="canonical"]')?.getAttribute('href') ||
+        doc.querySelector('meta[property="og:url"]')?.getAttribute('content');
+    return link?.trim() || null;
+}
+
+/**
+ * Converts one saved page.
+ * @param {string} html - The page's HTML.
+ * @param {{format: string, sourceUrl: string}} options - Output format (zwo or json) and the fallback source URL.
+ * @returns {{name: string, content: ?string, skipped: number, segmentCount: number}}
+ *   content is null when no workout could be parsed.
+ */
+export function convertPage(html, options) {
+    const { window } = new JSDOM(html);
+    // The zwo exporter formats its XML with the DOM's own parser and serializer
+    globalThis.DOMParser = window.DOMParser;
+    globalThis.XMLSerializer = window.XMLSerializer;
+
+    const sourceUrl = getSavedPageUrl(window.document) || options.sourceUrl;
+    const { name, sportType, ftp, segments, skipped } = parseWorkoutDocument(window.document);
+    if (!segments.length) {
+        return { name, content: null, skipped, segmentCount: 0 };
+    }
+    const model = createWorkoutModel(name, segments, { sourceUrl, ftp, sportType });
+    const content = getExporters()[options.format].generate(model, {});
+    return { name, content, skipped, segmentCount: segments.length };
+}
+
+/**
+ * Runs the CLI.
+ * @param {Array<string>} argv - Arguments after the script name.
+ * @returns {number} The exit code.
+ */
+export function main(argv) {
+    let args;
+    try {
+        args = parseArgs({
+            args: argv,
+            allowPositionals: true,
+            options: {
+                out: { type: 'string', short: 'o' },
+                format: { type: 'string', short: 'f', default: 'zwo' },
+                url: { type: 'string' },
+                help: { type: 'boolean', short: 'h' }
+            }
+        });
+    } catch (error) {
+        console.error(`woz2zwo: ${error.message}\n${USAGE}`);
+        return EXIT_USAGE;
+    }
+    if (args.values.help) {
+        console.log(USAGE);
+        return EXIT_OK;
+    }
+    const { out, format, url } = args.values;
+    if (args.positionals.length !== 1 || !['zwo', 'json'].includes(format)) {
+        console.error(USAGE);
+        return EXIT_USAGE;
+    }
+
+    let files;
+    try {
+        files = findInputFiles(args.positionals[0]);
+        if (out) fs.mkdirSync(out, { recursive: true });
+    } catch (error) {
+        console.error(`woz2zwo: ${error.message}`);
+        return EXIT_USAGE;
+    }
+    if (!files.length) {
+        console.error(`woz2zwo: No .html files found in ${args.positionals[0]}`);
+        return EXIT_USAGE;
+    }
+
+    let exitCode = EXIT_OK;
+    // Lower case, as Windows and macOS see Tempo.zwo and tempo.zwo as one file
+    const targets = new Set();
+    for (const file of files) {
+        let html;
+        try {
+            html = fs.readFileSync(file, 'utf8');
+        } catch (error) {
+            console.error(`woz2zwo: ${file}: ${error.message}`);
+            return EXIT_USAGE;
+        }
+        let result;
+        try {
+            result = convertPage(html, { format, sourceUrl: url || pathToFileURL(path.resolve(file)).href });
+        } catch (error) {
+            console.error(`woz2zwo: ${file}: ${error.message}`);
+            exitCode = Math.max(exitCode, EXIT_INVALID);
+            continue;
+        }
+        if (!result.content) {
+            console.error(`woz2zwo: ${file}: no workout blocks could be parsed`);
+            exitCode = Math.max(exitCode, EXIT_NO_WORKOUT);
+            continue;
+        }
+
+        const target = getFreeTarget(path.join(out || path.dirname(file), getSafeFilename(result.name)), format, targets);
+        if (path.basename(target) !== `${getSafeFilename(result.name)}.${format}`) {
+            console.error(`woz2zwo: ${file}: another page is also named "${result.name}", saving as ${path.basename(target)}`);
+        }
+        targets.add(target.toLowerCase());
+        try {
+            fs.writeFileSync(target, result.content);
+        } catch (error) {
+            console.error(`woz2zwo: ${target}: ${error.message}`);
+            return EXIT_USAGE;
+        }
+        if (result.skipped) {
+            console.error(`woz2zwo: ${file}: ${result.skipped} block(s) could not be parsed and were left out`);
+            exitCode = Math.max(exitCode, EXIT_PARTIAL);
+        }
+        console.log(`${file} -> ${target} (${result.segmentCount} blocks)`);
+    }
+    return exitCode;
+}
+
+// Run only when called as a script (npm links bin entries, so resolve the link first)
+if (process.argv[1] && import.meta.url === pathToFileURL(fs.realpathSync(process.argv[1])).href) {
+    process.exitCode = main(process.argv.slice(2));
+}
@@ -11,7 +11,13 @@ fi
 # Create a new zip with only the necessary files
 zip -r extension.zip \
     icons/ \
+    src/ \
     content.js \
+    background.js \
+    options.html \
+    editor.html \
+    zwift-folder.html \
+    popup.html \
     manifest.json \
     LICENSE \
     -x "*.git*" "*node_modules*" "tests/*" "README.md" "build_extension.sh"
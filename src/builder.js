@@ -0,0 +1,164 @@
+/**
+ * WhatsOnZwift Workout Exporter - Workout builder
+ *
+ * Composes workouts from scratch on the editor page (editor.html), one
+ * block per line of shorthand such as "10min from 50% to 75%" or
+ * "3x 8min @ 95% / 4min @ 55%". Blocks are read by parseSegmentText, the
+ * same parser the preview uses for hand-fixed page blocks. The draft is
+ * kept in chrome.storage.local so a closed tab loses nothing.
+ */
+
+import { parseSegmentText, summarizeSegment } from './preview.js';
+import { createWorkoutModel } from './model.js';
+
+const DRAFT_KEY = 'builderDraft';
+export const BUILDER_DESCRIPTION = 'Custom workout made with the woz2zwo workout builder';
+
+/**
+ * The draft a new workout starts from.
+ * @returns {{name: string, description: string, sportType: string, blocks: Array<string>}}
+ */
+export function getDefaultDraft() {
+    return {
+        name: 'My Workout',
+        description: '',
+        sportType: 'bike',
+        blocks: ['10min from 40% to 75%', '3x 8min @ 95% / 4min @ 55%', '5min from 60% to 40%']
+    };
+}
+
+export function normalizeDraft(stored = {}) {
+    const defaults = getDefaultDraft();
+    return {
+        name: typeof stored.name === 'string' ? stored.name : defaults.name,
+        description: typeof stored.description === 'string' ? stored.description : defaults.description,
+        sportType: stored.sportType === 'run' ? 'run' : 'bike',
+        blocks: Array.isArray(stored.blocks) ? stored.blocks.map(String) : defaults.blocks
+    };
+}
+
+export async function loadDraft() {
+    if (typeof chrome === 'undefined' || !chrome.storage?.local) {
+        return getDefaultDraft();
+    }
+    const stored = await chrome.storage.local.get({ [DRAFT_KEY]: null });
+    return normalizeDraft(stored[DRAFT_KEY] || undefined);
+}
+
+export async function saveDraft(draft) {
+    await chrome.storage.local.set({ [DRAFT_KEY]: normalizeDraft(draft) });
+}
+
+/**
+ * Reads every block of a draft.
+ * @param {Array<string>} blocks - Block shorthand, one entry per block.
+ * @returns {Array<{text: string, segment: ?Object}>} What each block parsed to; null when it is not understood.
+ */
+export function readBlocks(blocks) {
+    return blocks.map(text => ({ text, segment: text.trim() ? parseSegmentText(text) : null }));
+}
+
+/**
+ * Moves a block up (offset -1) or down (offset 1). Moves past either end are ignored.
+ * @param {Array<string>} blocks - The blocks; not changed.
+ * @param {number} index - Block to move.
+ * @param {number} offset - Places to move it.
+ * @returns {Array<string>} The reordered blocks.
+ */
+export function moveBlock(blocks, index, offset) {
+    const target = index + offset;
+    if (target < 0 || target >= blocks.length) {
+        return [...blocks];
+    }
+    const moved = [...blocks];
+    [moved[index], moved[target]] = [moved[target], moved[index]];
+    return moved;
+}
+
+export function duplicateBlock(blocks, index) {
+    return [...blocks.slice(0, index + 1), blocks[index], ...blocks.slice(index + 1)];
+}
+
+export function removeBlock(blocks, index) {
+    return blocks.filter((_, i) => i !== index);
+}
+
+/**
+ * Builds the workout model from a draft; blocks that are empty or not
+ * understood are left out.
+ * @param {Object} draft - The draft, see getDefaultDraft.
+ * @returns {{model: Object, skipped: number}} The model, and how many non-empty blocks were left out.
+ */
+export function createDraftModel(draft) {
+    const read = readBlocks(draft.blocks);
+    const segments = read.filter(block => block.segment).map(block => block.segment);
+    const skipped = read.filter(block => !block.segment && block.text.trim()).length;
+    const model = createWorkoutModel(draft.name.trim() || 'Custom Workout', segments, {
+        sportType: draft.sportType,
+        description: draft.description.trim() || BUILDER_DESCRIPTION
+    });
+    return { model, skipped };
+}
+
+/**
+ * Renders the block list: a text field per block showing what it parsed
+ * to, with buttons to move, duplicate and delete it.
+ * @param {HTMLElement} container - Element to render into; its content is replaced.
+ * @param {Array<string>} blocks - Block shorthand.
+ * @param {Function} onChange - Called with the new block list after every edit.
+ */
+export function renderBlockList(container, blocks, onChange) {
+    container.replaceChildren();
+    // Edited in place while typing, so every row sees the others' latest text
+    const current = [...blocks];
+    readBlocks(blocks).forEach(({ text, segment }, index) => {
+        const row = document.createElement('div');
+        row.className = 'zwo-builder-block';
+
+        const summary = document.createElement('div');
+        summary.className = 'zwo-builder-summary';
+        const showSummary = parsed => {
+            const { type, duration, power, cadence } = parsed ? summarizeSegment(parsed) : {};
+            summary.textContent = parsed ? [type, duration, power, cadence].filter(value => value !== '–').join(' · ') : 'Not understood, e.g. "10min @ 80%"';
+            row.classList.toggle('zwo-builder-error', !parsed && Boolean(input.value.trim()));
+        };
+
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'zwo-builder-text';
+        input.value = text;
+        input.placeholder = '10min @ 80%';
+        // Typing keeps the list as it is, so the field keeps its focus
+        input.addEventListener('input', () => {
+            showSummary(parseSegmentText(input.value));
+            current[index] = input.value;
+            onChange([...current]);
+        });
+
+        const button = (label, title, action, disabled = false) => {
+            const element = document.createElement('button');
+            element.type = 'button';
+            element.textContent = label;
+            element.title = title;
+            element.disabled = disabled;
+            element.addEventListener('click', () => {
+                const changed = action(current);
+                renderBlockList(container, changed, onChange);
+                onChange(changed);
+            });
+            return element;
+        };
+        const actions = document.createElement('span');
+        actions.className = 'zwo-builder-actions';
+        actions.append(
+            button('↑', 'Move up', list => moveBlock(list, index, -1), index === 0),
+            button('↓', 'Move down', list => moveBlock(list, index, 1), index === blocks.length - 1),
+            button('⧉', 'Duplicate', list => duplicateBlock(list, index)),
+            button('✕', 'Delete', list => removeBlock(list, index))
+        );
+
+        row.append(input, actions, summary);
+        container.appendChild(row);
+        showSummary(segment);
+    });
+}
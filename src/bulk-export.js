@@ -0,0 +1,262 @@
+/**
+ * WhatsOnZwift Workout Exporter - Plan and collection bulk export
+ *
+ * On a plan or collection page, finds every linked workout, fetches and
+ * parses each page with the same parser as the single-workout button, and
+ * downloads everything as one zip with a folder per week, or saves the
+ * .zwo files straight into the Zwift workouts folder.
+ */
+
+import { getSafeFilename, parseWorkoutDocument } from './page.js';
+import { createWorkoutModel } from './model.js';
+import { getExporters } from './exporters.js';
+import { createZip } from './zip.js';
+import { downloadFile, createFormatSelect, getExportOptions } from './ui.js';
+import { getDefaultSettings, loadSettings, getTemplateValues, applySettingsToModel, formatFilename, getCueTemplates } from './settings.js';
+import { addToLibrary } from './library.js';
+import { createDirectSaveControls, sendToZwiftFolder } from './zwift-folder.js';
+import { markInjected } from './page-watcher.js';
+
+/**
+ * Finds links to workout pages directly below the current page,
+ * e.g. /workouts/build-me-up/week-1-day-2 on /workouts/build-me-up.
+ * @param {Document} doc - The plan or collection page.
+ * @param {string} pageUrl - URL of that page.
+ * @returns {Array<{url: string, title: string, week: ?number}>} Unique links in page order.
+ */
+export function findCollectionWorkoutLinks(doc, pageUrl) {
+    const base = new URL(pageUrl);
+    const basePath = base.pathname.replace(/\/+$/, '');
+    // Only below a collection (/workouts/<collection>), never on the /workouts index itself
+    if (basePath.split('/').filter(Boolean).length < 2) {
+        return [];
+    }
+
+    const seen = new Set();
+    const links = [];
+    doc.querySelectorAll('a[href]').forEach(anchor => {
+        let url;
+        try {
+            url = new URL(anchor.getAttribute('href'), base);
+        } catch (error) {
+            return;
+        }
+        const path = url.pathname.replace(/\/+$/, '');
+        if (url.host !== base.host || !path.startsWith(basePath + '/') || path.slice(basePath.length + 1).includes('/')) {
+            return;
+        }
+        if (seen.has(path)) {
+            return;
+        }
+        seen.add(path);
+        links.push({
+            url: url.origin + path,
+            title: (anchor.innerText || anchor.textContent || '').trim(),
+            week: getLinkWeek(anchor, path)
+        });
+    });
+    return links;
+}
+
+/**
+ * Works out which plan week a workout link belongs to: from the link text
+ * or URL ("week-3-day-2"), else from the nearest "Week N" heading before it.
+ * @param {Element} anchor - The workout link.
+ * @param {string} path - The link's URL path.
+ * @returns {?number} The week number, or null outside a plan.
+ */
+function getLinkWeek(anchor, path) {
+    const weekPattern = /week[\s\-_]*(\d+)/i;
+    const direct = (anchor.textContent || '').match(weekPattern) || path.match(weekPattern);
+    if (direct) {
+        return parseInt(direct[1], 10);
+    }
+
+    const headingSelector = 'h1, h2, h3, h4, h5, h6';
+    for (let node = anchor; node && node.parentElement; node = node.parentElement) {
+        for (let sibling = node.previousElementSibling; sibling; sibling = sibling.previousElementSibling) {
+            const headings = sibling.matches(headingSelector) ? [sibling] : Array.from(sibling.querySelectorAll(headingSelector));
+            const heading = headings[headings.length - 1];
+            const match = heading?.textContent?.match(weekPattern);
+            if (match) {
+                return parseInt(match[1], 10);
+            }
+            if (heading) {
+                // The closest heading is not a week heading, so this link is not in a week
+                return null;
+            }
+        }
+    }
+    return null;
+}
+
+export function getCollectionName(doc, pageUrl) {
+    const heading = doc.querySelector('article h1, h1');
+    const slug = new URL(pageUrl).pathname.replace(/\/+$/, '').split('/').pop();
+    return (heading?.innerText || heading?.textContent || '').trim() || slug || 'Workouts';
+}
+
+async function fetchWorkoutPage(url, cueOptions = {}) {
+    const response = await fetch(url, { credentials: 'include' });
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status} for ${url}`);
+    }
+    const doc = new DOMParser().parseFromString(await response.text(), 'text/html');
+    return parseWorkoutDocument(doc, cueOptions);
+}
+
+/**
+ * Exports workouts as files: one folder per week (or none outside a plan)
+ * below a folder named after the plan, numbered filenames in page order.
+ * @param {string} collectionName - Name of the plan or collection, used as the root folder.
+ * @param {Array<{name: string, url: string, week: ?number, segments: Array<Object>}>} workouts - Parsed workouts.
+ * @param {Object} exporter - Exporter from getExporters().
+ * @param {Object} options - Exporter options, e.g. the FTP (used over the FTP read from each workout page).
+ * @param {Array<string>} [problems] - Workouts that fail to export are left out and added to it.
+ * @param {Object} [settings] - The user's settings: author, tags, description and file name pattern.
+ * @param {Array<Object>} [exported] - Collects the model of every workout exported.
+ * @returns {Array<{path: string, content: (string|Uint8Array)}>} The files, paths starting with the root folder.
+ */
+export function buildBulkFiles(collectionName, workouts, exporter, options, problems = [], settings = getDefaultSettings(), exported = []) {
+    const root = getSafeFilename(collectionName);
+    const counters = new Map();
+    const files = [];
+    workouts.forEach(workout => {
+        const folder = workout.week ? `Week_${String(workout.week).padStart(2, '0')}/` : '';
+        const number = (counters.get(folder) || 0) + 1;
+        counters.set(folder, number);
+        try {
+            const baseModel = createWorkoutModel(workout.name, workout.segments, { sourceUrl: workout.url, ftp: options.ftp || workout.ftp, sportType: workout.sportType });
+            const templateValues = getTemplateValues(baseModel);
+            const model = applySettingsToModel(baseModel, settings, templateValues);
+            files.push({
+                path: `${root}/${folder}${String(number).padStart(2, '0')}_${formatFilename(settings.filenamePattern, templateValues)}.${exporter.extension}`,
+                content: exporter.generate(model, options)
+            });
+            exported.push(model);
+        } catch (error) {
+            console.error(`WhatsOnZwift Exporter: Error exporting ${workout.url}:`, error);
+            problems.push(`Skipped ${workout.name}: ${error.message.replace(/\n/g, '; ')}`);
+        }
+    });
+    return files;
+}
+
+/**
+ * Packs exported workouts into a zip laid out as buildBulkFiles does, with
+ * a report of any problems.
+ * @param {string} collectionName - Name of the plan or collection, used as the root folder.
+ * @param {Array<Object>} workouts - Parsed workouts, see buildBulkFiles.
+ * @param {Object} exporter - Exporter from getExporters().
+ * @param {Object} options - Exporter options.
+ * @param {Array<string>} [problems] - Lines for export-report.txt; no report is written when empty.
+ *   Workouts that fail to export are left out and added to it.
+ * @param {Object} [settings] - The user's settings.
+ * @param {Array<Object>} [exported] - Collects the model of every workout written to the zip.
+ * @returns {Uint8Array} The zip file content.
+ */
+export function buildBulkArchive(collectionName, workouts, exporter, options, problems = [], settings = getDefaultSettings(), exported = []) {
+    const files = buildBulkFiles(collectionName, workouts, exporter, options, problems, settings, exported);
+    if (problems.length) {
+        files.push({ path: `${getSafeFilename(collectionName)}/export-report.txt`, content: problems.join('\n') + '\n' });
+    }
+    return createZip(files);
+}
+
+export function addBulkExportButton(links) {
+    if (document.querySelector('.zwo-bulk-export')) {
+        console.log("WhatsOnZwift Exporter: Bulk export already added.");
+        return;
+    }
+
+    const container = document.createElement('div');
+    container.className = 'zwo-bulk-export';
+    Object.assign(container.style, { margin: '10px 0', padding: '8px', border: '1px solid #4CAF50', borderRadius: '4px' });
+
+    const exporters = getExporters();
+    const formatSelect = createFormatSelect(exporters);
+    const downloadButton = document.createElement('button');
+    downloadButton.type = 'button';
+    const directSave = createDirectSaveControls(() => { downloadButton.textContent = buttonLabel(); });
+    const buttonLabel = () => exporters[formatSelect.value].extension === 'zwo' && directSave.isEnabled()
+        ? `Save all ${links.length} workouts to my Zwift folder`
+        : `Download all ${links.length} workouts (.${exporters[formatSelect.value].extension} in .zip)`;
+    downloadButton.textContent = buttonLabel();
+    formatSelect.addEventListener('change', () => { downloadButton.textContent = buttonLabel(); });
+    Object.assign(downloadButton.style, {
+        display: 'block', width: '100%', marginTop: '5px', padding: '8px 16px',
+        backgroundColor: '#4CAF50', color: 'white', border: 'none', borderRadius: '4px',
+        cursor: 'pointer', fontSize: '14px', textAlign: 'center', fontFamily: 'inherit'
+    });
+
+    downloadButton.addEventListener('click', async () => {
+        const exporter = exporters[formatSelect.value];
+        const settings = await loadSettings();
+        downloadButton.disabled = true;
+
+        const workouts = [];
+        const problems = [];
+        try {
+            // One page at a time to go easy on the site
+            for (let i = 0; i < links.length; i++) {
+                const link = links[i];
+                downloadButton.textContent = `Fetching ${i + 1} of ${links.length}...`;
+                try {
+                    const workout = await fetchWorkoutPage(link.url, { templates: getCueTemplates(settings) });
+                    if (!workout.segments.length) {
+                        problems.push(`Skipped ${link.url}: no workout segments found`);
+                        continue;
+                    }
+                    if (workout.skipped) {
+                        problems.push(`${workout.name}: ${workout.skipped} segment(s) could not be parsed and were skipped`);
+                    }
+                    workouts.push({ ...workout, url: link.url, week: link.week });
+                } catch (error) {
+                    console.error(`WhatsOnZwift Exporter: Error fetching ${link.url}:`, error);
+                    problems.push(`Skipped ${link.url}: ${error.message}`);
+                }
+            }
+
+            if (!workouts.length) {
+                alert("None of the linked workouts could be parsed. Nothing to download.");
+                return;
+            }
+            // Asked for once the pages are read: a plan of run workouts needs no FTP for fixed watts
+            const options = getExportOptions(exporter, settings, {}, workouts.some(workout => workout.sportType === 'bike') ? 'bike' : 'run');
+            if (!options) {
+                return;
+            }
+            const collectionName = getCollectionName(document, window.location.href);
+            const exported = [];
+            if (exporter.extension === 'zwo' && directSave.isEnabled()) {
+                downloadButton.textContent = 'Saving...';
+                const files = buildBulkFiles(collectionName, workouts, exporter, options, problems, settings, exported);
+                // Written by the extension's folder page, which reports what it saved
+                await sendToZwiftFolder(files);
+                addToLibrary(exported).catch(error => console.error("WhatsOnZwift Exporter: Could not add the workouts to the library:", error));
+                if (problems.length) {
+                    alert([`Sent ${files.length} of ${links.length} workouts to your Zwift folder.`, ...problems].join('\n'));
+                }
+                return;
+            }
+            const zip = buildBulkArchive(collectionName, workouts, exporter, options, problems, settings, exported);
+            downloadFile(`${getSafeFilename(collectionName)}.zip`, zip, 'application/zip');
+            addToLibrary(exported).catch(error => console.error("WhatsOnZwift Exporter: Could not add the workouts to the library:", error));
+            if (problems.length) {
+                alert(`Exported ${workouts.length} of ${links.length} workouts. ${problems.length} problem(s) are listed in export-report.txt inside the zip.`);
+            }
+        } catch (error) {
+            console.error("WhatsOnZwift Exporter: Error during bulk export:", error);
+            alert(`An error occurred while exporting the workouts. Check the browser console (F12) for details.\n\n${error.message}`);
+        } finally {
+            downloadButton.textContent = buttonLabel();
+            downloadButton.disabled = false;
+        }
+    });
+
+    container.append(formatSelect, directSave.element, downloadButton);
+    markInjected(container);
+    const article = document.querySelector('article') || document.body;
+    article.insertBefore(container, article.firstChild);
+    console.log(`WhatsOnZwift Exporter: Bulk export added for ${links.length} workouts.`);
+}
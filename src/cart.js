@@ -0,0 +1,162 @@
+/**
+ * WhatsOnZwift Workout Exporter - Session cart
+ *
+ * Collects blocks from any number of workout pages, in any tab, into one
+ * session: the warmup of one workout, the main set of another, recovery
+ * blocks in between. The cart lives in chrome.storage.local so every tab
+ * adds to the same list; the toolbar popup reorders it and downloads it
+ * as a single .zwo file named after the workouts it came from.
+ */
+
+import { parseSegmentText } from './preview.js';
+import { moveBlock, removeBlock } from './builder.js';
+import { createWorkoutModel } from './model.js';
+import { describeSegment } from './zwo-import.js';
+
+const CART_KEY = 'cart';
+export const DEFAULT_RECOVERY = '5min @ 50%';
+
+/**
+ * Builds cart items for blocks of a workout.
+ * @param {{name: string, sourceUrl: ?string, sportType: string}} workout - The workout the blocks come from.
+ * @param {Array<Object>} segments - The blocks to add.
+ * @returns {Array<{id: string, name: string, sourceUrl: ?string, sportType: string, segment: Object}>} One item per block.
+ */
+export function createCartItems(workout, segments) {
+    const time = Date.now().toString(36);
+    return segments.map(segment => ({
+        id: `${time}-${Math.random().toString(36).slice(2, 8)}`,
+        name: workout.name,
+        sourceUrl: workout.sourceUrl || null,
+        sportType: workout.sportType || 'bike',
+        segment
+    }));
+}
+
+export async function loadCart() {
+    if (typeof chrome === 'undefined' || !chrome.storage?.local) {
+        return [];
+    }
+    const stored = await chrome.storage.local.get({ [CART_KEY]: [] });
+    return Array.isArray(stored[CART_KEY]) ? stored[CART_KEY] : [];
+}
+
+export async function saveCart(cart) {
+    await chrome.storage.local.set({ [CART_KEY]: cart });
+    return cart;
+}
+
+/**
+ * Appends items to the stored cart. A session is either bike or run, so
+ * blocks of the other sport are refused.
+ * @param {Array<Object>} items - Items from createCartItems().
+ * @returns {Promise<Array<Object>>} The updated cart.
+ */
+export async function addToCart(items) {
+    const cart = await loadCart();
+    const sportType = getCartSportType(cart);
+    if (cart.length && items.some(item => item.sportType !== sportType)) {
+        throw new Error(`The session holds ${sportType} blocks; empty it before adding ${sportType === 'bike' ? 'run' : 'bike'} blocks.`);
+    }
+    return saveCart([...cart, ...items]);
+}
+
+export function getCartSportType(cart) {
+    return cart.find(item => item.name !== null)?.sportType || cart[0]?.sportType || 'bike';
+}
+
+export function moveCartItem(cart, index, offset) {
+    return moveBlock(cart, index, offset);
+}
+
+export function removeCartItem(cart, index) {
+    return removeBlock(cart, index);
+}
+
+/**
+ * Inserts a recovery block after an item.
+ * @param {Array<Object>} cart - The cart; not changed.
+ * @param {number} index - Item to insert after; -1 inserts at the start.
+ * @param {string} [text] - The block in shorthand, e.g. "5min @ 50%".
+ * @returns {?Array<Object>} The updated cart, or null when the text is not understood.
+ */
+export function insertRecovery(cart, index, text = DEFAULT_RECOVERY) {
+    const segment = parseSegmentText(text);
+    if (!segment) {
+        return null;
+    }
+    const [recovery] = createCartItems({ name: null, sourceUrl: null, sportType: getCartSportType(cart) }, [segment]);
+    return [...cart.slice(0, index + 1), recovery, ...cart.slice(index + 1)];
+}
+
+/**
+ * The session's name: the workouts it draws from, in order, e.g.
+ * "Foundation 1 + The Gorby".
+ * @param {Array<Object>} cart - The cart.
+ * @returns {string} The name.
+ */
+export function getCartName(cart) {
+    const names = [...new Set(cart.map(item => item.name).filter(Boolean))];
+    return names.join(' + ') || 'Custom Session';
+}
+
+/**
+ * Builds the workout model for the whole session. Its description lists
+ * the workouts the blocks came from.
+ * @param {Array<Object>} cart - The cart.
+ * @returns {Object} The workout model.
+ */
+export function createCartModel(cart) {
+    const sources = new Map();
+    cart.filter(item => item.name).forEach(item => sources.set(item.name, item.sourceUrl));
+    const description = ['Session combined from:', ...Array.from(sources, ([name, url]) => url ? `- ${name}: ${url}` : `- ${name}`)].join('\n');
+    return createWorkoutModel(getCartName(cart), cart.map(item => item.segment), {
+        sportType: getCartSportType(cart),
+        description: sources.size ? description : null
+    });
+}
+
+/**
+ * Renders the cart as a list, each block with buttons to move it, to
+ * insert a recovery block after it and to remove it.
+ * @param {HTMLElement} container - Element to render into; its content is replaced.
+ * @param {Array<Object>} cart - The cart.
+ * @param {{onChange: Function, getRecovery: Function}} handlers - onChange is called with the updated
+ *   cart; getRecovery returns the recovery block to insert, in shorthand.
+ */
+export function renderCartList(container, cart, handlers) {
+    container.replaceChildren();
+    const button = (label, title, action, disabled = false) => {
+        const element = document.createElement('button');
+        element.type = 'button';
+        element.textContent = label;
+        element.title = title;
+        element.disabled = disabled;
+        element.addEventListener('click', action);
+        return element;
+    };
+    cart.forEach((item, index) => {
+        const row = document.createElement('div');
+        row.className = 'zwo-cart-item';
+        const text = document.createElement('span');
+        text.className = 'zwo-cart-text';
+        text.textContent = `${describeSegment(item.segment)} · ${item.name || 'Recovery'}`;
+        const actions = document.createElement('span');
+        actions.className = 'zwo-cart-actions';
+        actions.append(
+            button('↑', 'Move up', () => handlers.onChange(moveCartItem(cart, index, -1)), index === 0),
+            button('↓', 'Move down', () => handlers.onChange(moveCartItem(cart, index, 1)), index === cart.length - 1),
+            button('+', 'Insert a recovery block after this one', () => {
+                const updated = insertRecovery(cart, index, handlers.getRecovery());
+                if (!updated) {
+                    alert('Could not understand the recovery block. Use e.g. "5min @ 50%".');
+                    return;
+                }
+                handlers.onChange(updated);
+            }),
+            button('✕', 'Remove', () => handlers.onChange(removeCartItem(cart, index)))
+        );
+        row.append(text, actions);
+        container.appendChild(row);
+    });
+}
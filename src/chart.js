@@ -0,0 +1,105 @@
+/**
+ * WhatsOnZwift Workout Exporter - Power profile chart
+ *
+ * Draws the parsed workout as an SVG bar graph, power over time in Zwift
+ * zone colors, so it can be checked against the site's own graph before
+ * downloading.
+ */
+
+import { formatDuration, expandSegmentSteps } from './parser.js';
+
+/**
+ * Zwift zone color for a power target.
+ * @param {number} power - Power as a fraction of FTP.
+ * @returns {string} CSS color.
+ */
+export function getZoneColor(power) {
+    const zones = [
+        [0.60, '#7f7f7f'], // Z1 recovery
+        [0.76, '#338cff'], // Z2 endurance
+        [0.90, '#59bf59'], // Z3 tempo
+        [1.05, '#ffcc3f'], // Z4 threshold
+        [1.19, '#ff6639'], // Z5 VO2 max
+        [Infinity, '#ff330c'] // Z6 anaerobic
+    ];
+    return zones.find(([limit]) => power < limit - 1e-9)[1];
+}
+
+/**
+ * Builds the chart for a segment list.
+ * @param {Array<Object>} segments - Segments as returned by parseSegment.
+ * @param {{width?: number, height?: number}} [options] - Drawing size in SVG units.
+ * @returns {SVGSVGElement} The chart.
+ */
+export function renderPowerChart(segments, options = {}) {
+    const SVG_NS = 'http://www.w3.org/2000/svg';
+    const width = options.width || 600;
+    const height = options.height || 150;
+    const steps = expandSegmentSteps(segments);
+    const workoutDuration = steps.reduce((total, step) => total + step.duration, 0);
+    const totalDuration = workoutDuration || 1;
+    const maxPower = Math.max(1.2, ...steps.map(step => Math.max(step.powerStart, step.powerEnd))) * 1.05;
+    const x = seconds => (seconds / totalDuration * width).toFixed(2);
+    const y = power => (height - power / maxPower * height).toFixed(2);
+
+    const svg = document.createElementNS(SVG_NS, 'svg');
+    svg.setAttribute('class', 'zwo-power-chart');
+    svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+    svg.setAttribute('preserveAspectRatio', 'none');
+    svg.setAttribute('role', 'img');
+    svg.setAttribute('aria-label', 'Power profile of the exported workout');
+
+    const addPolygon = (startTime, endTime, powerStart, powerEnd, fill, tooltip) => {
+        const polygon = document.createElementNS(SVG_NS, 'polygon');
+        polygon.setAttribute('points', `${x(startTime)},${height} ${x(startTime)},${y(powerStart)} ${x(endTime)},${y(powerEnd)} ${x(endTime)},${height}`);
+        polygon.setAttribute('fill', fill);
+        const title = document.createElementNS(SVG_NS, 'title');
+        title.textContent = tooltip;
+        polygon.appendChild(title);
+        svg.appendChild(polygon);
+        return polygon;
+    };
+
+    let elapsed = 0;
+    steps.forEach(step => {
+        const percent = power => `${Math.round(power * 100)}%`;
+        if (step.freeRide) {
+            const polygon = addPolygon(elapsed, elapsed + step.duration, step.powerStart, step.powerEnd, '#bdbdbd', `${formatDuration(step.duration)} free ride`);
+            polygon.setAttribute('fill-opacity', '0.6');
+        } else if (step.maxEffort) {
+            addPolygon(elapsed, elapsed + step.duration, step.powerStart, step.powerEnd, getZoneColor(step.powerStart), `${formatDuration(step.duration)} max effort`);
+        } else if (step.powerStart === step.powerEnd) {
+            addPolygon(elapsed, elapsed + step.duration, step.powerStart, step.powerEnd, getZoneColor(step.powerStart), `${formatDuration(step.duration)} @ ${percent(step.powerStart)}`);
+        } else {
+            // Ramps are cut into slices so each slice gets the color of its own zone
+            const tooltip = `${formatDuration(step.duration)} from ${percent(step.powerStart)} to ${percent(step.powerEnd)}`;
+            const slices = Math.max(1, Math.min(20, Math.round(step.duration / 30)));
+            for (let i = 0; i < slices; i++) {
+                const from = step.powerStart + (step.powerEnd - step.powerStart) * i / slices;
+                const to = step.powerStart + (step.powerEnd - step.powerStart) * (i + 1) / slices;
+                addPolygon(elapsed + step.duration * i / slices, elapsed + step.duration * (i + 1) / slices, from, to, getZoneColor((from + to) / 2), tooltip);
+            }
+        }
+        elapsed += step.duration;
+    });
+
+    const ftpLine = document.createElementNS(SVG_NS, 'line');
+    ftpLine.setAttribute('x1', '0');
+    ftpLine.setAttribute('x2', String(width));
+    ftpLine.setAttribute('y1', y(1));
+    ftpLine.setAttribute('y2', y(1));
+    ftpLine.setAttribute('stroke', '#333');
+    ftpLine.setAttribute('stroke-dasharray', '4 4');
+    ftpLine.setAttribute('stroke-width', '1');
+    svg.appendChild(ftpLine);
+
+    const label = document.createElementNS(SVG_NS, 'text');
+    label.setAttribute('x', '4');
+    label.setAttribute('y', String(Number(y(1)) - 4));
+    label.setAttribute('font-size', '11');
+    label.setAttribute('fill', '#333');
+    label.textContent = `FTP · ${formatDuration(Math.round(workoutDuration))} total`;
+    svg.appendChild(label);
+
+    return svg;
+}
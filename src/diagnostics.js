@@ -0,0 +1,113 @@
+/**
+ * WhatsOnZwift Workout Exporter - Problem reports
+ *
+ * When the site changes and workouts stop exporting correctly, the
+ * "Report a problem" button collects what is needed to fix the parser:
+ * which selectors still match, what was read from every block, and a
+ * trimmed copy of the workout markup without links, form values or
+ * anything the exporter added itself. The user copies it into an issue.
+ */
+
+import { getWorkoutName, getWorkoutSportType, getPageFtp, getPageThresholdPace, findWorkoutList, findWorkoutBlocks, parsePageBlocks } from './page.js';
+import { checkSelectors } from './selectors.js';
+import { INJECTED_ATTRIBUTE } from './page-watcher.js';
+
+export const ISSUES_URL = 'https://github.com/benngarcia/woz-to-zwo/issues/new';
+const SNIPPET_ATTRIBUTES = new Set(['class', 'name', 'title', 'data-original-title', 'data-value', 'data-unit', 'style']);
+
+/**
+ * Copies markup for a report: scripts, embedded content and the
+ * exporter's own elements are dropped, and only the attributes the parser
+ * reads are kept (no links, ids or form values).
+ * @param {Element} element - Element to copy.
+ * @param {number} [maxLength] - Longest snippet returned, in characters.
+ * @returns {string} The sanitized HTML.
+ */
+export function sanitizeSnippet(element, maxLength = 20000) {
+    const copy = element.cloneNode(true);
+    copy.querySelectorAll(`script, style, noscript, iframe, svg, img, [${INJECTED_ATTRIBUTE}]`).forEach(node => node.remove());
+    [copy, ...copy.querySelectorAll('*')].forEach(node => {
+        Array.from(node.attributes).forEach(attribute => {
+            if (!SNIPPET_ATTRIBUTES.has(attribute.name)) node.removeAttribute(attribute.name);
+        });
+    });
+    const html = copy.outerHTML.replace(/\n\s*\n/g, '\n');
+    return html.length > maxLength ? `${html.slice(0, maxLength)}\n<!-- truncated -->` : html;
+}
+
+/**
+ * Collects a problem report for a workout page.
+ * @param {Document} [doc] - The workout page.
+ * @param {{version: ?string, date: Date}} [details] - Extension version and report date.
+ * @returns {Object} The report, ready for JSON.
+ */
+export function buildDiagnostics(doc = document, { version = null, date = new Date() } = {}) {
+    const location = doc.defaultView?.location;
+    const blocks = parsePageBlocks(findWorkoutBlocks(doc), { thresholdPace: getPageThresholdPace(doc) });
+    const snippetRoot = findWorkoutList(doc) || doc.querySelector('article') || doc.body;
+    return {
+        report: 'woz2zwo-diagnostics',
+        version,
+        date: date.toISOString(),
+        // Without the query string, which may carry session details
+        page: location ? location.origin + location.pathname : null,
+        userAgent: doc.defaultView?.navigator?.userAgent || null,
+        selectors: checkSelectors(doc),
+        workout: {
+            name: getWorkoutName(doc),
+            sportType: getWorkoutSportType(doc),
+            ftp: getPageFtp(doc),
+            blocks: blocks.map(({ text, segment, error }) => ({ text, segment, error }))
+        },
+        snippet: snippetRoot ? sanitizeSnippet(snippetRoot) : null
+    };
+}
+
+/**
+ * Shows a report with buttons to copy it and to open a new issue.
+ * @param {HTMLElement} container - Element to render into; its content is replaced.
+ * @param {Object} report - Report from buildDiagnostics().
+ */
+export function renderDiagnosticsPanel(container, report) {
+    const heading = document.createElement('div');
+    heading.textContent = 'Copy this report into a new issue, together with what went wrong. It holds no personal details apart from your FTP.';
+    Object.assign(heading.style, { marginBottom: '4px' });
+
+    const text = document.createElement('textarea');
+    text.className = 'zwo-report-text';
+    text.readOnly = true;
+    text.value = JSON.stringify(report, null, 2);
+    Object.assign(text.style, { display: 'block', width: 'calc(100% - 8px)', height: '160px', fontFamily: 'monospace', fontSize: '11px' });
+
+    const copyButton = document.createElement('button');
+    copyButton.type = 'button';
+    copyButton.textContent = 'Copy report';
+    copyButton.addEventListener('click', async () => {
+        try {
+            await navigator.clipboard.writeText(text.value);
+        } catch (error) {
+            // Older browsers, or the page denied clipboard access
+            text.select();
+            document.execCommand('copy');
+        }
+        copyButton.textContent = 'Copied';
+    });
+    const issueLink = document.createElement('a');
+    issueLink.href = ISSUES_URL;
+    issueLink.target = '_blank';
+    issueLink.textContent = 'Open a new issue';
+    const closeButton = document.createElement('button');
+    closeButton.type = 'button';
+    closeButton.textContent = 'Close';
+    closeButton.addEventListener('click', () => container.replaceChildren());
+
+    const actions = document.createElement('div');
+    actions.style.marginTop = '4px';
+    actions.append(copyButton, ' ', issueLink, ' ', closeButton);
+
+    const panel = document.createElement('div');
+    panel.className = 'zwo-report-panel';
+    Object.assign(panel.style, { margin: '5px 0', padding: '6px 8px', fontSize: '13px', border: '1px solid #ccc', borderRadius: '4px' });
+    panel.append(heading, text, actions);
+    container.replaceChildren(panel);
+}
@@ -0,0 +1,120 @@
+/**
+ * WhatsOnZwift Workout Exporter - Workout builder page
+ *
+ * The editor page (editor.html): edits the draft kept by builder.js, shows
+ * the chart and totals as you type and downloads the workout in any
+ * format, with the same settings as an export from a page.
+ */
+
+import { loadDraft, saveDraft, getDefaultDraft, renderBlockList, createDraftModel } from './builder.js';
+import { renderPowerChart } from './chart.js';
+import { formatDuration } from './parser.js';
+import { computeWorkoutMetrics } from './metrics.js';
+import { getExporters } from './exporters.js';
+import { downloadFile, createFormatSelect, getExportOptions } from './ui.js';
+import { loadSettings, getTemplateValues, applySettingsToModel, formatFilename } from './settings.js';
+import { addToLibrary } from './library.js';
+
+const exporters = getExporters();
+let draft = getDefaultDraft();
+let formatSelect = null;
+
+function showFormats() {
+    // Run workouts only offer the formats that can hold them
+    const previous = formatSelect?.value;
+    formatSelect = createFormatSelect(exporters, draft.sportType);
+    Object.assign(formatSelect.style, { display: 'inline-block', width: 'auto', marginTop: '0' });
+    if (previous && Array.from(formatSelect.options).some(option => option.value === previous)) {
+        formatSelect.value = previous;
+    }
+    document.getElementById('format').replaceChildren(formatSelect);
+}
+
+function showWorkout() {
+    const { model, skipped } = createDraftModel(draft);
+    const chart = renderPowerChart(model.segments);
+    document.getElementById('chart').replaceChildren(chart);
+    const { duration, tss } = computeWorkoutMetrics(model.segments);
+    const totals = [`${model.segments.length} block(s)`, formatDuration(duration)];
+    if (draft.sportType === 'bike') totals.push(`TSS ${Math.round(tss)}`);
+    if (skipped) totals.push(`${skipped} block(s) not understood and left out`);
+    document.getElementById('totals').textContent = totals.join(' · ');
+}
+
+function update(changes) {
+    draft = { ...draft, ...changes };
+    showWorkout();
+    saveDraft(draft).catch(error => console.error("WhatsOnZwift Exporter: Could not save the builder draft:", error));
+}
+
+async function exportWorkout() {
+    const exporter = exporters[formatSelect.value];
+    const { model: baseModel, skipped } = createDraftModel(draft);
+    if (!baseModel.segments.length) {
+        alert("Add at least one block the builder understands before downloading.");
+        return;
+    }
+    if (skipped && !confirm(`${skipped} block(s) are not understood and will be left out. Download anyway?`)) {
+        return;
+    }
+    try {
+        const settings = await loadSettings();
+        const options = getExportOptions(exporter, settings, {}, draft.sportType);
+        if (!options) {
+            return;
+        }
+        const withFtp = { ...baseModel, ftp: options.ftp || null };
+        const templateValues = getTemplateValues(withFtp);
+        // The description typed here wins over the template, which describes exports from the site
+        const model = { ...applySettingsToModel(withFtp, settings, templateValues), description: withFtp.description };
+        downloadFile(`${formatFilename(settings.filenamePattern, templateValues)}.${exporter.extension}`, exporter.generate(model, options), exporter.mimeType);
+        addToLibrary([model]).catch(error => console.error("WhatsOnZwift Exporter: Could not add the workout to the library:", error));
+    } catch (error) {
+        console.error(`WhatsOnZwift Exporter: Error exporting ${draft.name} from the builder:`, error);
+        alert(`Could not create the workout file. Nothing was saved.\n\n${error.message}`);
+    }
+}
+
+async function initEditor() {
+    draft = await loadDraft();
+    const name = document.getElementById('name');
+    const description = document.getElementById('description');
+    const sportType = document.getElementById('sportType');
+    const blocks = document.getElementById('blocks');
+    const onBlocksChange = changed => update({ blocks: changed });
+    const fillPage = () => {
+        name.value = draft.name;
+        description.value = draft.description;
+        sportType.value = draft.sportType;
+        renderBlockList(blocks, draft.blocks, onBlocksChange);
+    };
+    fillPage();
+    name.addEventListener('input', () => update({ name: name.value }));
+    description.addEventListener('input', () => update({ description: description.value }));
+    sportType.addEventListener('change', () => {
+        update({ sportType: sportType.value });
+        showFormats();
+    });
+    document.getElementById('addBlock').addEventListener('click', () => {
+        const changed = [...draft.blocks, ''];
+        renderBlockList(blocks, changed, onBlocksChange);
+        update({ blocks: changed });
+        blocks.lastElementChild.querySelector('input').focus();
+    });
+    document.getElementById('export').addEventListener('click', exportWorkout);
+    document.getElementById('reset').addEventListener('click', () => {
+        if (!confirm("Discard this workout and start a new one?")) {
+            return;
+        }
+        update(getDefaultDraft());
+        fillPage();
+        showFormats();
+    });
+    showFormats();
+    showWorkout();
+}
+
+initEditor().catch(error => {
+    console.error("WhatsOnZwift Exporter: Could not load the builder:", error);
+    document.getElementById('totals').textContent = `Could not load the builder: ${error.message}`;
+});
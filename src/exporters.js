@@ -0,0 +1,366 @@
+/**
+ * WhatsOnZwift Workout Exporter - Output formats
+ *
+ * Every exporter takes the workout model built by createWorkoutModel and
+ * returns the file content for one format. The page integration picks an
+ * exporter from getExporters() based on the format picker.
+ */
+
+import { expandRepeat, classifySegmentTag, expandSegmentSteps } from './parser.js';
+import { generateZWO } from './zwo.js';
+import { validateZWO } from './zwo-validator.js';
+import { getWorkoutDescription, generateWorkoutJSON } from './model.js';
+import { computeWorkoutMetrics, formatMetricsSummary, formatTimeInZones } from './metrics.js';
+import { roundToWatts } from './transforms.js';
+
+export function getExporters() {
+    return {
+        zwo: {
+            label: 'Zwift (.zwo)',
+            extension: 'zwo',
+            mimeType: 'application/xml',
+            requiresFtp: false,
+            sportTypes: ['bike', 'run'],
+            generate: (model, options) => {
+                const fixedWatts = getFixedWattsModel(model, options);
+                const workout = fixedWatts || model;
+                const descriptionLines = [];
+                if (fixedWatts) {
+                    descriptionLines.push(describeFixedWatts(fixedWatts.ftp, options.wattsRounding));
+                }
+                // TSS, IF and the zones are worked out from power, so runs leave them out
+                if (options.includeMetrics && workout.sportType === 'bike') {
+                    const metrics = computeWorkoutMetrics(workout.segments, workout.ftp);
+                    descriptionLines.push(formatMetricsSummary(metrics), `Time in zone: ${formatTimeInZones(metrics)}`);
+                }
+                // Fixed watts need enough decimals to give back the exact watts, and the FTP they were worked out from
+                const zwoContent = generateZWO(workout, {
+                    descriptionLines,
+                    powerPrecision: fixedWatts ? Math.max(options.powerPrecision ?? 2, 4) : options.powerPrecision,
+                    ftpOverride: fixedWatts?.ftp
+                });
+                const problems = validateZWO(zwoContent);
+                if (problems.length) {
+                    throw new Error(`The .zwo file would not be valid:\n${problems.join('\n')}`);
+                }
+                return new XMLSerializer().serializeToString(new DOMParser().parseFromString(zwoContent, "application/xml"));
+            }
+        },
+        erg: {
+            label: 'TrainerRoad ERG (.erg, watts)',
+            extension: 'erg',
+            mimeType: 'text/plain',
+            requiresFtp: true,
+            sportTypes: ['bike'],
+            generate: (model, options) => generateERG(getFixedWattsModel(model, options) || model)
+        },
+        mrc: {
+            label: 'TrainerRoad MRC (.mrc, % FTP)',
+            extension: 'mrc',
+            mimeType: 'text/plain',
+            requiresFtp: false,
+            sportTypes: ['bike'],
+            generate: (model, options) => generateMRC(getFixedWattsModel(model, options) || model)
+        },
+        fit: {
+            label: 'Garmin / TrainingPeaks (.fit)',
+            extension: 'fit',
+            mimeType: 'application/octet-stream',
+            requiresFtp: false,
+            sportTypes: ['bike'],
+            generate: (model, options) => {
+                const fixedWatts = getFixedWattsModel(model, options);
+                return generateFIT(fixedWatts || model, { watts: Boolean(fixedWatts) });
+            }
+        },
+        json: {
+            label: 'Workout data (.json)',
+            extension: 'json',
+            mimeType: 'application/json',
+            requiresFtp: false,
+            sportTypes: ['bike', 'run'],
+            generate: (model, options) => generateWorkoutJSON(getFixedWattsModel(model, options) || model)
+        }
+    };
+}
+
+/**
+ * Fixed-watts mode (options.absoluteWatts): rounds a bike workout's power
+ * targets to whole watts, or to options.wattsRounding watts, at the export
+ * FTP, so every format describes the same watts whoever rides it.
+ * @param {Object} model - The workout model.
+ * @param {{absoluteWatts?: boolean, ftp?: number, wattsRounding?: number}} [options] - Exporter options.
+ * @returns {?Object} The model with rounded targets and the FTP used, or null when the mode is off,
+ *   the workout is a run or no FTP is known.
+ */
+export function getFixedWattsModel(model, options = {}) {
+    const ftp = options.ftp || model.ftp;
+    if (!options.absoluteWatts || model.sportType !== 'bike' || !(ftp > 0)) {
+        return null;
+    }
+    return { ...model, ftp, segments: roundToWatts(model.segments, ftp, options.wattsRounding || 1) };
+}
+
+function describeFixedWatts(ftp, step = 1) {
+    return `Fixed watts for an FTP of ${ftp} W${step > 1 ? `, rounded to ${step} W` : ''}.`;
+}
+
+/**
+ * Builds a TrainerRoad-style course file. ERG files carry absolute watts
+ * (using the model's FTP), MRC files carry percent of FTP.
+ * @param {Object} model - The workout model.
+ * @param {('watts'|'percent')} units - Output units.
+ * @returns {string} The course file content.
+ */
+function generateCourseFile(model, units) {
+    const useWatts = units === 'watts';
+    assertBikeWorkout(model, useWatts ? 'ERG' : 'MRC');
+    if (useWatts && !(model.ftp > 0)) {
+        throw new Error("An FTP is required to export absolute watts.");
+    }
+    const toTarget = power => useWatts ? Math.round(power * model.ftp) : Math.round(power * 100);
+
+    const lines = [
+        '[COURSE HEADER]',
+        'VERSION = 2',
+        'UNITS = ENGLISH',
+        `DESCRIPTION = ${getWorkoutDescription(model).replace(/\s*\n\s*/g, ' ')}`,
+        `FILE NAME = ${model.name}`
+    ];
+    if (useWatts) {
+        lines.push(`FTP = ${model.ftp}`);
+    }
+    lines.push(useWatts ? 'MINUTES WATTS' : 'MINUTES PERCENT');
+    lines.push('[END COURSE HEADER]');
+    lines.push('[COURSE DATA]');
+
+    let elapsed = 0;
+    expandSegmentSteps(model.segments).forEach(step => {
+        lines.push(`${(elapsed / 60).toFixed(2)}\t${toTarget(step.powerStart)}`);
+        elapsed += step.duration;
+        lines.push(`${(elapsed / 60).toFixed(2)}\t${toTarget(step.powerEnd)}`);
+    });
+
+    lines.push('[END COURSE DATA]');
+    // Windows line endings, as written by TrainerRoad and ERGdb.
+    return lines.join('\r\n') + '\r\n';
+}
+
+function assertBikeWorkout(model, formatName) {
+    // Trainer formats have power targets only, a run's pace targets would turn into nonsense watts
+    if (model.sportType !== 'bike') {
+        throw new Error(`${formatName} files can only hold bike workouts, this is a ${model.sportType} workout.`);
+    }
+}
+
+export function generateERG(model) {
+    return generateCourseFile(model, 'watts');
+}
+
+export function generateMRC(model) {
+    return generateCourseFile(model, 'percent');
+}
+
+/**
+ * CRC-16 as defined by the FIT protocol.
+ * @param {ArrayLike<number>} bytes - Bytes to checksum.
+ * @param {number} [crc=0] - Running checksum to continue from.
+ * @returns {number} The 16-bit checksum.
+ */
+export function fitCrc16(bytes, crc = 0) {
+    const table = [
+        0x0000, 0xCC01, 0xD801, 0x1400, 0xF001, 0x3C00, 0x2800, 0xE401,
+        0xA001, 0x6C00, 0x7800, 0xB401, 0x5000, 0x9C01, 0x8801, 0x4400
+    ];
+    for (let i = 0; i < bytes.length; i++) {
+        const byte = bytes[i];
+        let tmp = table[crc & 0xF];
+        crc = (crc >> 4) & 0x0FFF;
+        crc = crc ^ tmp ^ table[byte & 0xF];
+        tmp = table[crc & 0xF];
+        crc = (crc >> 4) & 0x0FFF;
+        crc = crc ^ tmp ^ table[(byte >> 4) & 0xF];
+    }
+    return crc;
+}
+
+/**
+ * Encodes the workout as a binary FIT workout file (file_id, workout and
+ * workout_step messages). Power targets are written as percent of FTP so the
+ * head unit applies the athlete's own FTP, or with options.watts as watts
+ * at the model's FTP. FIT steps cannot ramp, so ramps become a power range
+ * between their start and end values, and cadence targets are dropped.
+ * @param {Object} model - The workout model.
+ * @param {{watts?: boolean}} [options] - Write absolute watts instead of percent of FTP.
+ * @returns {Uint8Array} The FIT file content.
+ */
+export function generateFIT(model, options = {}) {
+    assertBikeWorkout(model, 'FIT');
+    const { segments } = model;
+    const FIT_EPOCH_OFFSET = 631065600; // 1989-12-31T00:00:00Z in Unix seconds
+    const UINT32_INVALID = 0xFFFFFFFF;
+    const ENUM_INVALID = 0xFF;
+    const Intensity = { active: 0, rest: 1, warmup: 2, cooldown: 3 };
+    const TargetType = { power: 4, open: 2 };
+    const DurationType = { time: 0, repeatUntilStepsComplete: 6 };
+
+    const steps = [];
+    // FIT custom power targets: up to 1000 is percent of FTP, above that watts plus 1000
+    const powerTarget = power => options.watts ? Math.round(power * model.ftp) + 1000 : Math.round(power * 100);
+    const powerStep = (duration, low, high, intensity) => ({
+        durationType: DurationType.time,
+        durationValue: duration * 1000,
+        targetType: TargetType.power,
+        targetValue: 0,
+        low: powerTarget(Math.min(low, high)),
+        high: powerTarget(Math.max(low, high)),
+        intensity
+    });
+    const openStep = (duration, intensity) => ({
+        durationType: DurationType.time,
+        durationValue: duration * 1000,
+        targetType: TargetType.open,
+        targetValue: 0,
+        low: UINT32_INVALID,
+        high: UINT32_INVALID,
+        intensity
+    });
+
+    segments.forEach((segment, index) => {
+        const tagName = classifySegmentTag(segment, index, segments.length);
+        let intensity = Intensity.active;
+        if (tagName === 'Warmup') intensity = Intensity.warmup;
+        else if (tagName === 'Cooldown') intensity = Intensity.cooldown;
+
+        switch (segment.type) {
+            case 'Ramp':
+                steps.push(powerStep(segment.duration, segment.powerLow, segment.powerHigh, intensity));
+                break;
+            case 'SteadyState':
+                if (segment.powerLow !== undefined && segment.powerHigh !== undefined) {
+                    steps.push(powerStep(segment.duration, segment.powerLow, segment.powerHigh, intensity));
+                } else {
+                    steps.push(powerStep(segment.duration, segment.power, segment.power, intensity));
+                }
+                break;
+            case 'IntervalsT': {
+                const firstStepIndex = steps.length;
+                steps.push(powerStep(segment.onDuration, segment.onPower, segment.onPower, Intensity.active));
+                steps.push(powerStep(segment.offDuration, segment.offPower, segment.offPower, Intensity.rest));
+                steps.push({
+                    durationType: DurationType.repeatUntilStepsComplete,
+                    durationValue: firstStepIndex,
+                    targetType: ENUM_INVALID,
+                    targetValue: segment.repeat,
+                    low: UINT32_INVALID,
+                    high: UINT32_INVALID,
+                    intensity: ENUM_INVALID
+                });
+                break;
+            }
+            case 'Repeat': {
+                // One pass of the steps (nested repeats unrolled), then a step that jumps back to the first
+                const firstStepIndex = steps.length;
+                expandRepeat({ ...segment, repeat: 1 }).forEach(step => {
+                    if (step.type === 'MaxEffort') {
+                        steps.push(openStep(step.duration, Intensity.active));
+                    } else if (step.type === 'Ramp') {
+                        steps.push(powerStep(step.duration, step.powerLow, step.powerHigh, Intensity.active));
+                    } else {
+                        steps.push(powerStep(step.duration, step.power, step.power, Intensity.active));
+                    }
+                });
+                steps.push({
+                    durationType: DurationType.repeatUntilStepsComplete,
+                    durationValue: firstStepIndex,
+                    targetType: ENUM_INVALID,
+                    targetValue: segment.repeat,
+                    low: UINT32_INVALID,
+                    high: UINT32_INVALID,
+                    intensity: ENUM_INVALID
+                });
+                break;
+            }
+            case 'FreeRide':
+            case 'MaxEffort':
+                // No target: ridden by feel, or as hard as possible
+                steps.push(openStep(segment.duration, intensity));
+                break;
+            default:
+                console.warn("Unhandled segment type for FIT generation:", segment.type);
+        }
+    });
+
+    const data = [];
+    const writeUint8 = value => data.push(value & 0xFF);
+    const writeUint16 = value => { writeUint8(value); writeUint8(value >>> 8); };
+    const writeUint32 = value => { writeUint16(value & 0xFFFF); writeUint16(value >>> 16); };
+    const writeDefinition = (localType, globalMessage, fields) => {
+        writeUint8(0x40 | localType);
+        writeUint8(0); // reserved
+        writeUint8(0); // little-endian
+        writeUint16(globalMessage);
+        writeUint8(fields.length);
+        fields.forEach(([fieldNumber, size, baseType]) => {
+            writeUint8(fieldNumber);
+            writeUint8(size);
+            writeUint8(baseType);
+        });
+    };
+
+    // Trim the name so it fits a 64-byte string field, without splitting a character.
+    const encoder = new TextEncoder();
+    let name = model.name;
+    while (encoder.encode(name).length > 63) {
+        name = Array.from(name).slice(0, -1).join('');
+    }
+    const nameBytes = encoder.encode(name);
+
+    // file_id
+    writeDefinition(0, 0, [[0, 1, 0x00], [1, 2, 0x84], [2, 2, 0x84], [4, 4, 0x86]]);
+    writeUint8(0);
+    writeUint8(5); // type: workout
+    writeUint16(255); // manufacturer: development
+    writeUint16(0); // product
+    writeUint32(Math.floor(Date.now() / 1000) - FIT_EPOCH_OFFSET);
+
+    // workout
+    writeDefinition(1, 26, [[4, 1, 0x00], [6, 2, 0x84], [8, nameBytes.length + 1, 0x07]]);
+    writeUint8(1);
+    writeUint8(2); // sport: cycling
+    writeUint16(steps.length);
+    nameBytes.forEach(writeUint8);
+    writeUint8(0);
+
+    // workout_step
+    writeDefinition(2, 27, [
+        [254, 2, 0x84], [1, 1, 0x00], [2, 4, 0x86], [3, 1, 0x00],
+        [4, 4, 0x86], [5, 4, 0x86], [6, 4, 0x86], [7, 1, 0x00]
+    ]);
+    steps.forEach((step, index) => {
+        writeUint8(2);
+        writeUint16(index);
+        writeUint8(step.durationType);
+        writeUint32(step.durationValue);
+        writeUint8(step.targetType);
+        writeUint32(step.targetValue);
+        writeUint32(step.low);
+        writeUint32(step.high);
+        writeUint8(step.intensity);
+    });
+
+    const header = [14, 0x20, 0, 0, 0, 0, 0, 0, 0x2E, 0x46, 0x49, 0x54];
+    header[2] = 2132 & 0xFF; // profile version 21.32
+    header[3] = 2132 >>> 8;
+    header[4] = data.length & 0xFF;
+    header[5] = (data.length >>> 8) & 0xFF;
+    header[6] = (data.length >>> 16) & 0xFF;
+    header[7] = (data.length >>> 24) & 0xFF;
+    const headerCrc = fitCrc16(header);
+    header.push(headerCrc & 0xFF, headerCrc >>> 8);
+
+    const file = header.concat(data);
+    const fileCrc = fitCrc16(file);
+    file.push(fileCrc & 0xFF, fileCrc >>> 8);
+    return Uint8Array.from(file);
+}
@@ -0,0 +1,20 @@
+/**
+ * WhatsOnZwift Workout Exporter - Public API
+ *
+ * Everything needed to turn a WhatsOnZwift page into workout files from
+ * your own scripts. None of these modules touch the page on import; the
+ * browser-only integration lives in main.js.
+ */
+
+export * from './parser.js';
+export * from './model.js';
+export * from './zwo.js';
+export * from './zwo-validator.js';
+export * from './page.js';
+export * from './text-events.js';
+export * from './transforms.js';
+export * from './exporters.js';
+export * from './metrics.js';
+export * from './zwo-import.js';
+export * from './zip.js';
+export * from './settings.js';
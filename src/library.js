@@ -0,0 +1,190 @@
+/**
+ * WhatsOnZwift Workout Exporter - Workout library
+ *
+ * Keeps every exported workout (its model, when it was exported and its
+ * duration and TSS) in chrome.storage.local, so a lost file can be
+ * downloaded again from the toolbar popup in any format. Exporting the
+ * same workout again replaces its entry.
+ */
+
+import { computeWorkoutMetrics, formatClockDuration } from './metrics.js';
+import { createFormatSelect } from './ui.js';
+import { upgradeWorkoutModel } from './model.js';
+
+const LIBRARY_KEY = 'library';
+export const LIBRARY_MAX_ENTRIES = 500;
+// Every change reads, edits and writes the whole library; exports are not awaited, so changes wait their turn
+let pendingChange = Promise.resolve();
+
+/**
+ * Builds the library entry for an exported workout.
+ * @param {Object} model - The workout model as exported.
+ * @param {Date} [date] - Export date.
+ * @returns {{id: string, savedAt: string, duration: number, tss: ?number, model: Object}}
+ */
+export function createLibraryEntry(model, date = new Date()) {
+    const metrics = computeWorkoutMetrics(model.segments, model.ftp);
+    return {
+        id: `${date.getTime().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+        savedAt: date.toISOString(),
+        duration: metrics.duration,
+        // TSS is worked out from power, which a run's pace targets are not
+        tss: model.sportType === 'run' ? null : Math.round(metrics.tss),
+        model
+    };
+}
+
+/**
+ * Adds entries to the library, newest first. An entry replaces any older
+ * one for the same workout (same name and source page), and the oldest
+ * entries are dropped beyond LIBRARY_MAX_ENTRIES.
+ * @param {Array<Object>} library - Current entries, newest first.
+ * @param {Array<Object>} entries - New entries.
+ * @returns {Array<Object>} The updated library.
+ */
+export function mergeLibraryEntries(library, entries) {
+    const key = entry => `${entry.model.sourceUrl || ''}\n${entry.model.name}`;
+    const added = new Set(entries.map(key));
+    return entries
+        .filter((entry, index) => entries.findIndex(other => key(other) === key(entry)) === index)
+        .concat(library.filter(entry => !added.has(key(entry))))
+        .slice(0, LIBRARY_MAX_ENTRIES);
+}
+
+/**
+ * Filters library entries by a search query. Every word must match:
+ * plain words search the name, tags and source page; "tag:base" matches a
+ * tag; "tss>50", "tss<=80", "min>45" and "min<90" compare TSS and minutes.
+ * @param {Array<Object>} library - Library entries.
+ * @param {string} query - The search text.
+ * @returns {Array<Object>} The matching entries, in library order.
+ */
+export function searchLibrary(library, query) {
+    const terms = (query || '').toLowerCase().split(/\s+/).filter(Boolean);
+    const compare = (value, operator, limit) => ({
+        '>': value > limit, '>=': value >= limit, '<': value < limit, '<=': value <= limit, '=': Math.round(value) === limit
+    })[operator];
+
+    return library.filter(entry => terms.every(term => {
+        const tags = (entry.model.tags || []).map(tag => tag.toLowerCase());
+        const range = term.match(/^(tss|min)(>=|<=|>|<|=)(\d+(?:\.\d+)?)$/);
+        if (range) {
+            const value = range[1] === 'tss' ? entry.tss : entry.duration / 60;
+            return value !== null && compare(value, range[2], parseFloat(range[3]));
+        }
+        if (term.startsWith('tag:')) {
+            return tags.some(tag => tag.includes(term.slice(4)));
+        }
+        return [entry.model.name.toLowerCase(), ...tags, (entry.model.sourceUrl || '').toLowerCase()].some(text => text.includes(term));
+    }));
+}
+
+/**
+ * Reads the library from chrome.storage.local.
+ * @returns {Promise<Array<Object>>} The entries, newest first; empty outside the extension.
+ */
+export async function loadLibrary() {
+    if (typeof chrome === 'undefined' || !chrome.storage?.local) {
+        return [];
+    }
+    const stored = await chrome.storage.local.get({ [LIBRARY_KEY]: [] });
+    return Array.isArray(stored[LIBRARY_KEY]) ? stored[LIBRARY_KEY].map(entry => ({ ...entry, model: upgradeWorkoutModel(entry.model) })) : [];
+}
+
+/**
+ * Applies a change to the stored library once the changes before it are
+ * written, so overlapping exports do not lose each other's entries.
+ * @param {Function} change - Called with the library, returns the new one.
+ * @returns {Promise<Array<Object>>} The updated library.
+ */
+function changeLibrary(change) {
+    const result = pendingChange.then(async () => {
+        const library = change(await loadLibrary());
+        await chrome.storage.local.set({ [LIBRARY_KEY]: library });
+        return library;
+    });
+    // A failed change is reported to its caller and does not block the next one
+    pendingChange = result.catch(() => {});
+    return result;
+}
+
+/**
+ * Records exported workouts in the library. Does nothing outside the extension.
+ * @param {Array<Object>} models - The workout models as exported.
+ * @returns {Promise<Array<Object>>} The updated library.
+ */
+export async function addToLibrary(models) {
+    if (typeof chrome === 'undefined' || !chrome.storage?.local) {
+        return [];
+    }
+    const entries = models.map(model => createLibraryEntry(model));
+    return changeLibrary(library => mergeLibraryEntries(library, entries));
+}
+
+/**
+ * Removes an entry from the library.
+ * @param {string} id - The entry's id.
+ * @returns {Promise<Array<Object>>} The updated library.
+ */
+export function deleteFromLibrary(id) {
+    return changeLibrary(library => library.filter(entry => entry.id !== id));
+}
+
+/**
+ * Renders library entries as a list, each with a format picker, a download
+ * button and a delete button.
+ * @param {HTMLElement} container - Element to render into; its content is replaced.
+ * @param {Array<Object>} entries - Entries to show.
+ * @param {Object} exporters - Exporters from getExporters().
+ * @param {{onExport: Function, onDelete: Function}} handlers - Called with (entry, format) and (entry).
+ */
+export function renderLibraryList(container, entries, exporters, handlers) {
+    container.replaceChildren();
+    if (!entries.length) {
+        const empty = document.createElement('p');
+        empty.className = 'zwo-library-empty';
+        empty.textContent = 'No workouts found. Every workout you export is kept here.';
+        container.appendChild(empty);
+        return;
+    }
+
+    entries.forEach(entry => {
+        const item = document.createElement('div');
+        item.className = 'zwo-library-entry';
+        Object.assign(item.style, { padding: '6px 0', borderTop: '1px solid #ddd' });
+
+        const title = document.createElement(entry.model.sourceUrl ? 'a' : 'span');
+        title.textContent = entry.model.name;
+        if (entry.model.sourceUrl) {
+            title.href = entry.model.sourceUrl;
+            title.target = '_blank';
+        }
+        title.style.fontWeight = 'bold';
+
+        const details = document.createElement('div');
+        details.textContent = [
+            formatClockDuration(entry.duration),
+            ...(entry.tss === null ? [] : [`TSS ${entry.tss}`]),
+            new Date(entry.savedAt).toLocaleDateString(),
+            ...(entry.model.tags || [])
+        ].join(' · ');
+        Object.assign(details.style, { fontSize: '12px', color: '#666' });
+
+        const formatSelect = createFormatSelect(exporters, entry.model.sportType);
+        Object.assign(formatSelect.style, { display: 'inline-block', width: 'auto', marginRight: '4px', padding: '2px', fontSize: '12px' });
+        const downloadButton = document.createElement('button');
+        downloadButton.type = 'button';
+        downloadButton.textContent = 'Download';
+        downloadButton.addEventListener('click', () => handlers.onExport(entry, formatSelect.value));
+        const deleteButton = document.createElement('button');
+        deleteButton.type = 'button';
+        deleteButton.textContent = 'Delete';
+        deleteButton.addEventListener('click', () => handlers.onDelete(entry));
+        const actions = document.createElement('div');
+        actions.style.marginTop = '4px';
+        actions.append(formatSelect, downloadButton, ' ', deleteButton);
+
+        item.append(title, details, actions);
+        container.appendChild(item);
+    });
+}
@@ -0,0 +1,448 @@
+/**
+ * WhatsOnZwift Workout Exporter - Page integration
+ *
+ * Adds the download button, preview, chart and comparison to workout
+ * pages, or the bulk export to plan and collection pages. Loaded by
+ * content.js, which calls initExporter; the page watcher then keeps the
+ * exporter attached as the site re-renders and navigates.
+ */
+
+import { getTransformSuffix, createTransformControls } from './transforms.js';
+import { parsePace } from './parser.js';
+import { getWorkoutName, getWorkoutSportType, getPageFtp, getPageThresholdPace, findWorkoutList, findWorkoutBlocks, parsePageBlocks, collectBlockSegments } from './page.js';
+import { findElement } from './selectors.js';
+import { computeWorkoutMetrics, renderMetricsPanel } from './metrics.js';
+import { createWorkoutModel } from './model.js';
+import { getExporters } from './exporters.js';
+import { parseZWO, diffSegments, describeSegment } from './zwo-import.js';
+import { downloadFile, createFormatSelect, getExportOptions } from './ui.js';
+import { loadSettings, getTemplateValues, applySettingsToModel, formatFilename, getCueTemplates } from './settings.js';
+import { addToLibrary } from './library.js';
+import { loadRoster, buildRosterArchive } from './roster.js';
+import { createCartItems, addToCart, loadCart } from './cart.js';
+import { createDirectSaveControls, sendToZwiftFolder } from './zwift-folder.js';
+import { renderPowerChart } from './chart.js';
+import { renderPreviewPanel } from './preview.js';
+import { findCollectionWorkoutLinks, addBulkExportButton } from './bulk-export.js';
+import { watchPage, markInjected, removeInjected } from './page-watcher.js';
+import { buildDiagnostics, renderDiagnosticsPanel } from './diagnostics.js';
+
+function renderChartInto(container, segments) {
+    const heading = document.createElement('div');
+    heading.textContent = 'Exported workout';
+    Object.assign(heading.style, { fontSize: '12px', fontWeight: 'bold', marginBottom: '2px' });
+    const chart = renderPowerChart(segments);
+    Object.assign(chart.style, { display: 'block', width: '100%', height: '120px' });
+    container.replaceChildren(heading, chart);
+}
+
+function renderComparison(container, diff, fileName) {
+    container.querySelector('.zwo-compare-panel')?.remove();
+    const colors = { same: '#e8f5e9', changed: '#fff3e0', added: '#e3f2fd', removed: '#ffebee' };
+    const labels = { same: 'Same', changed: 'Changed', added: 'Only on page', removed: 'Only in file' };
+
+    const panel = document.createElement('div');
+    panel.className = 'zwo-compare-panel';
+    Object.assign(panel.style, { margin: '5px 0', fontSize: '13px', border: '1px solid #ccc', borderRadius: '4px', overflow: 'hidden' });
+
+    const heading = document.createElement('div');
+    const differences = diff.filter(entry => entry.status !== 'same').length;
+    heading.textContent = differences
+        ? `${fileName}: ${differences} block(s) differ from this page`
+        : `${fileName}: identical to this page`;
+    Object.assign(heading.style, { padding: '6px 8px', fontWeight: 'bold', background: '#f5f5f5' });
+    panel.appendChild(heading);
+
+    diff.forEach(entry => {
+        const row = document.createElement('div');
+        Object.assign(row.style, { padding: '4px 8px', background: colors[entry.status], borderTop: '1px solid #ddd' });
+        if (entry.status === 'changed') {
+            row.textContent = `${labels[entry.status]}: ${describeSegment(entry.from)} → ${describeSegment(entry.to)}`;
+        } else {
+            row.textContent = `${labels[entry.status]}: ${describeSegment(entry.to || entry.from)}`;
+        }
+        panel.appendChild(row);
+    });
+
+    container.appendChild(panel);
+}
+
+/**
+ * Adds the exporter to a workout page.
+ * @returns {?{refresh: Function}} Re-reads the page after an FTP change; null if nothing was added.
+ */
+function addDownloadButton() {
+    const workoutListDiv = findWorkoutList();
+    const referenceButton = workoutListDiv && findElement(workoutListDiv, 'ftpButton');
+
+    if (!workoutListDiv || (!referenceButton && !findWorkoutBlocks().length)) {
+        console.warn("WhatsOnZwift Exporter: Workout list container or workout blocks not found. Button not added.");
+        return null;
+    }
+
+    if (workoutListDiv.querySelector('.zwo-download-button')) {
+        console.log("WhatsOnZwift Exporter: Download button already exists.");
+        return null;
+    }
+
+    const exporters = getExporters();
+    const sportType = getWorkoutSportType();
+    const formatSelect = createFormatSelect(exporters, sportType);
+    // Run blocks written as absolute paces need the runner's threshold pace to become ZWO targets
+    const parseOptions = { thresholdPace: getPageThresholdPace() };
+    const thresholdPaceLabel = document.createElement('label');
+    if (sportType === 'run' && !parseOptions.thresholdPace) {
+        const thresholdPaceInput = document.createElement('input');
+        thresholdPaceInput.type = 'text';
+        thresholdPaceInput.className = 'zwo-threshold-pace';
+        thresholdPaceInput.placeholder = 'e.g. 4:30/km';
+        Object.assign(thresholdPaceInput.style, { width: '90px', marginLeft: '4px' });
+        thresholdPaceInput.addEventListener('change', () => {
+            parseOptions.thresholdPace = parsePace(thresholdPaceInput.value);
+            refreshPreview();
+        });
+        thresholdPaceLabel.append('Threshold pace', thresholdPaceInput);
+        Object.assign(thresholdPaceLabel.style, { display: 'block', marginTop: '5px', fontSize: '13px' });
+    }
+
+    const metricsLabel = document.createElement('label');
+    const metricsCheckbox = document.createElement('input');
+    metricsCheckbox.type = 'checkbox';
+    metricsCheckbox.className = 'zwo-metrics-checkbox';
+    metricsLabel.append(metricsCheckbox, ' Add TSS, IF and time in zone to the description');
+    Object.assign(metricsLabel.style, { display: sportType === 'bike' ? 'block' : 'none', marginTop: '5px', fontSize: '13px', cursor: 'pointer' });
+
+    const cuesLabel = document.createElement('label');
+    const cuesCheckbox = document.createElement('input');
+    cuesCheckbox.type = 'checkbox';
+    cuesCheckbox.className = 'zwo-cues-checkbox';
+    cuesLabel.append(cuesCheckbox, ' Add on-screen cues (interval count, cadence)');
+    Object.assign(cuesLabel.style, { display: 'block', marginTop: '5px', fontSize: '13px', cursor: 'pointer' });
+
+    // Fixed watts: targets worked out from this FTP, the same for whoever rides the file
+    const wattsLabel = document.createElement('label');
+    const wattsCheckbox = document.createElement('input');
+    wattsCheckbox.type = 'checkbox';
+    wattsCheckbox.className = 'zwo-watts-checkbox';
+    const wattsFtpInput = document.createElement('input');
+    wattsFtpInput.type = 'number';
+    wattsFtpInput.min = '1';
+    wattsFtpInput.className = 'zwo-watts-ftp';
+    wattsFtpInput.placeholder = String(getPageFtp() || 'FTP');
+    Object.assign(wattsFtpInput.style, { width: '70px', marginLeft: '4px' });
+    wattsLabel.append(wattsCheckbox, ' Export fixed watts, FTP', wattsFtpInput, ' W');
+    Object.assign(wattsLabel.style, { display: sportType === 'bike' ? 'block' : 'none', marginTop: '5px', fontSize: '13px', cursor: 'pointer' });
+    loadSettings().then(settings => { wattsCheckbox.checked = settings.absoluteWatts; });
+
+    const transformControls = createTransformControls(() => refreshPreview());
+
+    const downloadButton = document.createElement('button');
+    const directSave = createDirectSaveControls(() => { downloadButton.textContent = buttonLabel(); });
+    const buttonLabel = () => exporters[formatSelect.value].extension === 'zwo' && directSave.isEnabled()
+        ? 'Save .zwo to my Zwift folder'
+        : `Download .${exporters[formatSelect.value].extension}`;
+    downloadButton.className = 'zwo-download-button';
+    downloadButton.textContent = buttonLabel();
+    downloadButton.type = 'button';
+    formatSelect.addEventListener('change', () => { downloadButton.textContent = buttonLabel(); });
+
+    Object.assign(downloadButton.style, {
+        display: 'block', width: 'calc(100% - 4px)', marginTop: '5px', marginBottom: '5px', padding: '8px 16px',
+        backgroundColor: '#4CAF50', color: 'white', border: 'none', borderRadius: '4px',
+        cursor: 'pointer', fontSize: '14px', textAlign: 'center', fontFamily: 'inherit'
+    });
+    downloadButton.onmouseover = () => { downloadButton.style.backgroundColor = '#45a049'; };
+    downloadButton.onmouseout = () => { downloadButton.style.backgroundColor = '#4CAF50'; };
+
+    downloadButton.addEventListener('click', async () => {
+        if (referenceButton?.innerText?.includes('ENTER FTP')) {
+            return referenceButton.click();
+        }
+        console.log("WhatsOnZwift Exporter: Download button clicked.");
+        downloadButton.textContent = 'Processing...';
+        downloadButton.disabled = true;
+
+        const segmentElements = findWorkoutBlocks();
+        if (!segmentElements.length) {
+            alert("Could not find any workout segments on the page.");
+            downloadButton.textContent = buttonLabel();
+            downloadButton.disabled = false;
+            return;
+        }
+
+        // Read at every export so changes on the options page apply right away
+        const settings = await loadSettings();
+        const blocks = parsePageBlocks(segmentElements, parseOptions);
+        const { segments: parsedSegments, skipped: parseWarnings } = collectBlockSegments(blocks, { autoCues: cuesCheckbox.checked, templates: getCueTemplates(settings) }, overrides, transformControls.read());
+        renderBlocks(blocks);
+
+        if (parsedSegments.length === 0) {
+            alert("Failed to parse any workout segments. Cannot generate ZWO file.");
+            downloadButton.textContent = buttonLabel();
+            downloadButton.disabled = false;
+            return;
+        }
+
+        if (parseWarnings > 0) {
+            alert(`Warning: ${parseWarnings} segment(s) could not be fully parsed and were skipped. They are marked in red in the preview, where you can fix them by hand. The generated file might be incomplete.`);
+        }
+
+        const workoutName = getWorkoutName() + getTransformSuffix(transformControls.read());
+        const exporter = exporters[formatSelect.value];
+
+        try {
+            const options = getExportOptions(exporter, settings, {
+                absoluteWatts: wattsCheckbox.checked,
+                ftp: wattsCheckbox.checked ? parseInt(wattsFtpInput.value, 10) || null : null
+            }, sportType);
+            if (!options) {
+                return;
+            }
+            options.includeMetrics = metricsCheckbox.checked;
+            const baseModel = createWorkoutModel(workoutName, parsedSegments, { sourceUrl: window.location.href, ftp: options.ftp, sportType });
+            const templateValues = getTemplateValues(baseModel);
+            const model = applySettingsToModel(baseModel, settings, templateValues);
+            const content = exporter.generate(model, options);
+            const safeFilename = formatFilename(settings.filenamePattern, templateValues) + "." + exporter.extension;
+            if (exporter.extension === 'zwo' && directSave.isEnabled()) {
+                // Written by the extension's folder page, see zwift-folder.js
+                await sendToZwiftFolder([{ path: safeFilename, content }]);
+                console.log(`WhatsOnZwift Exporter: Sent ${safeFilename} to the Zwift folder page.`);
+            } else {
+                downloadFile(safeFilename, content, exporter.mimeType);
+            }
+            addToLibrary([model]).catch(error => console.error("WhatsOnZwift Exporter: Could not add the workout to the library:", error));
+        } catch (error) {
+            console.error(`WhatsOnZwift Exporter: Error generating or downloading ${exporter.extension.toUpperCase()} file:`, error);
+            alert(`Could not create the workout file. Nothing was saved.\n\n${error.message}`);
+        } finally {
+             setTimeout(() => {
+                downloadButton.textContent = buttonLabel();
+                downloadButton.disabled = false;
+             }, 500);
+        }
+    });
+
+    // One file per athlete of the roster kept on the options page
+    const teamButton = document.createElement('button');
+    teamButton.type = 'button';
+    teamButton.className = 'zwo-team-button';
+    Object.assign(teamButton.style, {
+        display: 'none', width: 'calc(100% - 4px)', marginBottom: '5px', padding: '6px 16px',
+        backgroundColor: 'white', color: '#4CAF50', border: '1px solid #4CAF50', borderRadius: '4px',
+        cursor: 'pointer', fontSize: '13px', textAlign: 'center', fontFamily: 'inherit'
+    });
+    const showRoster = roster => {
+        teamButton.textContent = `Download for my team (${roster.length} athletes, .zip)`;
+        teamButton.style.display = roster.length ? 'block' : 'none';
+    };
+    loadRoster().then(showRoster)
+        .catch(error => console.error("WhatsOnZwift Exporter: Could not load the team roster:", error));
+    teamButton.addEventListener('click', async () => {
+        const exporter = exporters[formatSelect.value];
+        const transform = transformControls.read();
+        const settings = await loadSettings();
+        const { segments } = collectBlockSegments(parsePageBlocks(findWorkoutBlocks(), parseOptions), { autoCues: cuesCheckbox.checked, templates: getCueTemplates(settings) }, overrides, transform);
+        if (segments.length === 0) {
+            alert("Failed to parse any workout segments. Cannot generate the team's files.");
+            return;
+        }
+        try {
+            // Read again so athletes edited on the options page since the page loaded are included
+            const roster = await loadRoster();
+            showRoster(roster);
+            if (!roster.length) {
+                alert("The team roster is empty. Add athletes on the options page.");
+                return;
+            }
+            // Athletes without an FTP of their own ride at the page's
+            const options = {
+                ftp: getPageFtp() || settings.ftp || null,
+                powerPrecision: settings.powerPrecision,
+                wattsRounding: settings.wattsRounding,
+                includeMetrics: metricsCheckbox.checked
+            };
+            const model = createWorkoutModel(getWorkoutName() + getTransformSuffix(transform), segments, { sourceUrl: window.location.href, ftp: options.ftp, sportType });
+            const problems = [];
+            const { zip, exported } = buildRosterArchive(model, roster, exporter, options, problems, settings);
+            downloadFile(`${formatFilename(settings.filenamePattern, getTemplateValues(model))}_team.zip`, zip, 'application/zip');
+            if (problems.length) {
+                alert(`Exported for ${exported.length} of ${roster.length} athletes. ${problems.length} problem(s) are listed in export-report.txt inside the zip.`);
+            }
+        } catch (error) {
+            console.error("WhatsOnZwift Exporter: Error exporting for the team:", error);
+            alert(`Could not create the team's files. Nothing was saved.\n\n${error.message}`);
+        }
+    });
+
+    // Blocks collected into one session across pages and tabs, exported from the toolbar popup
+    const sessionButton = document.createElement('button');
+    sessionButton.type = 'button';
+    sessionButton.className = 'zwo-session-button';
+    Object.assign(sessionButton.style, {
+        display: 'block', width: 'calc(100% - 4px)', marginBottom: '5px', padding: '6px 16px',
+        backgroundColor: 'white', color: '#4CAF50', border: '1px solid #4CAF50', borderRadius: '4px',
+        cursor: 'pointer', fontSize: '13px', textAlign: 'center', fontFamily: 'inherit'
+    });
+    const showSessionSize = count => {
+        sessionButton.textContent = `Add workout to session (${count} block(s) in session)`;
+    };
+    showSessionSize(0);
+    loadCart().then(cart => showSessionSize(cart.length))
+        .catch(error => console.error("WhatsOnZwift Exporter: Could not load the session:", error));
+    const addToSession = async segments => {
+        try {
+            const cart = await addToCart(createCartItems({ name: getWorkoutName(), sourceUrl: window.location.href, sportType }, segments));
+            showSessionSize(cart.length);
+        } catch (error) {
+            console.error("WhatsOnZwift Exporter: Could not add to the session:", error);
+            alert(`Could not add to the session.\n\n${error.message}`);
+        }
+    };
+    sessionButton.addEventListener('click', async () => {
+        const settings = await loadSettings();
+        const { segments } = collectBlockSegments(parsePageBlocks(findWorkoutBlocks(), parseOptions), { autoCues: cuesCheckbox.checked, templates: getCueTemplates(settings) }, overrides, transformControls.read());
+        if (segments.length === 0) {
+            alert("Failed to parse any workout segments. Nothing was added to the session.");
+            return;
+        }
+        addToSession(segments);
+    });
+
+    // Per-block preview; blocks fixed by hand are kept in overrides and used on export
+    const overrides = new Map();
+    const previewPanel = document.createElement('div');
+    previewPanel.className = 'zwo-preview-panel';
+    Object.assign(previewPanel.style, { margin: '5px 0', fontSize: '13px', border: '1px solid #ccc', borderRadius: '4px', overflow: 'hidden' });
+    // Power profile of what will be exported, to check against the site's graph
+    const chartContainer = document.createElement('div');
+    chartContainer.className = 'zwo-chart';
+    Object.assign(chartContainer.style, { margin: '5px 0', border: '1px solid #ccc', borderRadius: '4px', padding: '4px', background: 'white' });
+    const metricsPanel = document.createElement('div');
+    metricsPanel.className = 'zwo-metrics-panel';
+    Object.assign(metricsPanel.style, { display: sportType === 'bike' ? 'block' : 'none', margin: '5px 0', padding: '6px 8px', fontSize: '13px', border: '1px solid #ccc', borderRadius: '4px' });
+    const renderBlocks = blocks => {
+        const segments = collectBlockSegments(blocks, {}, overrides, transformControls.read()).segments;
+        renderPreviewPanel(previewPanel, blocks, overrides, refreshPreview, segment => addToSession([segment]), parseOptions);
+        renderChartInto(chartContainer, segments);
+        renderMetricsPanel(metricsPanel, computeWorkoutMetrics(segments, getPageFtp()));
+    };
+    const refreshPreview = () => renderBlocks(parsePageBlocks(findWorkoutBlocks(), parseOptions));
+    refreshPreview();
+
+    const compareContainer = document.createElement('div');
+    compareContainer.className = 'zwo-compare';
+    const fileInput = document.createElement('input');
+    fileInput.type = 'file';
+    fileInput.accept = '.zwo,application/xml,text/xml';
+    fileInput.style.display = 'none';
+    const compareButton = document.createElement('button');
+    compareButton.type = 'button';
+    compareButton.textContent = 'Compare with .zwo file';
+    Object.assign(compareButton.style, {
+        display: 'block', width: 'calc(100% - 4px)', marginBottom: '5px', padding: '6px 16px',
+        backgroundColor: 'white', color: '#4CAF50', border: '1px solid #4CAF50', borderRadius: '4px',
+        cursor: 'pointer', fontSize: '13px', textAlign: 'center', fontFamily: 'inherit'
+    });
+    compareButton.addEventListener('click', () => fileInput.click());
+    fileInput.addEventListener('change', async () => {
+        const file = fileInput.files[0];
+        fileInput.value = '';
+        if (!file) return;
+        try {
+            const imported = parseZWO(await file.text());
+            const { segments: pageSegments } = collectBlockSegments(parsePageBlocks(findWorkoutBlocks(), parseOptions), {}, overrides);
+            renderComparison(compareContainer, diffSegments(imported.segments, pageSegments), file.name);
+        } catch (error) {
+            console.error("WhatsOnZwift Exporter: Error comparing ZWO file:", error);
+            alert(`Could not compare ${file.name}: ${error.message}`);
+        }
+    });
+    compareContainer.append(fileInput, compareButton);
+
+    // For issues: what the exporter found on the page, to fix it after a site change
+    const reportContainer = document.createElement('div');
+    reportContainer.className = 'zwo-report';
+    const reportButton = document.createElement('button');
+    reportButton.type = 'button';
+    reportButton.textContent = 'Report a problem';
+    Object.assign(reportButton.style, {
+        background: 'none', border: 'none', padding: '0', color: '#666',
+        textDecoration: 'underline', cursor: 'pointer', fontSize: '12px', fontFamily: 'inherit'
+    });
+    const reportPanel = document.createElement('div');
+    reportButton.addEventListener('click', () => {
+        const version = typeof chrome !== 'undefined' ? chrome.runtime?.getManifest?.().version : null;
+        renderDiagnosticsPanel(reportPanel, buildDiagnostics(document, { version }));
+    });
+    reportContainer.append(reportButton, reportPanel);
+
+    if (referenceButton) {
+        referenceButton.parentNode.insertBefore(formatSelect, referenceButton.nextSibling);
+    } else {
+        workoutListDiv.insertBefore(formatSelect, workoutListDiv.firstChild);
+    }
+    formatSelect.parentNode.insertBefore(thresholdPaceLabel, formatSelect.nextSibling);
+    thresholdPaceLabel.parentNode.insertBefore(transformControls.element, thresholdPaceLabel.nextSibling);
+    transformControls.element.parentNode.insertBefore(cuesLabel, transformControls.element.nextSibling);
+    cuesLabel.parentNode.insertBefore(metricsLabel, cuesLabel.nextSibling);
+    metricsLabel.parentNode.insertBefore(wattsLabel, metricsLabel.nextSibling);
+    wattsLabel.parentNode.insertBefore(directSave.element, wattsLabel.nextSibling);
+    directSave.element.parentNode.insertBefore(downloadButton, directSave.element.nextSibling);
+    downloadButton.parentNode.insertBefore(teamButton, downloadButton.nextSibling);
+    teamButton.parentNode.insertBefore(sessionButton, teamButton.nextSibling);
+    sessionButton.parentNode.insertBefore(metricsPanel, sessionButton.nextSibling);
+    metricsPanel.parentNode.insertBefore(previewPanel, metricsPanel.nextSibling);
+    // Directly below the site's own workout graph if there is one, else above the preview
+    const siteGraph = findElement(document, 'siteGraph');
+    if (siteGraph && !siteGraph.contains(workoutListDiv)) {
+        siteGraph.parentNode.insertBefore(chartContainer, siteGraph.nextSibling);
+    } else {
+        previewPanel.parentNode.insertBefore(chartContainer, previewPanel);
+    }
+    previewPanel.parentNode.insertBefore(compareContainer, previewPanel.nextSibling);
+    compareContainer.parentNode.insertBefore(reportContainer, compareContainer.nextSibling);
+    markInjected(formatSelect, thresholdPaceLabel, transformControls.element, cuesLabel, metricsLabel, wattsLabel, directSave.element,
+        downloadButton, teamButton, sessionButton, metricsPanel, previewPanel, chartContainer, compareContainer, reportContainer);
+    console.log("WhatsOnZwift Exporter: Download button added successfully.");
+
+    return {
+        refresh: () => {
+            parseOptions.thresholdPace = getPageThresholdPace() || parseOptions.thresholdPace;
+            wattsFtpInput.placeholder = String(getPageFtp() || 'FTP');
+            refreshPreview();
+        }
+    };
+}
+
+/**
+ * Starts the exporter: workout pages get the download button, plan and
+ * collection pages the bulk export, as soon as the site has rendered them.
+ * @returns {{check: Function, stop: Function}} The page watcher.
+ */
+export function initExporter() {
+    let workoutPage = null;
+    return watchPage({
+        getPageKey: () => [window.location.href, getWorkoutName(), findCollectionWorkoutLinks(document, window.location.href).length].join('\n'),
+        getRefreshKey: () => `${getPageFtp()}\n${getPageThresholdPace()}`,
+        isAttached: () => Boolean(document.querySelector('.zwo-download-button, .zwo-bulk-export')),
+        attach: () => {
+            const workoutList = findWorkoutList();
+            if (workoutList && (findElement(workoutList, 'ftpButton') || findWorkoutBlocks().length)) {
+                workoutPage = addDownloadButton();
+                return Boolean(workoutPage);
+            }
+            const links = findCollectionWorkoutLinks(document, window.location.href);
+            if (links.length) {
+                addBulkExportButton(links);
+                return true;
+            }
+            return false;
+        },
+        detach: () => {
+            removeInjected();
+            workoutPage = null;
+        },
+        refresh: () => workoutPage?.refresh()
+    });
+}
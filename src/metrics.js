@@ -0,0 +1,152 @@
+/**
+ * WhatsOnZwift Workout Exporter - Workout metrics
+ *
+ * Training load numbers computed from the parsed segments: duration,
+ * normalized power, IF, TSS, kJ and time in each Coggan power zone.
+ * Free rides have no target and are counted at 50% FTP, the same as the
+ * trainer file exports.
+ */
+
+import { expandSegmentSteps } from './parser.js';
+
+export function getCogganZones() {
+    return [
+        { zone: 1, name: 'Active Recovery', max: 0.55 },
+        { zone: 2, name: 'Endurance', max: 0.75 },
+        { zone: 3, name: 'Tempo', max: 0.90 },
+        { zone: 4, name: 'Lactate Threshold', max: 1.05 },
+        { zone: 5, name: 'VO2 Max', max: 1.20 },
+        { zone: 6, name: 'Anaerobic Capacity', max: 1.50 },
+        { zone: 7, name: 'Neuromuscular', max: Infinity }
+    ];
+}
+
+/**
+ * Second-by-second power targets of the workout, ramps interpolated.
+ * @param {Array<Object>} segments - Segments as returned by parseSegment.
+ * @returns {Array<number>} One power value (fraction of FTP) per second.
+ */
+function getPowerSeries(segments) {
+    const series = [];
+    expandSegmentSteps(segments).forEach(step => {
+        for (let i = 0; i < step.duration; i++) {
+            series.push(step.powerStart + (step.powerEnd - step.powerStart) * (i + 0.5) / step.duration);
+        }
+    });
+    return series;
+}
+
+/**
+ * Computes the training load of a workout.
+ * @param {Array<Object>} segments - Segments as returned by parseSegment.
+ * @param {?number} [ftp] - FTP in watts, needed for kJ and watt values.
+ * @returns {{duration: number, averagePower: number, normalizedPower: number, intensityFactor: number, tss: number,
+ *   kilojoules: ?number, normalizedWatts: ?number, timeInZones: Array<{zone: number, name: string, seconds: number}>}}
+ *   Power values are fractions of FTP, durations in seconds.
+ */
+export function computeWorkoutMetrics(segments, ftp) {
+    const series = getPowerSeries(segments);
+    const duration = series.length;
+    const zones = getCogganZones().map(({ zone, name, max }) => ({ zone, name, max, seconds: 0 }));
+    if (!duration) {
+        return {
+            duration: 0, averagePower: 0, normalizedPower: 0, intensityFactor: 0, tss: 0,
+            kilojoules: ftp > 0 ? 0 : null, normalizedWatts: ftp > 0 ? 0 : null,
+            timeInZones: zones.map(({ zone, name, seconds }) => ({ zone, name, seconds }))
+        };
+    }
+
+    const averagePower = series.reduce((total, power) => total + power, 0) / duration;
+
+    // Normalized power: 30 second rolling average, raised to the 4th power, averaged, 4th root
+    let normalizedPower = averagePower;
+    if (duration >= 30) {
+        let windowSum = 0;
+        let fourthPowerSum = 0;
+        series.forEach((power, i) => {
+            windowSum += power;
+            if (i >= 30) windowSum -= series[i - 30];
+            if (i >= 29) fourthPowerSum += Math.pow(windowSum / 30, 4);
+        });
+        normalizedPower = Math.pow(fourthPowerSum / (duration - 29), 0.25);
+    }
+
+    series.forEach(power => {
+        zones.find(zone => power <= zone.max + 1e-9).seconds++;
+    });
+
+    const intensityFactor = normalizedPower; // NP is already relative to FTP
+    return {
+        duration,
+        averagePower,
+        normalizedPower,
+        intensityFactor,
+        tss: duration * intensityFactor * intensityFactor / 3600 * 100,
+        kilojoules: ftp > 0 ? averagePower * ftp * duration / 1000 : null,
+        normalizedWatts: ftp > 0 ? normalizedPower * ftp : null,
+        timeInZones: zones.map(({ zone, name, seconds }) => ({ zone, name, seconds }))
+    };
+}
+
+export function formatClockDuration(seconds) {
+    const hours = Math.floor(seconds / 3600);
+    const minutes = Math.floor(seconds % 3600 / 60);
+    const rest = Math.round(seconds % 60);
+    return `${hours}:${String(minutes).padStart(2, '0')}:${String(rest).padStart(2, '0')}`;
+}
+
+/**
+ * One-line summary, e.g. "Duration 1:00:00 · TSS 56 · IF 0.75 · NP 75% FTP · 675 kJ".
+ * @param {Object} metrics - Result of computeWorkoutMetrics.
+ * @returns {string} The summary.
+ */
+export function formatMetricsSummary(metrics) {
+    const parts = [
+        `Duration ${formatClockDuration(metrics.duration)}`,
+        `TSS ${Math.round(metrics.tss)}`,
+        `IF ${metrics.intensityFactor.toFixed(2)}`,
+        metrics.normalizedWatts !== null ? `NP ${Math.round(metrics.normalizedWatts)}W` : `NP ${Math.round(metrics.normalizedPower * 100)}% FTP`
+    ];
+    if (metrics.kilojoules !== null) {
+        parts.push(`${Math.round(metrics.kilojoules)} kJ`);
+    }
+    return parts.join(' · ');
+}
+
+/**
+ * Time in zone as text, zones without time left out, e.g. "Z2 45:00, Z4 15:00".
+ * @param {Object} metrics - Result of computeWorkoutMetrics.
+ * @returns {string} The summary.
+ */
+export function formatTimeInZones(metrics) {
+    return metrics.timeInZones
+        .filter(zone => zone.seconds > 0)
+        .map(zone => `Z${zone.zone} ${formatClockDuration(zone.seconds).replace(/^0:/, '')}`)
+        .join(', ');
+}
+
+export function renderMetricsPanel(panel, metrics) {
+    panel.replaceChildren();
+    const summary = document.createElement('div');
+    summary.textContent = formatMetricsSummary(metrics);
+    summary.style.fontWeight = 'bold';
+    panel.appendChild(summary);
+
+    // Stacked bar of time in zone
+    const bar = document.createElement('div');
+    Object.assign(bar.style, { display: 'flex', height: '10px', margin: '4px 0', borderRadius: '2px', overflow: 'hidden' });
+    const zoneColors = ['#7f7f7f', '#338cff', '#59bf59', '#ffcc3f', '#ff6639', '#ff330c', '#b71c1c'];
+    metrics.timeInZones.forEach(zone => {
+        if (!zone.seconds) return;
+        const part = document.createElement('div');
+        part.title = `Z${zone.zone} ${zone.name}: ${formatClockDuration(zone.seconds)}`;
+        Object.assign(part.style, { flex: String(zone.seconds), background: zoneColors[zone.zone - 1] });
+        bar.appendChild(part);
+    });
+    panel.appendChild(bar);
+
+    const zones = document.createElement('div');
+    zones.textContent = formatTimeInZones(metrics);
+    zones.style.fontSize = '12px';
+    panel.appendChild(zones);
+}
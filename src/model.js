@@ -0,0 +1,271 @@
+/**
+ * WhatsOnZwift Workout Exporter - Workout model
+ *
+ * The canonical, JSON-ready description of an exported workout: metadata,
+ * the page it came from, the FTP used and the segment list. Every exporter
+ * is driven from this model, and the JSON export writes it as is. The
+ * model is described by a versioned JSON Schema (getWorkoutSchema, also
+ * published as schema/workout-<version>.schema.json).
+ */
+
+// Raised whenever the layout changes, even by an optional field; each version's schema stays in schema/.
+// 2: run workouts with pace targets. 3: max efforts and power ranges. 4: the description.
+export const WORKOUT_MODEL_VERSION = 4;
+export const WORKOUT_SCHEMA_ID = `https://github.com/benngarcia/woz-to-zwo/schema/workout-${WORKOUT_MODEL_VERSION}.schema.json`;
+
+// Reference paces a run target can be relative to; ZWO's pace attribute is the index in this list
+export const PACE_REFERENCES = ['1mile', '5k', '10k', 'half-marathon', 'marathon'];
+
+// Fields kept for each segment type, in output order
+const SEGMENT_FIELDS = {
+    SteadyState: ['duration', 'power', 'powerLow', 'powerHigh', 'cadence', 'paceReference'],
+    Ramp: ['duration', 'powerLow', 'powerHigh', 'cadence', 'paceReference'],
+    IntervalsT: ['repeat', 'onDuration', 'onPower', 'offDuration', 'offPower', 'onCadence', 'offCadence', 'paceReference'],
+    FreeRide: ['duration', 'flatRoad', 'cadence'],
+    MaxEffort: ['duration'],
+    Repeat: ['repeat', 'steps']
+};
+
+/**
+ * Copies a parsed segment into its model form: only the fields its type
+ * defines, steps of repeats included, and its text events.
+ * @param {Object} segment - A segment as returned by parseSegment.
+ * @returns {Object} The model segment.
+ */
+function toModelSegment(segment) {
+    const fields = SEGMENT_FIELDS[segment.type] || ['duration', 'cadence'];
+    const modelSegment = { type: segment.type };
+    fields.forEach(field => {
+        if (field in segment) {
+            modelSegment[field] = field === 'steps' ? segment.steps.map(toModelSegment) : segment[field];
+        }
+    });
+    if (segment.textEvents?.length) {
+        modelSegment.textEvents = segment.textEvents.map(({ timeOffset, message }) => ({ timeOffset, message }));
+    }
+    return modelSegment;
+}
+
+/**
+ * Builds the workout model exporters work from.
+ * @param {string} name - Workout title.
+ * @param {Array<Object>} segments - Segments as returned by parseSegment.
+ * @param {{sourceUrl?: string, ftp?: number, sportType?: ('bike'|'run'), author?: string, description?: string, tags?: Array<string>}} [metadata] -
+ *   Page the workout came from, the FTP in watts when known, the sport (bike unless given), and the author,
+ *   description and tags to write instead of the defaults.
+ * @returns {Object} The workout model.
+ */
+export function createWorkoutModel(name, segments, metadata = {}) {
+    return {
+        $schema: WORKOUT_SCHEMA_ID,
+        version: WORKOUT_MODEL_VERSION,
+        name,
+        author: metadata.author || 'WhatsOnZwift Exporter',
+        description: metadata.description || null,
+        sportType: metadata.sportType || 'bike',
+        sourceUrl: metadata.sourceUrl || null,
+        ftp: metadata.ftp > 0 ? metadata.ftp : null,
+        tags: metadata.tags ? [...metadata.tags] : [],
+        segments: segments.map(toModelSegment)
+    };
+}
+
+/**
+ * Brings a model saved by an earlier version (e.g. in the library) up to
+ * date. Each version so far only added to the one before, so the number is
+ * all that changes.
+ * @param {Object} model - A workout model of any version.
+ * @returns {Object} The model at WORKOUT_MODEL_VERSION.
+ */
+export function upgradeWorkoutModel(model) {
+    if (model.version === WORKOUT_MODEL_VERSION) {
+        return model;
+    }
+    return { ...model, $schema: WORKOUT_SCHEMA_ID, version: WORKOUT_MODEL_VERSION };
+}
+
+/**
+ * First description line of every export, pointing back at the source page.
+ * @param {Object} model - The workout model.
+ * @returns {string} The line.
+ */
+export function getSourceDescription(model) {
+    return model.sourceUrl ? `Workout exported from WhatsOnZwift: ${model.sourceUrl}` : 'Workout exported from WhatsOnZwift';
+}
+
+/**
+ * The description written into exported files: the model's own, else the source line.
+ * @param {Object} model - The workout model.
+ * @returns {string} The description.
+ */
+export function getWorkoutDescription(model) {
+    return model.description || getSourceDescription(model);
+}
+
+/**
+ * The JSON Schema (draft 2020-12) of the workout model.
+ * @returns {Object} The schema.
+ */
+export function getWorkoutSchema() {
+    const ref = name => ({ $ref: `#/$defs/${name}` });
+    const segment = (type, required, properties) => ({
+        type: 'object',
+        required: ['type', ...required],
+        additionalProperties: false,
+        properties: { type: { const: type }, ...properties, textEvents: ref('textEvents') }
+    });
+    return {
+        $schema: 'https://json-schema.org/draft/2020-12/schema',
+        $id: WORKOUT_SCHEMA_ID,
+        title: 'WhatsOnZwift workout',
+        description: 'A workout read from whatsonzwift.com. Powers are fractions of FTP (of threshold pace for runs), durations are whole seconds.',
+        type: 'object',
+        required: ['version', 'name', 'sportType', 'segments'],
+        additionalProperties: false,
+        properties: {
+            $schema: { type: 'string' },
+            version: { const: WORKOUT_MODEL_VERSION },
+            name: { type: 'string', minLength: 1 },
+            author: { type: 'string' },
+            description: { type: ['string', 'null'] },
+            sportType: { enum: ['bike', 'run'] },
+            sourceUrl: { type: ['string', 'null'] },
+            ftp: { type: ['integer', 'null'], exclusiveMinimum: 0 },
+            tags: { type: 'array', items: { type: 'string' } },
+            segments: { type: 'array', minItems: 1, items: ref('segment') }
+        },
+        $defs: {
+            duration: { type: 'integer', minimum: 1 },
+            power: { type: 'number', minimum: 0 },
+            cadence: { type: ['integer', 'null'], minimum: 1 },
+            paceReference: { enum: PACE_REFERENCES },
+            textEvents: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    required: ['timeOffset', 'message'],
+                    additionalProperties: false,
+                    properties: { timeOffset: { type: 'integer', minimum: 0 }, message: { type: 'string' } }
+                }
+            },
+            segment: {
+                oneOf: ['steadyState', 'ramp', 'intervals', 'freeRide', 'maxEffort', 'repeat'].map(ref)
+            },
+            step: {
+                oneOf: ['steadyState', 'ramp', 'maxEffort', 'repeat'].map(ref)
+            },
+            steadyState: segment('SteadyState', ['duration', 'power'], {
+                duration: ref('duration'), power: ref('power'), powerLow: ref('power'), powerHigh: ref('power'),
+                cadence: ref('cadence'), paceReference: ref('paceReference')
+            }),
+            ramp: segment('Ramp', ['duration', 'powerLow', 'powerHigh'], {
+                duration: ref('duration'), powerLow: ref('power'), powerHigh: ref('power'), cadence: ref('cadence'), paceReference: ref('paceReference')
+            }),
+            intervals: segment('IntervalsT', ['repeat', 'onDuration', 'onPower', 'offDuration', 'offPower'], {
+                repeat: { type: 'integer', minimum: 1 },
+                onDuration: ref('duration'), onPower: ref('power'),
+                offDuration: ref('duration'), offPower: ref('power'),
+                onCadence: ref('cadence'), offCadence: ref('cadence'),
+                paceReference: ref('paceReference')
+            }),
+            freeRide: segment('FreeRide', ['duration'], { duration: ref('duration'), flatRoad: { enum: [0, 1] }, cadence: ref('cadence') }),
+            maxEffort: segment('MaxEffort', ['duration'], { duration: ref('duration') }),
+            repeat: segment('Repeat', ['repeat', 'steps'], {
+                repeat: { type: 'integer', minimum: 1 },
+                steps: { type: 'array', minItems: 1, items: ref('step') }
+            })
+        }
+    };
+}
+
+/**
+ * Checks a value against the subset of JSON Schema used by getWorkoutSchema.
+ * A oneOf whose branches are told apart by a "type" constant reports the
+ * errors of the matching branch, so messages point at the actual problem.
+ * @param {*} value - Value to check.
+ * @param {Object} schema - Schema (or sub-schema) to check against.
+ * @param {Object} root - Root schema, for resolving $ref.
+ * @param {string} path - Location of the value, used in messages.
+ * @param {Array<string>} errors - Collects the problems found.
+ */
+function validateAgainst(value, schema, root, path, errors) {
+    if (schema.$ref) {
+        return validateAgainst(value, root.$defs[schema.$ref.replace('#/$defs/', '')], root, path, errors);
+    }
+    if (schema.oneOf) {
+        const branches = schema.oneOf.map(branch => branch.$ref ? root.$defs[branch.$ref.replace('#/$defs/', '')] : branch);
+        const match = branches.find(branch => branch.properties?.type?.const === value?.type);
+        if (match) {
+            return validateAgainst(value, match, root, path, errors);
+        }
+        const allowed = branches.map(branch => branch.properties?.type?.const).filter(Boolean);
+        errors.push(`${path}: type must be one of ${allowed.join(', ')}`);
+        return;
+    }
+    if ('const' in schema && value !== schema.const) {
+        errors.push(`${path}: must be ${JSON.stringify(schema.const)}`);
+        return;
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${path}: must be one of ${schema.enum.map(item => JSON.stringify(item)).join(', ')}`);
+        return;
+    }
+    if (schema.type) {
+        const types = [].concat(schema.type);
+        const typeOf = item => {
+            if (item === null) return 'null';
+            if (Array.isArray(item)) return 'array';
+            if (Number.isInteger(item) && types.includes('integer')) return 'integer';
+            return typeof item;
+        };
+        if (!types.includes(typeOf(value))) {
+            errors.push(`${path}: must be ${types.join(' or ')}`);
+            return;
+        }
+    }
+    if (typeof value === 'number') {
+        if ('minimum' in schema && value < schema.minimum) errors.push(`${path}: must be at least ${schema.minimum}`);
+        if ('exclusiveMinimum' in schema && value <= schema.exclusiveMinimum) errors.push(`${path}: must be greater than ${schema.exclusiveMinimum}`);
+    }
+    if (typeof value === 'string' && value.length < (schema.minLength || 0)) {
+        errors.push(`${path}: must not be empty`);
+    }
+    if (Array.isArray(value)) {
+        if (value.length < (schema.minItems || 0)) errors.push(`${path}: must have at least ${schema.minItems} item(s)`);
+        if (schema.items) value.forEach((item, index) => validateAgainst(item, schema.items, root, `${path}[${index}]`, errors));
+    } else if (value && typeof value === 'object') {
+        (schema.required || []).filter(key => !(key in value)).forEach(key => errors.push(`${path}.${key}: is required`));
+        Object.entries(value).forEach(([key, item]) => {
+            if (schema.properties?.[key]) {
+                validateAgainst(item, schema.properties[key], root, `${path}.${key}`, errors);
+            } else if (schema.additionalProperties === false) {
+                errors.push(`${path}.${key}: is not allowed`);
+            }
+        });
+    }
+}
+
+/**
+ * Validates a workout model against the schema.
+ * @param {Object} model - The workout model.
+ * @returns {Array<string>} The problems found, empty when the model is valid.
+ */
+export function validateWorkoutModel(model) {
+    const schema = getWorkoutSchema();
+    const errors = [];
+    validateAgainst(model, schema, schema, 'workout', errors);
+    return errors;
+}
+
+/**
+ * Serializes the model as JSON after validating it.
+ * @param {Object} model - The workout model.
+ * @returns {string} The JSON document.
+ */
+export function generateWorkoutJSON(model) {
+    const errors = validateWorkoutModel(model);
+    if (errors.length) {
+        throw new Error(`The workout does not match the JSON schema:\n${errors.join('\n')}`);
+    }
+    return JSON.stringify(model, null, 2) + '\n';
+}
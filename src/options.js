@@ -0,0 +1,81 @@
+/**
+ * WhatsOnZwift Workout Exporter - Options page
+ *
+ * Shows the stored settings in options.html and saves them back. The
+ * settings themselves (defaults, validation, placeholders) live in
+ * settings.js. The team roster below them is saved with the same button.
+ */
+
+import { getDefaultSettings, loadSettings, saveSettings, normalizeSettings, formatFilename } from './settings.js';
+import { loadRoster, saveRoster, renderRosterEditor } from './roster.js';
+
+const EXAMPLE_VALUES = { name: 'Tempo Intervals', duration: '60min', date: new Date().toISOString().slice(0, 10), ftp: '250', sport: 'bike' };
+
+function fillForm(form, settings) {
+    form.elements.author.value = settings.author;
+    form.elements.descriptionTemplate.value = settings.descriptionTemplate;
+    form.elements.tags.value = settings.tags.join(', ');
+    form.elements.filenamePattern.value = settings.filenamePattern;
+    form.elements.ftp.value = settings.ftp || '';
+    form.elements.powerPrecision.value = String(settings.powerPrecision);
+    form.elements.absoluteWatts.checked = settings.absoluteWatts;
+    form.elements.wattsRounding.value = String(settings.wattsRounding);
+    form.elements.cueInterval.value = settings.cueInterval;
+    form.elements.cueCadence.value = settings.cueCadence;
+    form.elements.cueSeparator.value = settings.cueSeparator;
+    showFilenameExample(form);
+}
+
+function readForm(form) {
+    return normalizeSettings({
+        author: form.elements.author.value,
+        descriptionTemplate: form.elements.descriptionTemplate.value,
+        tags: form.elements.tags.value,
+        filenamePattern: form.elements.filenamePattern.value,
+        ftp: form.elements.ftp.value,
+        powerPrecision: form.elements.powerPrecision.value,
+        absoluteWatts: form.elements.absoluteWatts.checked,
+        wattsRounding: form.elements.wattsRounding.value,
+        cueInterval: form.elements.cueInterval.value,
+        cueCadence: form.elements.cueCadence.value,
+        cueSeparator: form.elements.cueSeparator.value
+    });
+}
+
+function showFilenameExample(form) {
+    document.getElementById('filenameExample').textContent = `${formatFilename(readForm(form).filenamePattern, EXAMPLE_VALUES)}.zwo`;
+}
+
+function showStatus(message) {
+    const status = document.getElementById('status');
+    status.textContent = message;
+    setTimeout(() => { status.textContent = ''; }, 2000);
+}
+
+async function initOptionsPage() {
+    const form = document.getElementById('settings');
+    fillForm(form, await loadSettings());
+    const rosterContainer = document.getElementById('roster');
+    let rosterEditor = renderRosterEditor(rosterContainer, await loadRoster());
+    form.elements.filenamePattern.addEventListener('input', () => showFilenameExample(form));
+    form.addEventListener('submit', async event => {
+        event.preventDefault();
+        try {
+            fillForm(form, await saveSettings(readForm(form)));
+            rosterEditor = renderRosterEditor(rosterContainer, await saveRoster(rosterEditor.read()));
+            showStatus('Saved.');
+        } catch (error) {
+            console.error("WhatsOnZwift Exporter: Could not save the settings:", error);
+            alert(`Could not save the settings: ${error.message}`);
+        }
+    });
+    document.getElementById('reset').addEventListener('click', () => {
+        fillForm(form, getDefaultSettings());
+        showStatus('Defaults restored, click Save to keep them.');
+    });
+}
+
+initOptionsPage().catch(error => {
+    console.error("WhatsOnZwift Exporter: Could not load the settings:", error);
+    document.getElementById('status').textContent = `Could not load the settings: ${error.message}`;
+});
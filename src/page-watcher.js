@@ -0,0 +1,90 @@
+/**
+ * WhatsOnZwift Workout Exporter - Page watcher
+ *
+ * whatsonzwift.com renders parts of its pages after load and can switch
+ * workouts without a full reload. The watcher follows DOM changes and
+ * in-page navigation: it attaches the exporter once the page is ready,
+ * attaches it again when it disappears or another workout is shown, and
+ * refreshes it when the FTP or threshold pace on the page changes.
+ */
+
+// Set on every element the exporter adds, so stale ones can be found and removed
+export const INJECTED_ATTRIBUTE = 'data-woz2zwo';
+
+export function markInjected(...elements) {
+    elements.forEach(element => element.setAttribute(INJECTED_ATTRIBUTE, ''));
+}
+
+export function removeInjected(doc = document) {
+    doc.querySelectorAll(`[${INJECTED_ATTRIBUTE}]`).forEach(element => element.remove());
+}
+
+function isInsideInjected(node) {
+    const element = node.nodeType === 1 ? node : node.parentElement;
+    return Boolean(element?.closest(`[${INJECTED_ATTRIBUTE}]`));
+}
+
+/**
+ * Keeps the exporter attached to the page. Checks run after the page has
+ * been quiet for `delay` ms; changes inside the exporter's own elements
+ * are ignored.
+ * @param {Object} hooks - How to read and update the page.
+ * @param {Function} hooks.getPageKey - Identifies the workout shown, e.g. URL and name; a change re-attaches.
+ * @param {Function} hooks.getRefreshKey - Values the exporter depends on, e.g. the FTP; a change refreshes.
+ * @param {Function} hooks.isAttached - True while the exporter's elements are on the page.
+ * @param {Function} hooks.attach - Adds the exporter; returns false if the page isn't ready yet.
+ * @param {Function} hooks.detach - Removes everything the exporter added.
+ * @param {Function} hooks.refresh - Re-reads the page into the attached exporter.
+ * @param {{root: Node, delay: number}} [options] - Element to watch and the quiet time in ms.
+ * @returns {{check: Function, stop: Function}} check runs a check now; stop ends the watching.
+ */
+export function watchPage(hooks, { root = document.body, delay = 300 } = {}) {
+    let pageKey = null;
+    let refreshKey = null;
+    let timer = null;
+
+    const check = () => {
+        timer = null;
+        const currentPage = hooks.getPageKey();
+        if (currentPage !== pageKey || !hooks.isAttached()) {
+            // Another workout, or the site re-rendered over the exporter: start again
+            hooks.detach();
+            pageKey = null;
+            if (hooks.attach() !== false) {
+                pageKey = currentPage;
+                refreshKey = hooks.getRefreshKey();
+            }
+            return;
+        }
+        const currentRefresh = hooks.getRefreshKey();
+        if (currentRefresh !== refreshKey) {
+            refreshKey = currentRefresh;
+            hooks.refresh();
+        }
+    };
+    const schedule = () => {
+        clearTimeout(timer);
+        timer = setTimeout(check, delay);
+    };
+
+    const observer = new MutationObserver(records => {
+        if (records.some(record => !isInsideInjected(record.target))) {
+            schedule();
+        }
+    });
+    observer.observe(root, { childList: true, subtree: true, characterData: true });
+    window.addEventListener('popstate', schedule);
+    // Client-side navigation (pushState) is only visible through the Navigation API
+    window.navigation?.addEventListener('navigatesuccess', schedule);
+
+    check();
+    return {
+        check,
+        stop: () => {
+            clearTimeout(timer);
+            observer.disconnect();
+            window.removeEventListener('popstate', schedule);
+            window.navigation?.removeEventListener('navigatesuccess', schedule);
+        }
+    };
+}
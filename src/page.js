@@ -0,0 +1,179 @@
+/**
+ * WhatsOnZwift Workout Exporter - Page reading
+ *
+ * Finds the workout name, the sport, the rider's FTP or threshold pace and
+ * the workout blocks on a whatsonzwift.com page. Every function takes the document or elements to
+ * read, so the same code runs on the live page, on fetched pages and on
+ * saved HTML files in Node.
+ */
+
+import { parseSegment, parsePace } from './parser.js';
+import { attachTextEvents } from './text-events.js';
+import { applyTransforms } from './transforms.js';
+import { findElement, findElements } from './selectors.js';
+
+export function getWorkoutName(doc = document) {
+    const heading = findElement(doc, 'workoutName');
+    return (heading?.innerText || heading?.textContent)?.trim() || "Zwift Workout";
+}
+
+export function getWorkoutSportType(doc = document) {
+    // Run workouts carry the running icon on their title
+    return findElement(doc, 'runIcon') ? 'run' : 'bike';
+}
+
+export function findWorkoutList(doc = document) {
+    return findElement(doc, 'workoutList');
+}
+
+/**
+ * Builds a block element like the site's .textbar from plain block text,
+ * turning every "NN%" into the power (or, before "pace", pace) span
+ * parseSegment reads.
+ * @param {string} text - Block text such as "10min @ 80% FTP".
+ * @param {Document} [doc] - Document to create the element in.
+ * @returns {Element} The block element.
+ */
+export function createBlockElement(text, doc = document) {
+    const element = doc.createElement('div');
+    element.className = 'textbar';
+    let last = 0;
+    for (const match of text.matchAll(/(\d+(?:\.\d+)?)\s*%(?:\s*FTP)?/gi)) {
+        const end = match.index + match[0].length;
+        const pace = /^\s*pace/i.test(text.slice(end));
+        const span = doc.createElement('span');
+        span.dataset.value = match[1];
+        span.dataset.unit = pace ? 'relpace' : 'relpow';
+        span.textContent = match[1];
+        element.append(text.slice(last, match.index), span, pace ? '%' : '% FTP');
+        last = end;
+    }
+    element.append(text.slice(last));
+    return element;
+}
+
+/**
+ * Finds the workout's block elements: the .textbar list, or when the site
+ * no longer has one, blocks rebuilt from the tooltips of the workout graph.
+ * @param {Document} [doc] - The workout page.
+ * @returns {Array<Element>} One element per block, in order.
+ */
+export function findWorkoutBlocks(doc = document) {
+    const workoutList = findWorkoutList(doc);
+    const blocks = workoutList ? findElements(workoutList, 'blocks') : [];
+    if (blocks.length) {
+        return blocks;
+    }
+    const bars = findElements(doc, 'graphBars');
+    if (bars.length) {
+        console.warn("WhatsOnZwift Exporter: No workout blocks found, reading the workout graph instead.");
+    }
+    return bars
+        .map(bar => (bar.getAttribute('title') || bar.getAttribute('data-original-title') || '').trim())
+        .filter(Boolean)
+        .map(text => createBlockElement(text, doc));
+}
+
+export function getSafeFilename(name) {
+    return name.replace(/[^a-z0-9_\-\s\.]/gi, '_').replace(/\s+/g, '_');
+}
+
+export function getPageFtp(doc = document) {
+    // When the page shows watts, each power span holds the %FTP in data-value and the watts as text.
+    // Derive the FTP from the highest-percentage span to minimise rounding error.
+    let best = null;
+    findElements(doc, 'powerValues').forEach(span => {
+        const percent = parseFloat(span.dataset.value);
+        const watts = parseFloat(span.textContent);
+        const unitText = span.nextSibling?.textContent || '';
+        if (!/^\s*W/.test(unitText) || !(percent > 0) || isNaN(watts)) return;
+        if (!best || percent > best.percent) {
+            best = { percent, watts };
+        }
+    });
+    return best ? Math.round(best.watts * 100 / best.percent) : null;
+}
+
+export function getPageThresholdPace(doc = document) {
+    // Run pages with a threshold pace set show each target as a pace, with the %threshold in data-value.
+    // Pace is the inverse of speed, so threshold = pace * percent / 100. Returns seconds per km.
+    let best = null;
+    findElements(doc, 'paceValues').forEach(span => {
+        const percent = parseFloat(span.dataset.value);
+        const pace = parsePace(span.textContent + (span.nextSibling?.textContent || ''));
+        if (!(percent > 0) || !pace) return;
+        if (!best || percent > best.percent) {
+            best = { percent, pace };
+        }
+    });
+    return best ? Math.round(best.pace * best.percent / 100) : null;
+}
+
+export function getSegmentNotes(element) {
+    // Notes appear as a tooltip on the block or as note elements inside it
+    const notes = [];
+    const tooltip = element.getAttribute('title') || element.getAttribute('data-original-title');
+    if (tooltip?.trim()) {
+        notes.push(tooltip.trim());
+    }
+    element.querySelectorAll('.textbar-note, .note').forEach(note => {
+        const noteText = (note.innerText || note.textContent || '').trim();
+        if (noteText) {
+            notes.push(noteText);
+        }
+    });
+    return notes;
+}
+
+export function parsePageBlocks(segmentElements, parseOptions = {}) {
+    // One entry per .textbar, failed blocks included, so the preview can show what went wrong
+    return Array.from(segmentElements).map((el, index) => {
+        const text = (el.innerText || el.textContent || '').trim();
+        const notes = getSegmentNotes(el);
+        try {
+            const segment = parseSegment(el, parseOptions);
+            if (!segment) {
+                console.warn(`WhatsOnZwift Exporter: Skipping unparsable segment #${index + 1}:`, text);
+            }
+            return { index, text, notes, segment, error: segment ? null : 'Could not parse this block' };
+        } catch (parseError) {
+            console.error(`WhatsOnZwift Exporter: Error parsing segment #${index + 1}:`, text, parseError);
+            return { index, text, notes, segment: null, error: parseError.message };
+        }
+    });
+}
+
+export function collectBlockSegments(blocks, cueOptions = {}, overrides, transform) {
+    // Hand-edited blocks from the preview replace what was parsed from the page.
+    // Transforms run before the cues are built so interval counts stay right.
+    const kept = [];
+    let skipped = 0;
+    blocks.forEach(block => {
+        const segment = overrides?.get(block.index) || block.segment;
+        if (segment) {
+            kept.push({ segment, notes: block.notes });
+        } else {
+            skipped++;
+        }
+    });
+    const raw = kept.map(entry => entry.segment);
+    const transformed = transform ? applyTransforms(raw, transform) : raw;
+    const segments = transformed.map((segment, i) => attachTextEvents(segment, kept[i].notes, cueOptions));
+    return { segments, skipped };
+}
+
+export function parsePageSegments(segmentElements, cueOptions = {}, parseOptions = {}) {
+    return collectBlockSegments(parsePageBlocks(segmentElements, parseOptions), cueOptions);
+}
+
+export function parseWorkoutDocument(doc, cueOptions = {}) {
+    const segmentElements = findWorkoutBlocks(doc);
+    const sportType = getWorkoutSportType(doc);
+    const parseOptions = { thresholdPace: getPageThresholdPace(doc) };
+    return {
+        name: getWorkoutName(doc),
+        sportType,
+        ftp: sportType === 'bike' ? getPageFtp(doc) : null,
+        ...parsePageSegments(segmentElements, cueOptions, parseOptions)
+    };
+}
@@ -0,0 +1,351 @@
+/**
+ * WhatsOnZwift Workout Exporter - Segment parser
+ *
+ * Reads one workout block from a whatsonzwift.com page (a .textbar element)
+ * into a segment object, plus the helpers every output format shares:
+ * durations, repeat expansion and ZWO element classification.
+ */
+
+// A block or interval step without a target, to be ridden as hard as possible
+const MAX_EFFORT_PATTERN = /^([\d.]+\s*min(?:\s+\d+sec)?|\d+\s*sec)\s+(?:@\s+)?(?:\d+\s*rpm,?\s+)?(?:max(?:imum)?(?:\s+effort)?|all[\s-]*out|sprint)\b/i;
+
+// Power (fraction of FTP) counted for a max effort wherever a number is needed:
+// inside the neuromuscular zone, which metrics.js starts above 1.5
+export const MAX_EFFORT_POWER = 1.6;
+
+export function parseDuration(durationStr) {
+    if (!durationStr) return 0;
+    let duration = 0;
+    
+    // Handle combined formats like "7min 30sec"
+    if (durationStr.includes("min") && durationStr.includes("sec")) {
+        const minMatch = durationStr.match(/([\d.]+)\s*min/i);
+        const secMatch = durationStr.match(/([\d.]+)\s*sec/i);
+        
+        const minutes = minMatch && minMatch[1] ? parseFloat(minMatch[1]) : 0;
+        const seconds = secMatch && secMatch[1] ? parseFloat(secMatch[1]) : 0;
+        
+        duration = (minutes * 60) + seconds;
+    } else {
+        // Handle simple formats like "7min" or "30sec"
+        const minMatch = durationStr.match(/([\d.]+)\s*min/i);
+        const secMatch = durationStr.match(/([\d.]+)\s*sec/i);
+
+        if (minMatch && minMatch[1]) {
+            duration = parseFloat(minMatch[1]) * 60;
+        } else if (secMatch && secMatch[1]) {
+            duration = parseFloat(secMatch[1]);
+        }
+    }
+
+    if (isNaN(duration) || duration < 0) {
+        console.warn("Could not parse duration:", durationStr);
+        return 0; // Return 0 for invalid or unparsed durations
+    }
+    // ZWO format requires integer seconds for duration
+    return Math.round(duration);
+}
+
+export function formatDuration(seconds) {
+    if (seconds % 60 === 0) return `${seconds / 60}min`;
+    if (seconds > 60) return `${Math.floor(seconds / 60)}min ${seconds % 60}sec`;
+    return `${seconds}sec`;
+}
+
+export function getSegmentDuration(segment) {
+    switch (segment.type) {
+        case 'IntervalsT':
+            return segment.repeat * (segment.onDuration + segment.offDuration);
+        case 'Repeat':
+            return expandRepeat(segment).reduce((total, step) => total + step.duration, 0);
+        default:
+            return segment.duration || 0;
+    }
+}
+
+export function parseSegment(element, options = {}) {
+    // Coaching notes inside the block are read by getSegmentNotes, keep them out of the parsed text
+    let textSource = element;
+    if (element.querySelector('.textbar-note, .note')) {
+        textSource = element.cloneNode(true);
+        textSource.querySelectorAll('.textbar-note, .note').forEach(note => note.remove());
+    }
+    const text = (textSource.innerText || textSource.textContent || '').trim();
+    const targets = getTargetValues(element, text, options);
+    const paceReference = getPaceReference(text);
+    const style = element.getAttribute('style') || '';
+
+    const cadenceMatch = text.match(/(\d+)\s*rpm/i);
+    const cadence = cadenceMatch ? parseInt(cadenceMatch[1], 10) : null;
+
+    // Check for Free Ride: "Xmin free ride", optionally with a cadence target ("10min @ 85rpm, free ride")
+    const freeRideMatch = text.match(/^([\d.]+\s*min(?:\s+\d+sec)?|\d+\s*sec)\s+(?:@\s+\d+\s*rpm,?\s+)?free\s*ride/i);
+    if (freeRideMatch) {
+        const duration = parseDuration(freeRideMatch[1]);
+        if (duration > 0) {
+            return cadence ? { type: 'FreeRide', duration, flatRoad: 1, cadence } : { type: 'FreeRide', duration, flatRoad: 1 };
+        }
+    }
+
+    // Sprints have no target at all: "30sec MAX", "20sec max effort", "1min all out"
+    const maxEffortMatch = text.match(MAX_EFFORT_PATTERN);
+    if (maxEffortMatch && !targets.length) {
+        const duration = parseDuration(maxEffortMatch[1]);
+        if (duration > 0) {
+            return { type: 'MaxEffort', duration };
+        }
+    }
+
+    // New, more robust regex for Ramp
+    const rampMatch = text.match(/^([\d.]+\s*min(?:\s+\d+sec)?|\d+\s*sec)\s+@\s+\d+rpm,\s+from\s+/i) || 
+                      text.match(/^([\d.]+\s*min(?:\s+\d+sec)?|\d+\s*sec)\s+from\s+/i);
+    
+    if (rampMatch && targets.length === 2) {
+        try {
+            const durationStr = rampMatch[1];
+            const duration = parseDuration(durationStr);
+            const powerLow = targets[0] / 100;
+            const powerHigh = targets[1] / 100;
+            if (duration > 0 && !isNaN(powerLow) && !isNaN(powerHigh)) {
+                return withPaceReference({ type: 'Ramp', duration, powerLow, powerHigh, cadence }, paceReference);
+            }
+        } catch (error) {
+            console.error("Error parsing Ramp segment:", error, text);
+        }
+    }
+
+    // New, more robust regex for Steady State
+    const steadyMatch = text.match(/^([\d.]+\s*min(?:\s+\d+sec)?|\d+\s*sec)\s+@\s+/i);
+    if (steadyMatch && targets.length === 1) {
+        const durationStr = steadyMatch[1];
+        const duration = parseDuration(durationStr);
+        const power = targets[0] / 100;
+        if (duration > 0 && !isNaN(power)) {
+            return withPaceReference({ type: 'SteadyState', duration, power, cadence }, paceReference);
+        }
+    }
+
+    // Two targets without "from" are a range to stay within: "10min @ 85-95% FTP". The midpoint is the power.
+    if (steadyMatch && targets.length === 2) {
+        const duration = parseDuration(steadyMatch[1]);
+        const [powerLow, powerHigh] = targets.map(value => value / 100);
+        if (duration > 0 && !isNaN(powerLow) && !isNaN(powerHigh)) {
+            const power = (targets[0] + targets[1]) / 200;
+            return withPaceReference({ type: 'SteadyState', duration, power, powerLow, powerHigh, cadence }, paceReference);
+        }
+    }
+
+    // Intervals: "Nx <step>, <step>[, <step>...]", optionally wrapped in parentheses.
+    // Two steady steps map to IntervalsT, anything longer or containing a ramp becomes a Repeat.
+    const intervalMatch = text.match(/^(\d+)x\s+\(?\s*([\d.]+\s*min(?:\s+\d+sec)?|\d+\s*sec)\s+(?:@|from|max|all[\s-]*out|sprint)/i);
+    if (intervalMatch) {
+        try {
+            const repeat = parseInt(intervalMatch[1], 10);
+            const stepsText = text.replace(/^\d+x\s+\(?/i, '').replace(/\)\s*$/, '');
+            const steps = parseRepeatSteps(stepsText, targets);
+
+            if (!isNaN(repeat) && repeat > 0 && steps) {
+                const [on, off] = steps;
+                if (steps.length === 2 && on.type === 'SteadyState' && off.type === 'SteadyState') {
+                    return withPaceReference({
+                        type: 'IntervalsT', repeat,
+                        onDuration: on.duration, onPower: on.power,
+                        offDuration: off.duration, offPower: off.power,
+                        onCadence: on.cadence, offCadence: off.cadence
+                    }, paceReference);
+                }
+                return { type: 'Repeat', repeat, steps: steps.map(step => step.type === 'MaxEffort' ? step : withPaceReference(step, paceReference)) };
+            } else {
+                console.warn("Invalid interval values:", { repeat, steps: stepsText });
+            }
+        } catch (error) {
+            console.error("Error parsing interval:", error, text);
+        }
+    }
+
+    // Fallback or complex structure not directly parsed yet.
+    console.warn("Could not parse segment:", text);
+    if (targets.length === 1) {
+        const durationMatch = text.match(/^([\d.]+\s*min(?:\s+\d+sec)?|\d+\s*sec)/i);
+        if (durationMatch) {
+            const duration = parseDuration(durationMatch[1]);
+            const power = targets[0] / 100;
+            if (duration > 0 && !isNaN(power)) {
+                return withPaceReference({ type: 'SteadyState', duration, power, cadence }, paceReference);
+            }
+        }
+    }
+
+    return null;
+}
+
+function parseRepeatSteps(stepsText, targets) {
+    // Steps are separated by a comma or line break that is followed by the next step's duration
+    const stepTexts = stepsText.split(/\s*[,\n]\s*(?=(?:[\d.]+\s*min|\d+\s*sec))/i);
+    if (stepTexts.length < 2) {
+        return null;
+    }
+
+    const steps = [];
+    let targetIndex = 0;
+    for (const stepText of stepTexts) {
+        const durationMatch = stepText.match(/^([\d.]+\s*min(?:\s+\d+sec)?|\d+\s*sec)/i);
+        const duration = durationMatch ? parseDuration(durationMatch[1]) : 0;
+        const cadenceMatch = stepText.match(/(\d+)\s*rpm/i);
+        const cadence = cadenceMatch ? parseInt(cadenceMatch[1], 10) : null;
+        if (duration > 0 && MAX_EFFORT_PATTERN.test(stepText)) {
+            steps.push({ type: 'MaxEffort', duration });
+            continue;
+        }
+        const isRamp = /\bfrom\b/i.test(stepText);
+        const stepTargets = targets.slice(targetIndex, targetIndex + (isRamp ? 2 : 1));
+        targetIndex += stepTargets.length;
+
+        if (duration <= 0 || stepTargets.length !== (isRamp ? 2 : 1)) {
+            return null;
+        }
+        const powers = stepTargets.map(value => value / 100);
+        if (powers.some(isNaN)) {
+            return null;
+        }
+        steps.push(isRamp
+            ? { type: 'Ramp', duration, powerLow: powers[0], powerHigh: powers[1], cadence }
+            : { type: 'SteadyState', duration, power: powers[0], cadence });
+    }
+
+    // Every target must belong to a step
+    return targetIndex === targets.length ? steps : null;
+}
+
+/**
+ * Reads a run pace such as "4:30/km", "7:15 min/mile" or "4:30 min/km".
+ * @param {string} text - The pace text.
+ * @returns {?number} Seconds per kilometre, or null if the text is not a pace.
+ */
+export function parsePace(text) {
+    const match = String(text).match(/(\d{1,2}):([0-5]\d)\s*(?:min\s*)?(?:\/\s*(km|mi(?:le)?)\b)?/i);
+    if (!match) return null;
+    const seconds = parseInt(match[1], 10) * 60 + parseInt(match[2], 10);
+    return /^mi/i.test(match[3] || '') ? seconds / 1.609344 : seconds;
+}
+
+/**
+ * Collects a block's targets in page order as percentages: the %FTP or
+ * %threshold pace the site puts in data-value, or, on run blocks written
+ * out as text, "% pace" values and absolute paces converted with the
+ * rider's threshold pace.
+ * @param {Element} element - The .textbar element.
+ * @param {string} text - The block text, without notes.
+ * @param {{thresholdPace?: number}} options - Threshold pace in seconds per km.
+ * @returns {Array<number>} The targets.
+ * @throws {Error} If an absolute pace is found and no threshold pace is known.
+ */
+function getTargetValues(element, text, options) {
+    const spans = Array.from(element.querySelectorAll('span[data-value]'));
+    if (spans.length) {
+        return spans.map(span => parseFloat(span.dataset.value));
+    }
+    if (!/pace|\d:[0-5]\d\s*(?:min\s*)?\/\s*(?:km|mi)/i.test(text)) {
+        return [];
+    }
+    const values = [];
+    for (const match of text.matchAll(/\d{1,2}:[0-5]\d\s*(?:min\s*)?\/\s*(?:km|mi(?:le)?)\b|(\d+(?:\.\d+)?)\s*%/gi)) {
+        if (match[1]) {
+            values.push(parseFloat(match[1]));
+        } else if (options.thresholdPace > 0) {
+            // A faster pace is a higher intensity: threshold / pace, as a percentage
+            values.push(Math.round(options.thresholdPace / parsePace(match[0]) * 100));
+        } else {
+            throw new Error(`A threshold pace is needed to turn ${match[0]} into a pace target`);
+        }
+    }
+    return values;
+}
+
+/**
+ * Finds which reference pace a run block is relative to, e.g. "85% 5K pace".
+ * Threshold pace, the default, has no reference.
+ * @param {string} text - The block text.
+ * @returns {?string} One of PACE_REFERENCES, or null.
+ */
+export function getPaceReference(text) {
+    const match = text.match(/\b(1\s*mi(?:le)?|5\s*km?|10\s*km?|half[\s-]*marathon|marathon)\s+pace\b/i);
+    if (!match) return null;
+    const reference = match[1].toLowerCase().replace(/\s+/g, '');
+    if (reference.startsWith('1mi')) return '1mile';
+    if (reference.startsWith('half')) return 'half-marathon';
+    return reference.replace(/km$/, 'k');
+}
+
+function withPaceReference(segment, paceReference) {
+    return paceReference ? { ...segment, paceReference } : segment;
+}
+
+export function expandRepeat(segment) {
+    const sequence = [];
+    for (let i = 0; i < segment.repeat; i++) {
+        segment.steps.forEach(step => {
+            if (step.type === 'Repeat') {
+                sequence.push(...expandRepeat(step));
+            } else {
+                sequence.push({ ...step });
+            }
+        });
+    }
+    return sequence;
+}
+
+export function classifySegmentTag(segment, index, segmentCount) {
+    // Warmup and Cooldown are ramps in ZWO (PowerLow/PowerHigh), so only ramps are promoted.
+    // Steady blocks and interval sets keep their own element wherever they appear.
+    if (segment.type !== 'Ramp') {
+        return segment.type;
+    }
+    if (index === 0) {
+        return 'Warmup';
+    }
+    if (index === segmentCount - 1) {
+        return 'Cooldown';
+    }
+    return segment.type;
+}
+
+/**
+ * Flattens the segment list into linear steps with a start and end power
+ * (as FTP fractions). Intervals are unrolled, free rides and max efforts
+ * keep a flag since not every format can express them.
+ * @param {Array<Object>} segments - Segments as returned by parseSegment.
+ * @returns {Array<{duration: number, powerStart: number, powerEnd: number, cadence: ?number, freeRide: boolean, maxEffort?: boolean}>}
+ */
+export function expandSegmentSteps(segments) {
+    const steps = [];
+    segments.forEach(segment => {
+        switch (segment.type) {
+            case 'Ramp':
+                steps.push({ duration: segment.duration, powerStart: segment.powerLow, powerEnd: segment.powerHigh, cadence: segment.cadence || null, freeRide: false });
+                break;
+            case 'SteadyState':
+                steps.push({ duration: segment.duration, powerStart: segment.power, powerEnd: segment.power, cadence: segment.cadence || null, freeRide: false });
+                break;
+            case 'IntervalsT':
+                for (let i = 0; i < segment.repeat; i++) {
+                    steps.push({ duration: segment.onDuration, powerStart: segment.onPower, powerEnd: segment.onPower, cadence: segment.onCadence || null, freeRide: false });
+                    steps.push({ duration: segment.offDuration, powerStart: segment.offPower, powerEnd: segment.offPower, cadence: segment.offCadence || null, freeRide: false });
+                }
+                break;
+            case 'Repeat':
+                steps.push(...expandSegmentSteps(expandRepeat(segment)));
+                break;
+            case 'FreeRide':
+                // Trainer formats have no "free ride"; hold an easy 50% so the timeline stays intact.
+                steps.push({ duration: segment.duration, powerStart: 0.5, powerEnd: 0.5, cadence: segment.cadence || null, freeRide: true });
+                break;
+            case 'MaxEffort':
+                steps.push({ duration: segment.duration, powerStart: MAX_EFFORT_POWER, powerEnd: MAX_EFFORT_POWER, cadence: null, freeRide: false, maxEffort: true });
+                break;
+            default:
+                console.warn("Unhandled segment type for step expansion:", segment.type);
+        }
+    });
+    return steps;
+}
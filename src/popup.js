@@ -0,0 +1,106 @@
+/**
+ * WhatsOnZwift Workout Exporter - Library popup
+ *
+ * The toolbar popup (popup.html): lists the workouts kept by library.js,
+ * filters them as you type and downloads or deletes them. Above the
+ * library it shows the session collected by cart.js, when there is one.
+ */
+
+import { loadLibrary, addToLibrary, deleteFromLibrary, searchLibrary, renderLibraryList } from './library.js';
+import { getExporters } from './exporters.js';
+import { downloadFile, getExportOptions } from './ui.js';
+import { loadSettings, getTemplateValues, applySettingsToModel, formatFilename } from './settings.js';
+import { loadCart, saveCart, createCartModel, getCartSportType, renderCartList } from './cart.js';
+import { computeWorkoutMetrics } from './metrics.js';
+import { formatDuration } from './parser.js';
+
+const exporters = getExporters();
+let library = [];
+let cart = [];
+
+async function exportEntry(entry, format) {
+    const exporter = exporters[format];
+    try {
+        // Same defaults as an export from the page; the FTP saved with the workout comes first
+        const settings = await loadSettings();
+        const options = getExportOptions(exporter, settings, { ftp: entry.model.ftp }, entry.model.sportType);
+        if (!options) {
+            return;
+        }
+        const baseModel = { ...entry.model, ftp: options.ftp || null };
+        const templateValues = getTemplateValues(baseModel);
+        const model = applySettingsToModel(baseModel, settings, templateValues);
+        downloadFile(`${formatFilename(settings.filenamePattern, templateValues)}.${exporter.extension}`, exporter.generate(model, options), exporter.mimeType);
+        library = await addToLibrary([model]);
+        render();
+    } catch (error) {
+        console.error(`WhatsOnZwift Exporter: Error exporting ${entry.model.name} from the library:`, error);
+        alert(`Could not create the workout file. Nothing was saved.\n\n${error.message}`);
+    }
+}
+
+async function deleteEntry(entry) {
+    if (!confirm(`Remove "${entry.model.name}" from the library?`)) {
+        return;
+    }
+    library = await deleteFromLibrary(entry.id);
+    render();
+}
+
+async function updateCart(updated) {
+    cart = await saveCart(updated);
+    renderSession();
+}
+
+function renderSession() {
+    document.getElementById('session').hidden = !cart.length;
+    const { duration } = computeWorkoutMetrics(cart.map(item => item.segment));
+    document.getElementById('sessionTotals').textContent = `${cart.length} block(s), ${formatDuration(duration)}`;
+    renderCartList(document.getElementById('sessionItems'), cart, {
+        onChange: updateCart,
+        getRecovery: () => document.getElementById('recovery').value
+    });
+}
+
+async function exportSession() {
+    const exporter = exporters.zwo;
+    try {
+        const settings = await loadSettings();
+        const options = getExportOptions(exporter, settings, {}, getCartSportType(cart));
+        if (!options) {
+            return;
+        }
+        const baseModel = { ...createCartModel(cart), ftp: options.ftp || null };
+        const templateValues = getTemplateValues(baseModel);
+        // The list of source workouts replaces the template, which describes a single page
+        const model = { ...applySettingsToModel(baseModel, settings, templateValues), description: baseModel.description };
+        downloadFile(`${formatFilename(settings.filenamePattern, templateValues)}.${exporter.extension}`, exporter.generate(model, options), exporter.mimeType);
+        library = await addToLibrary([model]);
+        render();
+    } catch (error) {
+        console.error("WhatsOnZwift Exporter: Error exporting the session:", error);
+        alert(`Could not create the workout file. Nothing was saved.\n\n${error.message}`);
+    }
+}
+
+function render() {
+    const query = document.getElementById('search').value;
+    renderLibraryList(document.getElementById('entries'), searchLibrary(library, query), exporters, { onExport: exportEntry, onDelete: deleteEntry });
+}
+
+async function initPopup() {
+    library = await loadLibrary();
+    cart = await loadCart();
+    document.getElementById('search').addEventListener('input', render);
+    document.getElementById('sessionDownload').addEventListener('click', exportSession);
+    document.getElementById('sessionClear').addEventListener('click', () => {
+        if (confirm("Remove every block from the session?")) updateCart([]);
+    });
+    renderSession();
+    render();
+}
+
+initPopup().catch(error => {
+    console.error("WhatsOnZwift Exporter: Could not load the library:", error);
+    document.getElementById('entries').textContent = `Could not load the library: ${error.message}`;
+});
@@ -0,0 +1,170 @@
+/**
+ * WhatsOnZwift Workout Exporter - Segment preview panel
+ *
+ * Lists every block on the page with what the parser made of it, highlights
+ * blocks that failed, and lets the user fix a block by typing it as
+ * shorthand ("10min @ 80%", "5x 1min @ 120% / 1min @ 50%") before export.
+ */
+
+import { formatDuration, getSegmentDuration, parseSegment, parsePace } from './parser.js';
+import { createBlockElement } from './page.js';
+import { describeSegment } from './zwo-import.js';
+
+const ABSOLUTE_PACE_PATTERN = /\d{1,2}:[0-5]\d\s*(?:min\s*)?\/\s*(?:km|mi(?:le)?)\b/gi;
+
+/**
+ * Parses shorthand block text with the page parser: every "NN%" becomes the
+ * power span parseSegment reads from WhatsOnZwift pages, and " / " separates
+ * interval steps. Absolute paces such as "4:30/km" are read with the
+ * threshold pace, as on the page.
+ * @param {string} text - Shorthand such as "3x 8min @ 95% / 4min @ 55%".
+ * @param {{thresholdPace?: number}} [options] - Threshold pace in seconds per km.
+ * @returns {?Object} The segment, or null if the text is not understood.
+ */
+export function parseSegmentText(text, options = {}) {
+    let shorthand = (text || '').trim();
+    if (shorthand.match(ABSOLUTE_PACE_PATTERN) && !(options.thresholdPace > 0)) {
+        return null;
+    }
+    // Turned into "% pace" first, so the "/" inside "4:30/km" is not taken for a step separator
+    shorthand = shorthand.replace(ABSOLUTE_PACE_PATTERN, pace => `${Math.round(options.thresholdPace / parsePace(pace) * 100)}% pace`);
+    return parseSegment(createBlockElement(shorthand.replace(/\s+\/\s+/g, ', ')), options);
+}
+
+/**
+ * Column values for one segment in the preview.
+ * @param {Object} segment - A segment object.
+ * @returns {{type: string, duration: string, power: string, cadence: string}}
+ */
+export function summarizeSegment(segment) {
+    const percent = power => `${Math.round(power * 100)}%`;
+    const stepPower = step => {
+        if (step.type === 'MaxEffort') return 'max';
+        if (step.type === 'Ramp') return `${percent(step.powerLow)}→${percent(step.powerHigh)}`;
+        return step.powerLow !== undefined ? `${percent(step.powerLow)}–${percent(step.powerHigh)}` : percent(step.power);
+    };
+    const rpm = cadences => cadences.some(Boolean) ? cadences.map(cadence => cadence || '–').join(' / ') + 'rpm' : '–';
+    const summary = { type: segment.type, duration: formatDuration(getSegmentDuration(segment)), power: '–', cadence: '–' };
+    switch (segment.type) {
+        case 'SteadyState':
+            summary.power = stepPower(segment);
+            summary.cadence = rpm([segment.cadence]);
+            break;
+        case 'Ramp':
+            summary.power = `${percent(segment.powerLow)} → ${percent(segment.powerHigh)}`;
+            summary.cadence = rpm([segment.cadence]);
+            break;
+        case 'IntervalsT':
+            summary.type = `IntervalsT ${segment.repeat}x`;
+            summary.power = `${percent(segment.onPower)} / ${percent(segment.offPower)}`;
+            summary.cadence = rpm([segment.onCadence, segment.offCadence]);
+            break;
+        case 'Repeat':
+            summary.type = `Repeat ${segment.repeat}x`;
+            summary.power = segment.steps.map(stepPower).join(' / ');
+            summary.cadence = rpm(segment.steps.map(step => step.cadence));
+            break;
+        case 'FreeRide':
+            summary.cadence = rpm([segment.cadence]);
+            break;
+        case 'MaxEffort':
+            summary.power = stepPower(segment);
+            break;
+    }
+    return summary;
+}
+
+/**
+ * Renders (or re-renders) the preview into the panel element.
+ * @param {HTMLElement} panel - Container to render into; its content is replaced.
+ * @param {Array<Object>} blocks - Results of parsePageBlocks.
+ * @param {Map<number, Object>} overrides - Hand-edited segments by block index; updated in place.
+ * @param {Function} onChange - Called after the user edits or resets a block.
+ * @param {Function} [onAddToSession] - When given, parsed blocks get a button calling it with the block's segment.
+ * @param {{thresholdPace?: number}} [parseOptions] - Options the page was parsed with, for blocks fixed by hand.
+ */
+export function renderPreviewPanel(panel, blocks, overrides, onChange, onAddToSession, parseOptions = {}) {
+    panel.replaceChildren();
+    const failed = blocks.filter(block => !block.segment && !overrides.has(block.index)).length;
+
+    const heading = document.createElement('div');
+    heading.textContent = `Preview: ${blocks.length} block(s)` + (failed ? `, ${failed} could not be parsed and will be skipped` : '');
+    Object.assign(heading.style, { padding: '6px 8px', fontWeight: 'bold', background: failed ? '#ffcdd2' : '#f5f5f5' });
+    panel.appendChild(heading);
+
+    const cellStyle = { padding: '3px 6px', borderTop: '1px solid #ddd', textAlign: 'left', verticalAlign: 'top' };
+    const table = document.createElement('table');
+    Object.assign(table.style, { width: '100%', borderCollapse: 'collapse' });
+    const headerRow = table.insertRow();
+    ['#', 'Type', 'Duration', 'Power', 'Cadence', ''].forEach(title => {
+        const cell = document.createElement('th');
+        cell.textContent = title;
+        Object.assign(cell.style, cellStyle);
+        headerRow.appendChild(cell);
+    });
+
+    const actionButton = (label, onClick) => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.textContent = label;
+        Object.assign(button.style, { marginRight: '4px', fontSize: '12px', cursor: 'pointer' });
+        button.addEventListener('click', onClick);
+        return button;
+    };
+
+    blocks.forEach(block => {
+        const edited = overrides.get(block.index);
+        const segment = edited || block.segment;
+        const row = table.insertRow();
+        row.className = 'zwo-preview-row';
+        row.style.background = segment ? (edited ? '#fff8e1' : 'white') : '#ffebee';
+        row.style.color = segment ? 'inherit' : '#c62828';
+        row.title = block.text;
+
+        const summary = segment ? summarizeSegment(segment) : { type: 'Not parsed', duration: '', power: block.text, cadence: '' };
+        [String(block.index + 1), summary.type + (edited ? ' (edited)' : ''), summary.duration, summary.power, summary.cadence].forEach(value => {
+            const cell = row.insertCell();
+            cell.textContent = value;
+            Object.assign(cell.style, cellStyle);
+        });
+
+        const actions = row.insertCell();
+        Object.assign(actions.style, cellStyle, { whiteSpace: 'nowrap' });
+        actions.appendChild(actionButton(segment ? 'Edit' : 'Fix', () => {
+            const input = document.createElement('input');
+            input.type = 'text';
+            input.value = segment ? describeSegment(segment) : block.text;
+            input.placeholder = 'e.g. 10min @ 80% or 5x 1min @ 120% / 1min @ 50%';
+            Object.assign(input.style, { width: '100%', boxSizing: 'border-box', fontSize: '12px' });
+            const apply = () => {
+                const parsed = parseSegmentText(input.value, parseOptions);
+                if (!parsed) {
+                    input.style.borderColor = '#c62828';
+                    input.title = 'Could not understand this block. Use e.g. "10min @ 80%", "8min from 50% to 75%" or "5x 1min @ 120% / 1min @ 50%".';
+                    return;
+                }
+                overrides.set(block.index, parsed);
+                onChange();
+            };
+            input.addEventListener('keydown', event => {
+                if (event.key === 'Enter') apply();
+                if (event.key === 'Escape') onChange();
+            });
+            actions.replaceChildren(input, actionButton('Apply', apply), actionButton('Cancel', onChange));
+            input.focus();
+        }));
+        if (edited) {
+            actions.appendChild(actionButton('Reset', () => {
+                overrides.delete(block.index);
+                onChange();
+            }));
+        }
+        if (segment && onAddToSession) {
+            const addButton = actionButton('+ Session', () => onAddToSession(segment));
+            addButton.title = 'Add this block to the session in the toolbar popup';
+            actions.appendChild(addButton);
+        }
+    });
+
+    panel.appendChild(table);
+}
@@ -0,0 +1,208 @@
+/**
+ * WhatsOnZwift Workout Exporter - Team roster
+ *
+ * The athletes a coach exports for, each with an FTP, weight, intensity
+ * and unit mode (% FTP or fixed watts). Kept in chrome.storage.sync and
+ * edited on the options page; on a workout page one click then gives a
+ * zip with a personalised file per athlete.
+ */
+
+import { scaleIntensity } from './transforms.js';
+import { getSafeFilename } from './page.js';
+import { getWorkoutDescription } from './model.js';
+import { createZip } from './zip.js';
+import { getDefaultSettings, getTemplateValues, applySettingsToModel, formatFilename } from './settings.js';
+
+const ROSTER_KEY = 'roster';
+export const ATHLETE_UNITS = ['percent', 'watts'];
+
+/**
+ * Cleans up one athlete as typed on the options page.
+ * @param {Object} athlete - Raw values: name, ftp, weight, intensity (%) and units.
+ * @returns {?{name: string, ftp: ?number, weight: ?number, intensity: number, units: string}} The athlete, or null without a name.
+ */
+export function normalizeAthlete(athlete = {}) {
+    const name = String(athlete.name || '').trim();
+    if (!name) {
+        return null;
+    }
+    const ftp = parseInt(athlete.ftp, 10);
+    const weight = parseFloat(athlete.weight);
+    const intensity = parseInt(athlete.intensity, 10);
+    return {
+        name,
+        ftp: ftp > 0 ? ftp : null,
+        weight: weight > 0 ? Math.round(weight * 10) / 10 : null,
+        intensity: intensity > 0 && intensity <= 200 ? intensity : 100,
+        units: ATHLETE_UNITS.includes(athlete.units) ? athlete.units : 'percent'
+    };
+}
+
+/**
+ * Cleans up a roster: athletes without a name are dropped, and of two
+ * athletes with the same name only the first is kept.
+ * @param {Array<Object>} roster - Raw athletes.
+ * @returns {Array<Object>} The usable athletes, in order.
+ */
+export function normalizeRoster(roster) {
+    const seen = new Set();
+    return (Array.isArray(roster) ? roster : []).map(normalizeAthlete).filter(athlete => {
+        const key = athlete?.name.toLowerCase();
+        if (!athlete || seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    });
+}
+
+export async function loadRoster() {
+    if (typeof chrome === 'undefined' || !chrome.storage?.sync) {
+        return [];
+    }
+    const stored = await chrome.storage.sync.get({ [ROSTER_KEY]: [] });
+    return normalizeRoster(stored[ROSTER_KEY]);
+}
+
+export async function saveRoster(roster) {
+    const normalized = normalizeRoster(roster);
+    await chrome.storage.sync.set({ [ROSTER_KEY]: normalized });
+    return normalized;
+}
+
+/**
+ * The description line naming the athlete a file is for,
+ * e.g. "For Anna: FTP 250 W, 3.6 W/kg, 95% intensity, fixed watts."
+ * @param {Object} athlete - A normalized athlete.
+ * @returns {string} The line.
+ */
+export function describeAthlete(athlete) {
+    const details = [];
+    if (athlete.ftp) details.push(`FTP ${athlete.ftp} W`);
+    if (athlete.ftp && athlete.weight) details.push(`${(athlete.ftp / athlete.weight).toFixed(1)} W/kg`);
+    if (athlete.intensity !== 100) details.push(`${athlete.intensity}% intensity`);
+    if (athlete.units === 'watts') details.push('fixed watts');
+    return `For ${athlete.name}${details.length ? `: ${details.join(', ')}` : ''}.`;
+}
+
+/**
+ * One athlete's copy of a workout: scaled to their intensity, with their
+ * FTP, the user's settings and their name in the author and description.
+ * @param {Object} model - The workout model as parsed from the page.
+ * @param {Object} athlete - A normalized athlete.
+ * @param {Object} [settings] - The user's settings.
+ * @returns {Object} The athlete's workout model.
+ */
+export function personalizeModel(model, athlete, settings = getDefaultSettings()) {
+    const scaled = {
+        ...model,
+        ftp: athlete.ftp || model.ftp,
+        segments: athlete.intensity !== 100 ? scaleIntensity(model.segments, athlete.intensity / 100) : model.segments
+    };
+    const withSettings = applySettingsToModel(scaled, settings, getTemplateValues(scaled));
+    return {
+        ...withSettings,
+        author: `${settings.author} for ${athlete.name}`,
+        description: `${getWorkoutDescription(withSettings)}\n${describeAthlete(athlete)}`
+    };
+}
+
+/**
+ * Exports a workout once per athlete into a zip, each file named after
+ * the workout and the athlete and in the athlete's unit mode.
+ * @param {Object} model - The workout model as parsed from the page.
+ * @param {Array<Object>} roster - Normalized athletes.
+ * @param {Object} exporter - Exporter from getExporters().
+ * @param {Object} options - Exporter options; the athlete's FTP and unit mode replace ftp and absoluteWatts.
+ * @param {Array<string>} [problems] - Athletes that could not be exported are added to it, and
+ *   listed in export-report.txt inside the zip.
+ * @param {Object} [settings] - The user's settings.
+ * @returns {{zip: Uint8Array, exported: Array<string>}} The zip file content, and the names of the athletes who got a file.
+ */
+export function buildRosterArchive(model, roster, exporter, options, problems = [], settings = getDefaultSettings()) {
+    const files = [];
+    const exported = [];
+    roster.forEach(athlete => {
+        const athleteOptions = { ...options, ftp: athlete.ftp || options.ftp, absoluteWatts: athlete.units === 'watts' };
+        try {
+            if ((exporter.requiresFtp || athleteOptions.absoluteWatts) && !athleteOptions.ftp && model.sportType === 'bike') {
+                throw new Error('no FTP set for this athlete');
+            }
+            const personal = personalizeModel(model, athlete, settings);
+            files.push({
+                path: `${formatFilename(settings.filenamePattern, getTemplateValues(personal))}_${getSafeFilename(athlete.name)}.${exporter.extension}`,
+                content: exporter.generate(personal, athleteOptions)
+            });
+            exported.push(athlete.name);
+        } catch (error) {
+            console.error(`WhatsOnZwift Exporter: Error exporting for ${athlete.name}:`, error);
+            problems.push(`Skipped ${athlete.name}: ${error.message.replace(/\n/g, '; ')}`);
+        }
+    });
+    if (problems.length) {
+        files.push({ path: 'export-report.txt', content: problems.join('\n') + '\n' });
+    }
+    return { zip: createZip(files), exported };
+}
+
+/**
+ * Renders an editable table of athletes, one row each (a single empty row
+ * for an empty roster), and a button adding rows.
+ * @param {HTMLElement} container - Element to render into; its content is replaced.
+ * @param {Array<Object>} roster - Athletes to show.
+ * @returns {{read: Function}} Reads the roster back from the table, normalized.
+ */
+export function renderRosterEditor(container, roster) {
+    const table = document.createElement('table');
+    table.className = 'zwo-roster';
+    const head = table.createTHead().insertRow();
+    ['Name', 'FTP (W)', 'Weight (kg)', 'Intensity %', 'Units', ''].forEach(text => {
+        const cell = document.createElement('th');
+        cell.textContent = text;
+        head.appendChild(cell);
+    });
+    const body = table.createTBody();
+
+    const input = (name, type, value, placeholder) => {
+        const field = document.createElement('input');
+        field.name = name;
+        field.type = type;
+        field.value = value ?? '';
+        field.placeholder = placeholder;
+        return field;
+    };
+    const addRow = (athlete = {}) => {
+        const row = body.insertRow();
+        const units = document.createElement('select');
+        units.name = 'units';
+        [['percent', '% FTP'], ['watts', 'Fixed watts']].forEach(([value, text]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = text;
+            units.appendChild(option);
+        });
+        units.value = athlete.units || 'percent';
+        const remove = document.createElement('button');
+        remove.type = 'button';
+        remove.textContent = 'Remove';
+        remove.addEventListener('click', () => row.remove());
+        [
+            input('name', 'text', athlete.name, 'Name'),
+            input('ftp', 'number', athlete.ftp, 'Page FTP'),
+            input('weight', 'number', athlete.weight, ''),
+            input('intensity', 'number', athlete.intensity, '100'),
+            units,
+            remove
+        ].forEach(field => row.insertCell().appendChild(field));
+    };
+    (roster.length ? roster : [{}]).forEach(addRow);
+
+    const addButton = document.createElement('button');
+    addButton.type = 'button';
+    addButton.textContent = 'Add athlete';
+    addButton.addEventListener('click', () => addRow());
+    container.replaceChildren(table, addButton);
+
+    const read = () => normalizeRoster(Array.from(body.rows).map(row => Object.fromEntries(
+        Array.from(row.querySelectorAll('input, select')).map(field => [field.name, field.value])
+    )));
+    return { read };
+}
@@ -0,0 +1,67 @@
+/**
+ * WhatsOnZwift Workout Exporter - Page selectors
+ *
+ * Every selector the exporter relies on, each with fallbacks in order of
+ * preference. The first entry is the site's current markup; the others
+ * are looser matches meant to survive small redesigns. When the site
+ * changes, this is the one place to update, and the diagnostics report
+ * shows which entry (if any) still matches.
+ */
+
+export const SELECTORS = {
+    // Container with the FTP button and the workout blocks
+    workoutList: ['article > section > div > div', 'article section:has(.textbar)', 'article > section'],
+    ftpButton: ['button[name="update-ftp"]', 'button[name*="ftp" i]'],
+    workoutName: ['h4.flaticon-bike', 'h4.flaticon-run', 'article [class*="flaticon-bike"]', 'article [class*="flaticon-run"]'],
+    runIcon: ['h4.flaticon-run', 'article [class*="flaticon-run"]'],
+    // One element per workout block, holding its text
+    blocks: ['.textbar', '[class*="textbar"]:not(.textbar-note)'],
+    // Bars of the site's workout graph; their tooltip holds the block text
+    graphBars: ['.workoutplot [title]', '.workoutplot [data-original-title]', 'article [class*="graph"] [title]', 'article [class*="graph"] [data-original-title]'],
+    powerValues: ['span[data-value][data-unit="relpow"]'],
+    paceValues: ['span[data-value][data-unit="relpace"]'],
+    siteGraph: ['article [class*="graph"]', 'article .workoutplot', 'article canvas']
+};
+
+/**
+ * Tries a registry entry's selectors in order. Selectors the browser
+ * cannot parse (e.g. :has in older engines) count as no match.
+ * @param {ParentNode} root - Document or element to search.
+ * @param {string} key - Key in SELECTORS.
+ * @returns {{selector: ?string, elements: Array<Element>}} The first selector with matches and its elements.
+ */
+export function matchSelector(root, key) {
+    for (const selector of SELECTORS[key]) {
+        let elements;
+        try {
+            elements = Array.from(root.querySelectorAll(selector));
+        } catch (error) {
+            continue;
+        }
+        if (elements.length) {
+            return { selector, elements };
+        }
+    }
+    return { selector: null, elements: [] };
+}
+
+export function findElement(root, key) {
+    return matchSelector(root, key).elements[0] || null;
+}
+
+export function findElements(root, key) {
+    return matchSelector(root, key).elements;
+}
+
+/**
+ * Reports which selector matched for every registry entry, for diagnostics.
+ * @param {ParentNode} root - Document to check.
+ * @returns {Object<string, {selector: ?string, fallback: boolean, count: number}>} Per key: the matching selector,
+ *   whether it is a fallback rather than the first choice, and how many elements it found.
+ */
+export function checkSelectors(root) {
+    return Object.fromEntries(Object.keys(SELECTORS).map(key => {
+        const { selector, elements } = matchSelector(root, key);
+        return [key, { selector, fallback: Boolean(selector) && selector !== SELECTORS[key][0], count: elements.length }];
+    }));
+}
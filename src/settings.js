@@ -0,0 +1,155 @@
+/**
+ * WhatsOnZwift Workout Exporter - User settings
+ *
+ * Defaults the user sets on the extension's options page: author, file
+ * description, tags, file name pattern, fallback FTP, power precision,
+ * whether to export fixed watts and the wording of on-screen cues.
+ * Stored with chrome.storage.sync and read again at every export, so a
+ * change applies without reloading the page. Outside the extension (Node,
+ * tests) the defaults are used.
+ */
+
+import { getSegmentDuration } from './parser.js';
+import { formatCue, getDefaultCueTemplates } from './text-events.js';
+import { getSafeFilename } from './page.js';
+import { getSourceDescription } from './model.js';
+
+export const WATTS_ROUNDING_STEPS = [1, 5, 10];
+// Power is a fraction of FTP: with fewer decimals 0.88 becomes 0.9 or 1 and blocks change zone
+export const MIN_POWER_PRECISION = 2;
+
+/**
+ * Settings used until the user changes them. Placeholders in braces are
+ * filled per workout, see getTemplateValues.
+ * @returns {{author: string, descriptionTemplate: string, tags: Array<string>, filenamePattern: string, ftp: ?number, powerPrecision: number,
+ *   absoluteWatts: boolean, wattsRounding: number, cueInterval: string, cueCadence: string, cueSeparator: string}}
+ */
+export function getDefaultSettings() {
+    const cues = getDefaultCueTemplates();
+    return {
+        author: 'WhatsOnZwift Exporter',
+        descriptionTemplate: '{source}',
+        tags: [],
+        filenamePattern: '{name}',
+        ftp: null,
+        powerPrecision: 2,
+        absoluteWatts: false,
+        wattsRounding: 1,
+        cueInterval: cues.interval,
+        cueCadence: cues.cadence,
+        cueSeparator: cues.separator
+    };
+}
+
+/**
+ * Fills in missing settings with their defaults and drops values that
+ * cannot be used, e.g. a negative FTP or a precision of 12 decimals.
+ * @param {Object} stored - Settings as read from storage or the options form.
+ * @returns {Object} Complete, usable settings.
+ */
+export function normalizeSettings(stored = {}) {
+    const defaults = getDefaultSettings();
+    const text = (value, fallback) => typeof value === 'string' && value.trim() ? value.trim() : fallback;
+    const tags = Array.isArray(stored.tags) ? stored.tags : String(stored.tags || '').split(',');
+    const ftp = parseInt(stored.ftp, 10);
+    const powerPrecision = parseInt(stored.powerPrecision, 10);
+    const wattsRounding = parseInt(stored.wattsRounding, 10);
+    return {
+        author: text(stored.author, defaults.author),
+        descriptionTemplate: text(stored.descriptionTemplate, defaults.descriptionTemplate),
+        tags: [...new Set(tags.map(tag => String(tag).trim()).filter(Boolean))],
+        filenamePattern: text(stored.filenamePattern, defaults.filenamePattern),
+        ftp: ftp > 0 ? ftp : defaults.ftp,
+        powerPrecision: powerPrecision >= MIN_POWER_PRECISION && powerPrecision <= 4 ? powerPrecision : defaults.powerPrecision,
+        absoluteWatts: stored.absoluteWatts === true,
+        wattsRounding: WATTS_ROUNDING_STEPS.includes(wattsRounding) ? wattsRounding : defaults.wattsRounding,
+        cueInterval: text(stored.cueInterval, defaults.cueInterval),
+        cueCadence: text(stored.cueCadence, defaults.cueCadence),
+        // Not trimmed: the spaces around the default " - " are part of it
+        cueSeparator: typeof stored.cueSeparator === 'string' && stored.cueSeparator ? stored.cueSeparator : defaults.cueSeparator
+    };
+}
+
+/**
+ * The cue templates to pass to collectBlockSegments, see getDefaultCueTemplates.
+ * @param {Object} settings - The settings.
+ * @returns {{interval: string, cadence: string, separator: string}}
+ */
+export function getCueTemplates(settings) {
+    return { interval: settings.cueInterval, cadence: settings.cueCadence, separator: settings.cueSeparator };
+}
+
+/**
+ * Reads the settings from chrome.storage.sync.
+ * @returns {Promise<Object>} The settings, defaults where nothing is stored.
+ */
+export async function loadSettings() {
+    if (typeof chrome === 'undefined' || !chrome.storage?.sync) {
+        return getDefaultSettings();
+    }
+    try {
+        return normalizeSettings(await chrome.storage.sync.get(getDefaultSettings()));
+    } catch (error) {
+        console.error("WhatsOnZwift Exporter: Could not read the settings, using the defaults:", error);
+        return getDefaultSettings();
+    }
+}
+
+/**
+ * Stores the settings in chrome.storage.sync.
+ * @param {Object} settings - Settings to store; normalized first.
+ * @returns {Promise<Object>} The settings as stored.
+ */
+export async function saveSettings(settings) {
+    const normalized = normalizeSettings(settings);
+    await chrome.storage.sync.set(normalized);
+    return normalized;
+}
+
+/**
+ * Values for the placeholders in the description template and file name pattern.
+ * @param {Object} model - The workout model.
+ * @param {Date} [date] - Export date.
+ * @returns {{name: string, duration: string, date: string, source: string, url: string, ftp: string, sport: string}}
+ */
+export function getTemplateValues(model, date = new Date()) {
+    const pad = number => String(number).padStart(2, '0');
+    const duration = model.segments.reduce((total, segment) => total + getSegmentDuration(segment), 0);
+    return {
+        name: model.name,
+        duration: `${Math.round(duration / 60)}min`,
+        date: `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`,
+        source: getSourceDescription(model),
+        url: model.sourceUrl || '',
+        ftp: model.ftp ? String(model.ftp) : '',
+        sport: model.sportType
+    };
+}
+
+/**
+ * Builds the file name (without extension) from the user's pattern,
+ * e.g. "{date}_{name}_{duration}" -> "2024-03-01_Tempo_60min".
+ * @param {string} pattern - File name pattern.
+ * @param {Object} values - Placeholder values, see getTemplateValues.
+ * @returns {string} A name safe to use on any file system.
+ */
+export function formatFilename(pattern, values) {
+    return getSafeFilename(formatCue(pattern, values).trim()) || getSafeFilename(values.name);
+}
+
+/**
+ * Applies the author, tags and description template to a workout model.
+ * @param {Object} model - The workout model; not changed.
+ * @param {Object} settings - The user's settings.
+ * @param {Object} [values] - Placeholder values, see getTemplateValues.
+ * @returns {Object} A copy of the model carrying the user's defaults.
+ */
+export function applySettingsToModel(model, settings, values = getTemplateValues(model)) {
+    const description = formatCue(settings.descriptionTemplate, values).trim();
+    return {
+        ...model,
+        author: settings.author,
+        tags: [...settings.tags],
+        description: description || null
+    };
+}
@@ -0,0 +1,113 @@
+/**
+ * WhatsOnZwift Workout Exporter - On-screen text cues
+ *
+ * Builds the timed <textevent> messages attached to segments: coaching
+ * notes collected from the page plus optional cues generated from the
+ * segment itself ("Interval 3 of 5", "Cadence 100rpm").
+ */
+
+import { expandRepeat } from './parser.js';
+
+/**
+ * Default cue templates. Placeholders in braces are replaced per cue:
+ * {n} and {total} for interval cues, {cadence} for cadence cues.
+ * @returns {{interval: string, cadence: string, separator: string}}
+ */
+export function getDefaultCueTemplates() {
+    return {
+        interval: 'Interval {n} of {total}',
+        cadence: 'Cadence {cadence}rpm',
+        separator: ' - '
+    };
+}
+
+export function formatCue(template, values) {
+    return template.replace(/\{(\w+)\}/g, (placeholder, key) => values[key] !== undefined ? String(values[key]) : placeholder);
+}
+
+/**
+ * Generates cues for one segment, with offsets relative to the segment start.
+ * @param {Object} segment - A segment object.
+ * @param {Object} [templates] - Cue templates, see getDefaultCueTemplates.
+ * @returns {Array<{timeOffset: number, message: string}>}
+ */
+export function buildCueEvents(segment, templates) {
+    templates = templates || getDefaultCueTemplates();
+    const events = [];
+    const cadenceCue = (timeOffset, cadence) => {
+        if (cadence && templates.cadence) {
+            events.push({ timeOffset, message: formatCue(templates.cadence, { cadence }) });
+        }
+    };
+
+    switch (segment.type) {
+        case 'SteadyState':
+        case 'Ramp':
+        case 'FreeRide':
+            cadenceCue(0, segment.cadence);
+            break;
+        case 'IntervalsT':
+            for (let i = 0; i < segment.repeat; i++) {
+                const start = i * (segment.onDuration + segment.offDuration);
+                if (templates.interval) {
+                    events.push({ timeOffset: start, message: formatCue(templates.interval, { n: i + 1, total: segment.repeat }) });
+                }
+                cadenceCue(start, segment.onCadence);
+                cadenceCue(start + segment.onDuration, segment.offCadence);
+            }
+            break;
+        case 'Repeat': {
+            const onePass = expandRepeat({ ...segment, repeat: 1 });
+            let offset = 0;
+            for (let i = 0; i < segment.repeat; i++) {
+                if (templates.interval) {
+                    events.push({ timeOffset: offset, message: formatCue(templates.interval, { n: i + 1, total: segment.repeat }) });
+                }
+                onePass.forEach(step => {
+                    cadenceCue(offset, step.cadence);
+                    offset += step.duration;
+                });
+            }
+            break;
+        }
+    }
+    return events;
+}
+
+/**
+ * Sorts events and joins messages that share a time offset, so cues never
+ * overwrite each other on screen.
+ * @param {Array<{timeOffset: number, message: string}>} events - Events to merge.
+ * @param {string} [separator=' - '] - Text placed between merged messages.
+ * @returns {Array<{timeOffset: number, message: string}>}
+ */
+function mergeTextEvents(events, separator = ' - ') {
+    const byOffset = new Map();
+    events.forEach(event => {
+        if (!event.message) return;
+        const messages = byOffset.get(event.timeOffset) || [];
+        messages.push(event.message);
+        byOffset.set(event.timeOffset, messages);
+    });
+    return Array.from(byOffset.entries())
+        .sort(([a], [b]) => a - b)
+        .map(([timeOffset, messages]) => ({ timeOffset, message: messages.join(separator) }));
+}
+
+/**
+ * Returns a copy of the segment with its text events: page notes at the
+ * start of the segment, followed by auto-generated cues if enabled.
+ * @param {Object} segment - A segment object.
+ * @param {Array<string>} notes - Coaching notes found for this segment.
+ * @param {{autoCues?: boolean, templates?: Object}} [options] - Cue options.
+ * @returns {Object} The segment, with textEvents when there is anything to show.
+ */
+export function attachTextEvents(segment, notes, options = {}) {
+    const templates = { ...getDefaultCueTemplates(), ...(options.templates || {}) };
+    const events = notes.map(message => ({ timeOffset: 0, message }));
+    if (options.autoCues) {
+        events.push(...buildCueEvents(segment, templates));
+    }
+    const merged = mergeTextEvents([...(segment.textEvents || []), ...events], templates.separator);
+    return merged.length ? { ...segment, textEvents: merged } : segment;
+}
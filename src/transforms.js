@@ -0,0 +1,255 @@
+/**
+ * WhatsOnZwift Workout Exporter - Workout transformations
+ *
+ * Sits between parsing and export: scales power targets and durations,
+ * strips or overrides cadence, turns steady blocks into free rides and
+ * rounds power targets to fixed watts.
+ * Every function returns new segments and leaves its input untouched.
+ */
+
+import { formatDuration, getSegmentDuration } from './parser.js';
+
+/**
+ * Applies a function to every power target, in repeat steps too.
+ * @param {Array<Object>} segments - Segments as returned by parseSegment.
+ * @param {Function} update - Takes and returns a power as a fraction of FTP.
+ * @returns {Array<Object>} The updated segments.
+ */
+function mapPowers(segments, update) {
+    return segments.map(segment => {
+        const updated = { ...segment };
+        ['power', 'powerLow', 'powerHigh', 'onPower', 'offPower'].forEach(key => {
+            if (typeof updated[key] === 'number') {
+                updated[key] = update(updated[key]);
+            }
+        });
+        if (segment.steps) {
+            updated.steps = mapPowers(segment.steps, update);
+        }
+        return updated;
+    });
+}
+
+/**
+ * Multiplies every power target by a factor.
+ * @param {Array<Object>} segments - Segments as returned by parseSegment.
+ * @param {number} factor - e.g. 0.95 for "the same workout at 95%".
+ * @returns {Array<Object>} The scaled segments.
+ */
+export function scaleIntensity(segments, factor) {
+    return mapPowers(segments, power => Math.round(power * factor * 10000) / 10000);
+}
+
+/**
+ * Rounds every power target to whole watts at a given FTP, e.g. 0.88 at
+ * 253 W (222.64 W) becomes 223/253. The targets stay fractions of that FTP.
+ * @param {Array<Object>} segments - Segments as returned by parseSegment.
+ * @param {number} ftp - FTP in watts the targets are worked out from.
+ * @param {number} [step] - Round to multiples of this many watts, e.g. 5.
+ * @returns {Array<Object>} The rounded segments.
+ */
+export function roundToWatts(segments, ftp, step = 1) {
+    return mapPowers(segments, power => Math.round(power * ftp / step) * step / ftp);
+}
+
+/**
+ * Stretches or shrinks every segment by a factor. Interval sets change
+ * their repeat count first and only adjust the step lengths by what is
+ * left, so a shorter workout has fewer intervals rather than tiny ones.
+ * @param {Array<Object>} segments - Segments as returned by parseSegment.
+ * @param {number} factor - e.g. 0.75 to turn 60 minutes into 45.
+ * @returns {Array<Object>} The scaled segments.
+ */
+export function scaleDuration(segments, factor) {
+    const scale = (seconds, stepFactor) => Math.max(1, Math.round(seconds * stepFactor));
+    const scaleEvents = (textEvents, eventFactor, duration) => textEvents.map(event => ({
+        ...event,
+        timeOffset: Math.min(Math.round(event.timeOffset * eventFactor), Math.max(0, duration - 1))
+    }));
+
+    return segments.map(segment => {
+        const scaled = { ...segment };
+        if (segment.type === 'IntervalsT' || segment.type === 'Repeat') {
+            scaled.repeat = Math.max(1, Math.round(segment.repeat * factor));
+            const stepFactor = factor * segment.repeat / scaled.repeat;
+            if (segment.type === 'IntervalsT') {
+                scaled.onDuration = scale(segment.onDuration, stepFactor);
+                scaled.offDuration = scale(segment.offDuration, stepFactor);
+            } else {
+                scaled.steps = scaleDuration(segment.steps, stepFactor);
+            }
+        } else {
+            scaled.duration = scale(segment.duration, factor);
+        }
+        if (segment.textEvents) {
+            scaled.textEvents = scaleEvents(segment.textEvents, getSegmentDuration(scaled) / getSegmentDuration(segment), getSegmentDuration(scaled));
+        }
+        return scaled;
+    });
+}
+
+/**
+ * Removes (cadence null) or replaces every cadence target.
+ * @param {Array<Object>} segments - Segments as returned by parseSegment.
+ * @param {?number} cadence - New cadence in rpm, or null to strip cadence.
+ * @returns {Array<Object>} The updated segments.
+ */
+export function setCadence(segments, cadence) {
+    return segments.map(segment => {
+        const updated = { ...segment };
+        ['cadence', 'onCadence', 'offCadence'].forEach(key => {
+            if (key in updated) {
+                updated[key] = cadence;
+            }
+        });
+        if (segment.type === 'FreeRide' && cadence === null) {
+            delete updated.cadence;
+        } else if (segment.type === 'FreeRide') {
+            updated.cadence = cadence;
+        }
+        if (segment.steps) {
+            updated.steps = setCadence(segment.steps, cadence);
+        }
+        return updated;
+    });
+}
+
+/**
+ * Turns steady blocks into free rides, e.g. for riding without ERG mode.
+ * @param {Array<Object>} segments - Segments as returned by parseSegment.
+ * @returns {Array<Object>} The updated segments.
+ */
+export function convertSteadyToFreeRide(segments) {
+    return segments.map(segment => {
+        if (segment.type !== 'SteadyState') {
+            return segment;
+        }
+        const freeRide = { type: 'FreeRide', duration: segment.duration, flatRoad: 1 };
+        if (segment.cadence) freeRide.cadence = segment.cadence;
+        if (segment.textEvents) freeRide.textEvents = segment.textEvents;
+        return freeRide;
+    });
+}
+
+/**
+ * Applies a set of transformations in a fixed order: duration, intensity,
+ * cadence, free ride.
+ * @param {Array<Object>} segments - Segments as returned by parseSegment.
+ * @param {{intensity?: number, duration?: number, targetDuration?: number, cadence?: ('keep'|'strip'|number), freeRide?: boolean}} transform -
+ *   Intensity and duration factors, or a target duration in seconds that the duration factor is derived from.
+ * @returns {Array<Object>} The transformed segments, one per input segment.
+ */
+export function applyTransforms(segments, transform) {
+    let result = segments;
+    let durationFactor = transform.duration || 1;
+    if (transform.targetDuration > 0) {
+        const total = segments.reduce((sum, segment) => sum + getSegmentDuration(segment), 0);
+        durationFactor = total ? transform.targetDuration / total : 1;
+    }
+    if (durationFactor !== 1) {
+        result = scaleDuration(result, durationFactor);
+    }
+    if (transform.intensity && transform.intensity !== 1) {
+        result = scaleIntensity(result, transform.intensity);
+    }
+    if (transform.cadence === 'strip') {
+        result = setCadence(result, null);
+    } else if (typeof transform.cadence === 'number') {
+        result = setCadence(result, transform.cadence);
+    }
+    if (transform.freeRide) {
+        result = convertSteadyToFreeRide(result);
+    }
+    return result;
+}
+
+/**
+ * Name suffix recording a transform, e.g. " (95%, 45min, no cadence)".
+ * @param {Object} transform - Same shape as for applyTransforms.
+ * @returns {string} The suffix, empty when nothing is changed.
+ */
+export function getTransformSuffix(transform) {
+    const parts = [];
+    if (transform.intensity && transform.intensity !== 1) {
+        parts.push(`${Math.round(transform.intensity * 100)}%`);
+    }
+    if (transform.targetDuration > 0) {
+        parts.push(formatDuration(Math.round(transform.targetDuration)));
+    } else if (transform.duration && transform.duration !== 1) {
+        parts.push(`${Math.round(transform.duration * 100)}% time`);
+    }
+    if (transform.cadence === 'strip') {
+        parts.push('no cadence');
+    } else if (typeof transform.cadence === 'number') {
+        parts.push(`${transform.cadence}rpm`);
+    }
+    if (transform.freeRide) {
+        parts.push('free ride');
+    }
+    return parts.length ? ` (${parts.join(', ')})` : '';
+}
+
+/**
+ * Builds the transform controls shown under the format select.
+ * @param {Function} onChange - Called whenever a control changes.
+ * @returns {{element: HTMLElement, read: Function}} The controls and a reader returning the current transform.
+ */
+export function createTransformControls(onChange) {
+    const element = document.createElement('fieldset');
+    element.className = 'zwo-transform-controls';
+    Object.assign(element.style, { margin: '5px 0', padding: '4px 8px', fontSize: '13px', border: '1px solid #ccc', borderRadius: '4px' });
+    const legend = document.createElement('legend');
+    legend.textContent = 'Adjust workout';
+    element.appendChild(legend);
+
+    const addRow = (labelText, input) => {
+        const label = document.createElement('label');
+        Object.assign(label.style, { display: 'block', marginTop: '3px' });
+        label.append(labelText, input);
+        element.appendChild(label);
+        input.addEventListener('change', onChange);
+        return input;
+    };
+    const numberInput = (className, placeholder) => {
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.min = '1';
+        input.className = className;
+        input.placeholder = placeholder;
+        Object.assign(input.style, { width: '70px', marginLeft: '4px' });
+        return input;
+    };
+
+    const intensityInput = addRow('Intensity %', numberInput('zwo-transform-intensity', '100'));
+    const durationInput = addRow('Total minutes', numberInput('zwo-transform-duration', 'as is'));
+    const cadenceSelect = document.createElement('select');
+    cadenceSelect.className = 'zwo-transform-cadence';
+    cadenceSelect.style.marginLeft = '4px';
+    [['keep', 'Keep'], ['strip', 'Remove'], ['set', 'Set to']].forEach(([value, text]) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = text;
+        cadenceSelect.appendChild(option);
+    });
+    addRow('Cadence', cadenceSelect);
+    const cadenceInput = numberInput('zwo-transform-cadence-value', 'rpm');
+    cadenceSelect.parentNode.appendChild(cadenceInput);
+    cadenceInput.addEventListener('change', onChange);
+    const freeRideCheckbox = document.createElement('input');
+    freeRideCheckbox.type = 'checkbox';
+    freeRideCheckbox.className = 'zwo-transform-freeride';
+    addRow('', freeRideCheckbox).after(' Steady blocks as free ride (no ERG)');
+
+    const read = () => {
+        const intensity = parseFloat(intensityInput.value);
+        const minutes = parseFloat(durationInput.value);
+        const rpm = parseInt(cadenceInput.value, 10);
+        return {
+            intensity: intensity > 0 ? intensity / 100 : 1,
+            targetDuration: minutes > 0 ? Math.round(minutes * 60) : 0,
+            cadence: cadenceSelect.value === 'set' ? (rpm > 0 ? rpm : 'keep') : cadenceSelect.value,
+            freeRide: freeRideCheckbox.checked
+        };
+    };
+    return { element, read };
+}
@@ -0,0 +1,71 @@
+/**
+ * WhatsOnZwift Workout Exporter - Shared page controls
+ *
+ * Download and format picking helpers used by both the single workout
+ * button and the bulk export.
+ */
+
+import { getPageFtp } from './page.js';
+
+export function downloadFile(filename, content, mimeType = 'application/xml') {
+    try {
+        const blob = new Blob([content], { type: mimeType });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+        console.log(`WhatsOnZwift Exporter: Download triggered for ${filename}`);
+    } catch (error) {
+        console.error("WhatsOnZwift Exporter: Error triggering download:", error);
+        alert("Error creating download link. See console for details.");
+    }
+}
+
+export function createFormatSelect(exporters, sportType = 'bike') {
+    // Only formats that can describe the workout's sport are offered
+    const formatSelect = document.createElement('select');
+    formatSelect.className = 'zwo-format-select';
+    Object.entries(exporters).filter(([, exporter]) => exporter.sportTypes.includes(sportType)).forEach(([format, exporter]) => {
+        const option = document.createElement('option');
+        option.value = format;
+        option.textContent = exporter.label;
+        formatSelect.appendChild(option);
+    });
+    Object.assign(formatSelect.style, {
+        display: 'block', width: 'calc(100% - 4px)', marginTop: '5px', padding: '6px',
+        borderRadius: '4px', fontSize: '14px', fontFamily: 'inherit'
+    });
+    return formatSelect;
+}
+
+/**
+ * Exporter options for one export. The FTP is the one typed for this
+ * export, else the page's, else the one from the settings; the user is
+ * asked for it when the format or fixed watts need one. Fixed watts only
+ * apply to bike workouts.
+ * @param {Object} exporter - Exporter from getExporters().
+ * @param {Object} [settings] - The user's settings.
+ * @param {{ftp?: number, absoluteWatts?: boolean}} [overrides] - Choices made on the page for this export.
+ * @param {string} [sportType] - Sport of the workout exported, 'bike' or 'run'.
+ * @returns {?Object} The options, or null when the user cancels the FTP prompt.
+ */
+export function getExportOptions(exporter, settings = {}, overrides = {}, sportType = 'bike') {
+    const options = {
+        ftp: overrides.ftp || getPageFtp() || settings.ftp || null,
+        powerPrecision: settings.powerPrecision,
+        absoluteWatts: sportType === 'bike' && (overrides.absoluteWatts ?? settings.absoluteWatts ?? false),
+        wattsRounding: settings.wattsRounding
+    };
+    if ((exporter.requiresFtp || options.absoluteWatts) && !options.ftp) {
+        options.ftp = parseInt(prompt("Enter your FTP in watts for this export:") || '', 10);
+        if (!(options.ftp > 0)) {
+            alert("A valid FTP is required for this format. Export cancelled.");
+            return null;
+        }
+    }
+    return options;
+}
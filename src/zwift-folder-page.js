@@ -0,0 +1,112 @@
+/**
+ * WhatsOnZwift Workout Exporter - Zwift folder page
+ *
+ * The folder page (zwift-folder.html): picks the Zwift workouts folder and
+ * writes the files workout pages queued for it, see zwift-folder.js.
+ * Opened by the background worker with ?save=<id> for each save; the
+ * options page links to it to change or forget the folder.
+ */
+
+import {
+    isDirectSaveSupported, getZwiftFolder, chooseZwiftFolder, forgetZwiftFolder,
+    ensureWritePermission, saveToZwiftFolder, getPendingSave, removePendingSave
+} from './zwift-folder.js';
+
+const saveId = new URLSearchParams(location.search).get('save');
+let folder = null;
+let files = null;
+
+function showStatus(message) {
+    document.getElementById('status').textContent = message;
+}
+
+function showFolder() {
+    document.getElementById('folder').textContent = folder ? `Workouts are saved into "${folder.name}".` : 'No folder chosen yet.';
+    document.getElementById('choose').textContent = folder ? 'Choose another folder' : 'Choose folder';
+    document.getElementById('forget').hidden = !folder;
+    const list = document.getElementById('files');
+    list.hidden = !files;
+    list.replaceChildren(...(files || []).map(file => {
+        const item = document.createElement('li');
+        item.textContent = file.path;
+        return item;
+    }));
+    const save = document.getElementById('save');
+    save.hidden = !files;
+    save.textContent = `Save ${files?.length} file(s)`;
+}
+
+async function closeTab() {
+    const tab = await chrome.tabs.getCurrent();
+    if (tab) await chrome.tabs.remove(tab.id);
+}
+
+async function saveFiles() {
+    if (!folder) {
+        folder = await chooseZwiftFolder();
+        showFolder();
+    }
+    if (!(await ensureWritePermission(folder))) {
+        showStatus('Chrome did not allow the extension to write to this folder. Click Save to ask again.');
+        return;
+    }
+    const { written, skipped } = await saveToZwiftFolder(folder, files);
+    await removePendingSave(saveId);
+    files = null;
+    showFolder();
+    showStatus([
+        `Saved ${written.length} file(s) to your Zwift folder.`,
+        ...(skipped.length ? [`${skipped.length} file(s) already there were kept.`] : [])
+    ].join('\n'));
+    if (!skipped.length) {
+        setTimeout(() => closeTab().catch(error => console.error("WhatsOnZwift Exporter: Could not close the tab:", error)), 1500);
+    }
+}
+
+/**
+ * Runs a button's action, reporting errors on the page. Closing the
+ * folder picker is not an error worth reporting.
+ * @param {Function} action - Async action.
+ * @returns {Function} The click handler.
+ */
+function onClick(action) {
+    return () => action().catch(error => {
+        if (error.name === 'AbortError') return;
+        console.error("WhatsOnZwift Exporter: Zwift folder error:", error);
+        showStatus(`Could not use the Zwift folder: ${error.message}`);
+    });
+}
+
+async function initFolderPage() {
+    if (!isDirectSaveSupported()) {
+        showStatus('This browser cannot save into folders. Use Chrome or Edge on a computer, or download the files instead.');
+        document.getElementById('choose').hidden = true;
+        return;
+    }
+    folder = await getZwiftFolder();
+    files = saveId ? await getPendingSave(saveId) : null;
+    if (saveId && !files) {
+        showStatus('Nothing left to save: these files were saved already, or the browser was closed before they were.');
+    }
+    showFolder();
+    document.getElementById('save').addEventListener('click', onClick(saveFiles));
+    document.getElementById('choose').addEventListener('click', onClick(async () => {
+        folder = await chooseZwiftFolder();
+        showFolder();
+    }));
+    document.getElementById('forget').addEventListener('click', onClick(async () => {
+        await forgetZwiftFolder();
+        folder = null;
+        showFolder();
+        showStatus('Folder forgotten. The next save asks for it again.');
+    }));
+    // Without a click the browser only lets us write where access is already granted
+    if (files && folder && await folder.queryPermission({ mode: 'readwrite' }) === 'granted') {
+        await saveFiles();
+    }
+}
+
+initFolderPage().catch(error => {
+    console.error("WhatsOnZwift Exporter: Could not load the Zwift folder page:", error);
+    showStatus(`Could not load the Zwift folder page: ${error.message}`);
+});
@@ -0,0 +1,244 @@
+/**
+ * WhatsOnZwift Workout Exporter - Saving into the Zwift workouts folder
+ *
+ * With the File System Access API the user picks their Zwift workouts
+ * folder (Documents/Zwift/Workouts/<id>) once and .zwo exports are written
+ * there directly, plans into a subfolder of their own.
+ *
+ * The folder handle gives write access to the user's files, so it never
+ * reaches whatsonzwift.com: IndexedDB and file permissions belong to the
+ * origin of the page that uses them, and a content script shares the
+ * site's. Workout pages only send the files to the background worker
+ * (background.js), which queues them in chrome.storage.session and opens
+ * the folder page (zwift-folder.html). That page, on the extension's own
+ * origin, picks the folder, keeps its handle and writes the files.
+ */
+
+const DB_NAME = 'woz2zwo';
+const HANDLE_STORE = 'handles';
+const FOLDER_KEY = 'zwiftWorkouts';
+// chrome.storage.local, readable by workout pages: whether to save there and the folder's name
+const ENABLED_KEY = 'zwiftFolderEnabled';
+const FOLDER_NAME_KEY = 'zwiftFolderName';
+// chrome.storage.session, out of reach of content scripts: files waiting for the folder page
+const PENDING_KEY = 'zwiftFolderPending';
+export const SAVE_MESSAGE = 'saveToZwiftFolder';
+export const FOLDER_PAGE = 'zwift-folder.html';
+
+export function isDirectSaveSupported() {
+    return typeof window !== 'undefined' && typeof window.showDirectoryPicker === 'function';
+}
+
+/**
+ * Runs one request against the handle store.
+ * @param {('readonly'|'readwrite')} mode - Transaction mode.
+ * @param {Function} makeRequest - Called with the object store, returns an IDBRequest.
+ * @returns {Promise<*>} The request's result.
+ */
+function withHandleStore(mode, makeRequest) {
+    // On a workout page the database would be whatsonzwift.com's, open to every script of the site
+    if (typeof chrome === 'undefined' || location.origin !== new URL(chrome.runtime.getURL('')).origin) {
+        return Promise.reject(new Error('The Zwift folder is only kept on the extension\'s own pages.'));
+    }
+    return new Promise((resolve, reject) => {
+        const open = indexedDB.open(DB_NAME, 1);
+        open.onupgradeneeded = () => open.result.createObjectStore(HANDLE_STORE);
+        open.onerror = () => reject(open.error);
+        open.onsuccess = () => {
+            const db = open.result;
+            const request = makeRequest(db.transaction(HANDLE_STORE, mode).objectStore(HANDLE_STORE));
+            request.onsuccess = () => { db.close(); resolve(request.result); };
+            request.onerror = () => { db.close(); reject(request.error); };
+        };
+    });
+}
+
+export async function getZwiftFolder() {
+    if (!isDirectSaveSupported()) return null;
+    return (await withHandleStore('readonly', store => store.get(FOLDER_KEY))) || null;
+}
+
+export async function chooseZwiftFolder() {
+    // Must run from a click: the picker needs a user gesture
+    const folder = await window.showDirectoryPicker({ id: 'zwift-workouts', mode: 'readwrite', startIn: 'documents' });
+    await withHandleStore('readwrite', store => store.put(folder, FOLDER_KEY));
+    await chrome.storage.local.set({ [FOLDER_NAME_KEY]: folder.name });
+    return folder;
+}
+
+export async function forgetZwiftFolder() {
+    await withHandleStore('readwrite', store => store.delete(FOLDER_KEY));
+    await chrome.storage.local.remove(FOLDER_NAME_KEY);
+}
+
+/**
+ * Makes sure the folder may be written, asking the user if needed.
+ * @param {FileSystemDirectoryHandle} folder - The chosen folder.
+ * @returns {Promise<boolean>} True when write access is granted.
+ */
+export async function ensureWritePermission(folder) {
+    const options = { mode: 'readwrite' };
+    if (await folder.queryPermission(options) === 'granted') {
+        return true;
+    }
+    return await folder.requestPermission(options) === 'granted';
+}
+
+/**
+ * Finds the folder holding a file, creating missing folders when asked.
+ * @param {FileSystemDirectoryHandle} folder - Folder the path starts in.
+ * @param {Array<string>} folderNames - Subfolder names.
+ * @param {boolean} create - Create missing folders.
+ * @returns {Promise<?FileSystemDirectoryHandle>} The folder, or null if it doesn't exist and create is false.
+ */
+async function resolveFolder(folder, folderNames, create) {
+    let current = folder;
+    for (const name of folderNames) {
+        try {
+            current = await current.getDirectoryHandle(name, { create });
+        } catch (error) {
+            if (error.name === 'NotFoundError') return null;
+            throw error;
+        }
+    }
+    return current;
+}
+
+async function fileExists(folder, path) {
+    const parts = path.split('/');
+    const parent = await resolveFolder(folder, parts.slice(0, -1), false);
+    if (!parent) return false;
+    try {
+        await parent.getFileHandle(parts[parts.length - 1]);
+        return true;
+    } catch (error) {
+        if (error.name === 'NotFoundError') return false;
+        throw error;
+    }
+}
+
+/**
+ * Writes files below a folder. Files that already exist are listed to
+ * confirmOverwrite once; they are skipped unless it returns true.
+ * @param {FileSystemDirectoryHandle} folder - Folder to write into.
+ * @param {Array<{path: string, content: (string|Uint8Array)}>} files - Paths relative to the folder, "/" separated.
+ * @param {Function} confirmOverwrite - Called with the paths that already exist, returns true to replace them.
+ * @returns {Promise<{written: Array<string>, skipped: Array<string>}>} The paths written and skipped.
+ */
+export async function writeFiles(folder, files, confirmOverwrite) {
+    const existing = [];
+    for (const file of files) {
+        if (await fileExists(folder, file.path)) existing.push(file.path);
+    }
+    const overwrite = existing.length > 0 && await confirmOverwrite(existing);
+
+    const written = [];
+    const skipped = [];
+    for (const file of files) {
+        if (existing.includes(file.path) && !overwrite) {
+            skipped.push(file.path);
+            continue;
+        }
+        const parts = file.path.split('/');
+        const parent = await resolveFolder(folder, parts.slice(0, -1), true);
+        const writable = await (await parent.getFileHandle(parts[parts.length - 1], { create: true })).createWritable();
+        await writable.write(file.content);
+        await writable.close();
+        written.push(file.path);
+    }
+    return { written, skipped };
+}
+
+/**
+ * Saves files into the Zwift workouts folder, warning before existing
+ * files are replaced. Only for the folder page.
+ * @param {FileSystemDirectoryHandle} folder - The folder, with write access.
+ * @param {Array<{path: string, content: (string|Uint8Array)}>} files - Paths relative to the folder.
+ * @returns {Promise<{written: Array<string>, skipped: Array<string>}>} The paths written and skipped.
+ */
+export function saveToZwiftFolder(folder, files) {
+    return writeFiles(folder, files, existing => confirm(existing.length === 1
+        ? `${existing[0]} is already in your Zwift workouts folder. Replace it?`
+        : `These ${existing.length} files are already in your Zwift workouts folder:\n${existing.join('\n')}\n\nReplace them? (Cancel keeps the existing files.)`));
+}
+
+/**
+ * Queues files for the folder page and opens it; run by the background
+ * worker for each SAVE_MESSAGE.
+ * @param {Array<{path: string, content: string}>} files - Paths relative to the folder, text content.
+ * @returns {Promise<string>} The id of the queued files.
+ */
+export async function queueZwiftFolderSave(files) {
+    const id = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+    const { [PENDING_KEY]: pending } = await chrome.storage.session.get({ [PENDING_KEY]: {} });
+    await chrome.storage.session.set({ [PENDING_KEY]: { ...pending, [id]: files } });
+    await chrome.tabs.create({ url: chrome.runtime.getURL(`${FOLDER_PAGE}?save=${id}`) });
+    return id;
+}
+
+/**
+ * The files queued under an id, see queueZwiftFolderSave.
+ * @param {string} id - The id from the folder page's address.
+ * @returns {Promise<?Array<{path: string, content: string}>>} The files, or null when they are gone.
+ */
+export async function getPendingSave(id) {
+    const { [PENDING_KEY]: pending } = await chrome.storage.session.get({ [PENDING_KEY]: {} });
+    return pending[id] || null;
+}
+
+export async function removePendingSave(id) {
+    const { [PENDING_KEY]: pending } = await chrome.storage.session.get({ [PENDING_KEY]: {} });
+    delete pending[id];
+    await chrome.storage.session.set({ [PENDING_KEY]: pending });
+}
+
+/**
+ * Hands files over to the folder page, from a workout page.
+ * @param {Array<{path: string, content: string}>} files - Paths relative to the folder, text content.
+ * @returns {Promise<void>}
+ * @throws {Error} If the background worker could not queue them.
+ */
+export async function sendToZwiftFolder(files) {
+    const response = await chrome.runtime.sendMessage({ type: SAVE_MESSAGE, files });
+    if (!response?.ok) {
+        throw new Error(response?.error || 'The extension did not answer. Reload the page and try again.');
+    }
+}
+
+/**
+ * Checkbox that turns direct saving on and off. The folder itself is
+ * chosen on the folder page, the first time files are saved. Not shown
+ * where the browser lacks the API.
+ * @param {Function} [onChange] - Called once the choice has been stored.
+ * @returns {{element: HTMLElement, isEnabled: Function}} The control; isEnabled tells whether saving to the folder is on.
+ */
+export function createDirectSaveControls(onChange = () => {}) {
+    const label = document.createElement('label');
+    label.className = 'zwo-direct-save';
+    Object.assign(label.style, { display: isDirectSaveSupported() ? 'block' : 'none', marginTop: '5px', fontSize: '13px', cursor: 'pointer' });
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    const folderName = document.createElement('span');
+    folderName.style.color = '#666';
+    label.append(checkbox, ' Save .zwo files to my Zwift folder ', folderName);
+
+    const show = stored => {
+        checkbox.checked = stored[ENABLED_KEY] === true;
+        folderName.textContent = stored[FOLDER_NAME_KEY] ? `(${stored[FOLDER_NAME_KEY]})` : '';
+        onChange();
+    };
+    const load = () => chrome.storage.local.get({ [ENABLED_KEY]: false, [FOLDER_NAME_KEY]: null }).then(show);
+    checkbox.addEventListener('change', async () => {
+        try {
+            await chrome.storage.local.set({ [ENABLED_KEY]: checkbox.checked });
+            await load();
+        } catch (error) {
+            console.error("WhatsOnZwift Exporter: Could not change the Zwift folder setting:", error);
+            alert(`Could not change the Zwift folder setting: ${error.message}`);
+        }
+    });
+    if (isDirectSaveSupported()) {
+        load().catch(error => console.error("WhatsOnZwift Exporter: Could not read the Zwift folder setting:", error));
+    }
+    return { element: label, isEnabled: () => checkbox.checked };
+}
@@ -0,0 +1,256 @@
+/**
+ * WhatsOnZwift Workout Exporter - ZWO import and comparison
+ *
+ * Reads an existing .zwo file back into the segment objects parseSegment
+ * produces, and compares two segment lists block by block.
+ */
+
+import { formatDuration, expandRepeat } from './parser.js';
+import { PACE_REFERENCES } from './model.js';
+
+/**
+ * Parses a .zwo document into workout metadata and segments.
+ * Warmup and Cooldown blocks are read by their attributes, so a ramp comes
+ * back as Ramp, a flat block as SteadyState and so on.
+ * @param {string} xmlString - The .zwo file content.
+ * @returns {{name: string, author: string, description: string, sportType: string, ftp: ?number, tags: Array<string>, segments: Array<Object>}}
+ *   ftp is the file's <ftpOverride>, set when it holds fixed watts.
+ * @throws {Error} If the file is not well-formed XML or has no <workout> element.
+ */
+export function parseZWO(xmlString) {
+    const doc = new DOMParser().parseFromString(xmlString, 'application/xml');
+    const parserError = doc.querySelector('parsererror');
+    if (parserError) {
+        throw new Error(`Invalid ZWO file: ${parserError.textContent.trim().split('\n')[0]}`);
+    }
+    const root = doc.documentElement;
+    const workout = Array.from(root.children).find(el => el.tagName.toLowerCase() === 'workout');
+    if (root.tagName.toLowerCase() !== 'workout_file' || !workout) {
+        throw new Error("Invalid ZWO file: missing <workout_file> or <workout> element.");
+    }
+
+    const childText = tagName => Array.from(root.children).find(el => el.tagName.toLowerCase() === tagName)?.textContent?.trim() || '';
+    const tagsElement = Array.from(root.children).find(el => el.tagName.toLowerCase() === 'tags');
+    const tags = tagsElement ? Array.from(tagsElement.children).map(tag => tag.getAttribute('name')).filter(Boolean) : [];
+
+    const segments = [];
+    Array.from(workout.children).forEach(element => {
+        const segment = parseZWOElement(element);
+        if (segment) {
+            segments.push(segment);
+        } else {
+            console.warn("Skipping unsupported ZWO element:", element.tagName);
+        }
+    });
+
+    return {
+        name: childText('name'),
+        author: childText('author'),
+        description: childText('description'),
+        sportType: childText('sporttype') || 'bike',
+        ftp: parseInt(childText('ftpoverride'), 10) || null,
+        tags,
+        segments
+    };
+}
+
+/**
+ * Converts one child of <workout> into a segment object.
+ * @param {Element} element - A workout block element.
+ * @returns {?Object} The segment, or null for unknown elements.
+ */
+function parseZWOElement(element) {
+    const attributes = {};
+    Array.from(element.attributes).forEach(attr => {
+        attributes[attr.name.toLowerCase()] = attr.value;
+    });
+    const number = name => attributes[name] !== undefined ? parseFloat(attributes[name]) : NaN;
+    const cadence = name => attributes[name] !== undefined ? parseInt(attributes[name], 10) : null;
+    const duration = Math.round(number('duration'));
+
+    let type = element.tagName.toLowerCase();
+    if (type === 'warmup' || type === 'cooldown') {
+        if (attributes.repeat !== undefined) type = 'intervalst';
+        else if (attributes.powerlow !== undefined) type = 'ramp';
+        else if (attributes.power !== undefined) type = 'steadystate';
+        else type = 'freeride';
+    }
+
+    let segment = null;
+    switch (type) {
+        case 'ramp':
+            segment = { type: 'Ramp', duration, powerLow: number('powerlow'), powerHigh: number('powerhigh'), cadence: cadence('cadence') };
+            break;
+        case 'steadystate':
+        case 'solidstate':
+            segment = { type: 'SteadyState', duration, power: number('power'), cadence: cadence('cadence') };
+            if (attributes.powerlow !== undefined && attributes.powerhigh !== undefined) {
+                // A range without Power is ridden at its midpoint
+                segment = {
+                    type: 'SteadyState', duration,
+                    power: isNaN(segment.power) ? (number('powerlow') + number('powerhigh')) / 2 : segment.power,
+                    powerLow: number('powerlow'), powerHigh: number('powerhigh'),
+                    cadence: segment.cadence
+                };
+            }
+            break;
+        case 'intervalst':
+            segment = {
+                type: 'IntervalsT',
+                repeat: parseInt(attributes.repeat, 10),
+                onDuration: Math.round(number('onduration')),
+                onPower: number('onpower'),
+                offDuration: Math.round(number('offduration')),
+                offPower: number('offpower'),
+                // Zwift writes Cadence/CadenceResting, older exports OnCadence/OffCadence
+                onCadence: cadence('oncadence') ?? cadence('cadence'),
+                offCadence: cadence('offcadence') ?? cadence('cadenceresting')
+            };
+            break;
+        case 'freeride':
+            segment = { type: 'FreeRide', duration, flatRoad: attributes.flatroad !== undefined ? parseInt(attributes.flatroad, 10) : 1 };
+            if (attributes.cadence !== undefined) {
+                segment.cadence = cadence('cadence');
+            }
+            break;
+        case 'maxeffort':
+            segment = { type: 'MaxEffort', duration };
+            break;
+        default:
+            return null;
+    }
+
+    const paceReference = PACE_REFERENCES[parseInt(attributes.pace, 10)];
+    if (paceReference && ['SteadyState', 'Ramp', 'IntervalsT'].includes(segment.type)) {
+        segment.paceReference = paceReference;
+    }
+
+    const textEvents = Array.from(element.children)
+        .filter(child => child.tagName.toLowerCase() === 'textevent')
+        .map(child => ({
+            timeOffset: parseInt(child.getAttribute('timeoffset') || child.getAttribute('TimeOffset') || '0', 10),
+            message: child.getAttribute('message') || child.getAttribute('Message') || ''
+        }));
+    if (textEvents.length) {
+        segment.textEvents = textEvents;
+    }
+    return segment;
+}
+
+/**
+ * Compares two segments, ignoring text events and tolerating rounding of
+ * power values to two decimals.
+ * @param {Object} a - First segment.
+ * @param {Object} b - Second segment.
+ * @returns {boolean} True if both describe the same block.
+ */
+export function segmentsEqual(a, b) {
+    if (!a || !b || a.type !== b.type) return false;
+    const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+    keys.delete('textEvents');
+    for (const key of keys) {
+        const left = a[key] ?? null;
+        const right = b[key] ?? null;
+        if (Array.isArray(left) && Array.isArray(right)) {
+            if (left.length !== right.length || !left.every((step, index) => segmentsEqual(step, right[index]))) return false;
+        } else if (typeof left === 'number' && typeof right === 'number') {
+            if (Math.abs(left - right) > 0.005) return false;
+        } else if (left !== right) {
+            return false;
+        }
+    }
+    return true;
+}
+
+/**
+ * Writes multi-step repeats out step by step, as generateZWO does: a .zwo
+ * file has no element for them.
+ * @param {Array<Object>} segments - Segments, possibly with Repeat blocks.
+ * @returns {Array<Object>} The segments without Repeat blocks.
+ */
+export function flattenRepeats(segments) {
+    return segments.flatMap(segment => segment.type === 'Repeat' ? expandRepeat(segment) : [segment]);
+}
+
+/**
+ * Aligns two segment lists (longest common subsequence) and reports each
+ * block as unchanged, changed, added or removed. Unmatched blocks between
+ * two matches are paired up in order and reported as changes. Repeats are
+ * compared step by step, so a page matches the .zwo file made from it.
+ * @param {Array<Object>} fromSegments - Segments of the older workout, e.g. the file on disk.
+ * @param {Array<Object>} toSegments - Segments of the newer workout, e.g. the current page.
+ * @returns {Array<{status: ('same'|'changed'|'added'|'removed'), from: ?Object, to: ?Object}>}
+ */
+export function diffSegments(from, to) {
+    const fromSegments = flattenRepeats(from);
+    const toSegments = flattenRepeats(to);
+    const n = fromSegments.length;
+    const m = toSegments.length;
+    const lengths = Array.from({ length: n + 1 }, () => new Array(m + 1).fill(0));
+    for (let i = n - 1; i >= 0; i--) {
+        for (let j = m - 1; j >= 0; j--) {
+            lengths[i][j] = segmentsEqual(fromSegments[i], toSegments[j])
+                ? lengths[i + 1][j + 1] + 1
+                : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+        }
+    }
+
+    // Walk the table, collecting unmatched blocks between two matches as one run
+    const diff = [];
+    let removed = [];
+    let added = [];
+    const flushRun = () => {
+        const paired = Math.min(removed.length, added.length);
+        for (let k = 0; k < paired; k++) {
+            diff.push({ status: 'changed', from: removed[k], to: added[k] });
+        }
+        removed.slice(paired).forEach(segment => diff.push({ status: 'removed', from: segment, to: null }));
+        added.slice(paired).forEach(segment => diff.push({ status: 'added', from: null, to: segment }));
+        removed = [];
+        added = [];
+    };
+
+    let i = 0;
+    let j = 0;
+    while (i < n || j < m) {
+        if (i < n && j < m && segmentsEqual(fromSegments[i], toSegments[j])) {
+            flushRun();
+            diff.push({ status: 'same', from: fromSegments[i++], to: toSegments[j++] });
+        } else if (i < n && (j === m || lengths[i + 1][j] >= lengths[i][j + 1])) {
+            removed.push(fromSegments[i++]);
+        } else {
+            added.push(toSegments[j++]);
+        }
+    }
+    flushRun();
+    return diff;
+}
+
+/**
+ * Short human-readable summary of a segment, e.g. "5x 3min @ 105% / 1min @ 50%".
+ * @param {Object} segment - A segment object.
+ * @returns {string} The summary.
+ */
+export function describeSegment(segment) {
+    const percent = power => `${Math.round(power * 100)}%`;
+    const rpm = cadence => cadence ? ` ${cadence}rpm` : '';
+    switch (segment.type) {
+        case 'SteadyState':
+            if (segment.powerLow !== undefined && segment.powerHigh !== undefined) {
+                return `${formatDuration(segment.duration)} @ ${percent(segment.powerLow)}-${percent(segment.powerHigh)}${rpm(segment.cadence)}`;
+            }
+            return `${formatDuration(segment.duration)} @ ${percent(segment.power)}${rpm(segment.cadence)}`;
+        case 'Ramp':
+            return `${formatDuration(segment.duration)} from ${percent(segment.powerLow)} to ${percent(segment.powerHigh)}${rpm(segment.cadence)}`;
+        case 'IntervalsT':
+            return `${segment.repeat}x ${formatDuration(segment.onDuration)} @ ${percent(segment.onPower)}${rpm(segment.onCadence)} / ${formatDuration(segment.offDuration)} @ ${percent(segment.offPower)}${rpm(segment.offCadence)}`;
+        case 'Repeat':
+            return `${segment.repeat}x (${segment.steps.map(describeSegment).join(', ')})`;
+        case 'FreeRide':
+            return `${formatDuration(segment.duration)} free ride${rpm(segment.cadence)}`;
+        case 'MaxEffort':
+            return `${formatDuration(segment.duration)} max effort`;
+        default:
+            return segment.type;
+    }
+}
@@ -0,0 +1,113 @@
+/**
+ * WhatsOnZwift Workout Exporter - ZWO validation
+ *
+ * Checks a .zwo document against the elements and attributes Zwift reads,
+ * so a broken file is reported instead of downloaded.
+ */
+
+const ZWO_HEADER_ELEMENTS = ['author', 'name', 'description', 'sportType', 'category', 'subcategory', 'durationType', 'ftpOverride', 'tags', 'workout'];
+
+const RAMP_ATTRIBUTES = ['Duration', 'PowerLow', 'PowerHigh', 'Cadence', 'CadenceLow', 'CadenceHigh', 'pace', 'Quantize'];
+
+// Attributes Zwift understands on each block, and the ones it needs
+const ZWO_BLOCKS = {
+    Warmup: { attributes: RAMP_ATTRIBUTES, required: ['Duration', 'PowerLow', 'PowerHigh'] },
+    Cooldown: { attributes: RAMP_ATTRIBUTES, required: ['Duration', 'PowerLow', 'PowerHigh'] },
+    Ramp: { attributes: RAMP_ATTRIBUTES, required: ['Duration', 'PowerLow', 'PowerHigh'] },
+    SteadyState: {
+        attributes: ['Duration', 'Power', 'PowerLow', 'PowerHigh', 'Cadence', 'CadenceLow', 'CadenceHigh', 'pace', 'Quantize', 'NeverFails', 'Zone'],
+        required: ['Duration'],
+        requiredOneOf: [['Power'], ['PowerLow', 'PowerHigh']]
+    },
+    SolidState: { attributes: ['Duration', 'Power', 'Cadence'], required: ['Duration', 'Power'] },
+    IntervalsT: {
+        attributes: ['Repeat', 'OnDuration', 'OffDuration', 'OnPower', 'OffPower', 'PowerOnLow', 'PowerOnHigh', 'PowerOffLow', 'PowerOffHigh',
+            'Cadence', 'CadenceResting', 'OnCadence', 'OffCadence', 'pace'],
+        required: ['Repeat', 'OnDuration', 'OffDuration'],
+        requiredOneOf: [['OnPower', 'OffPower'], ['PowerOnLow', 'PowerOnHigh', 'PowerOffLow', 'PowerOffHigh']]
+    },
+    FreeRide: { attributes: ['Duration', 'FlatRoad', 'Cadence', 'ftptest'], required: ['Duration'] },
+    MaxEffort: { attributes: ['Duration'], required: ['Duration'] }
+};
+
+const INTEGER_ATTRIBUTES = ['Duration', 'OnDuration', 'OffDuration', 'Repeat', 'Cadence', 'CadenceLow', 'CadenceHigh', 'CadenceResting', 'OnCadence', 'OffCadence'];
+const POWER_ATTRIBUTES = ['Power', 'PowerLow', 'PowerHigh', 'OnPower', 'OffPower', 'PowerOnLow', 'PowerOnHigh', 'PowerOffLow', 'PowerOffHigh'];
+
+/**
+ * Checks one block's attribute values.
+ * @param {Element} element - A child of <workout>.
+ * @param {string} label - How the block is named in messages.
+ * @returns {Array<string>} The problems found.
+ */
+function validateBlockAttributes(element, label) {
+    const spec = ZWO_BLOCKS[element.tagName];
+    const problems = [];
+    Array.from(element.attributes).forEach(({ name, value }) => {
+        if (!spec.attributes.includes(name)) {
+            problems.push(`${label}: unknown attribute ${name}`);
+        } else if (INTEGER_ATTRIBUTES.includes(name) && !/^[1-9]\d*$/.test(value)) {
+            problems.push(`${label}: ${name} must be a whole number above 0, not "${value}"`);
+        } else if (POWER_ATTRIBUTES.includes(name) && !/^\d+(\.\d+)?$/.test(value)) {
+            problems.push(`${label}: ${name} must be a power (fraction of FTP), not "${value}"`);
+        } else if (name === 'FlatRoad' && !['0', '1'].includes(value)) {
+            problems.push(`${label}: FlatRoad must be 0 or 1, not "${value}"`);
+        }
+    });
+    spec.required.filter(name => !element.hasAttribute(name)).forEach(name => problems.push(`${label}: missing ${name}`));
+    if (spec.requiredOneOf && !spec.requiredOneOf.some(names => names.every(name => element.hasAttribute(name)))) {
+        problems.push(`${label}: missing power target (${spec.requiredOneOf.map(names => names.join('/')).join(' or ')})`);
+    }
+    return problems;
+}
+
+/**
+ * Validates a .zwo document.
+ * @param {string} xmlString - The .zwo file content.
+ * @returns {Array<string>} The problems found, empty when the file is valid.
+ */
+export function validateZWO(xmlString) {
+    const doc = new DOMParser().parseFromString(xmlString, 'application/xml');
+    const parserError = doc.querySelector('parsererror');
+    if (parserError) {
+        return [`Not well-formed XML: ${parserError.textContent.trim().split('\n')[0]}`];
+    }
+    const root = doc.documentElement;
+    if (root.tagName !== 'workout_file') {
+        return [`Root element must be <workout_file>, not <${root.tagName}>`];
+    }
+
+    const problems = [];
+    const headerElements = Array.from(root.children);
+    headerElements.filter(el => !ZWO_HEADER_ELEMENTS.includes(el.tagName))
+        .forEach(el => problems.push(`Unknown element <${el.tagName}> in <workout_file>`));
+    ['name', 'workout'].filter(tagName => !headerElements.some(el => el.tagName === tagName))
+        .forEach(tagName => problems.push(`Missing <${tagName}> element`));
+    headerElements.filter(el => el.tagName === 'tags').forEach(tags => {
+        Array.from(tags.children).filter(tag => tag.tagName !== 'tag' || !tag.getAttribute('name'))
+            .forEach(() => problems.push('<tags> may only hold <tag name="..."/> elements'));
+    });
+    headerElements.filter(el => el.tagName === 'ftpOverride' && !/^[1-9]\d*$/.test(el.textContent.trim()))
+        .forEach(el => problems.push(`<ftpOverride> must be an FTP in whole watts, not "${el.textContent.trim()}"`));
+
+    const workout = headerElements.find(el => el.tagName === 'workout');
+    const blocks = workout ? Array.from(workout.children) : [];
+    if (workout && !blocks.length) {
+        problems.push('The <workout> element has no blocks');
+    }
+    blocks.forEach((element, index) => {
+        const label = `Block ${index + 1} (${element.tagName})`;
+        if (!ZWO_BLOCKS[element.tagName]) {
+            problems.push(`${label}: unknown block type`);
+            return;
+        }
+        problems.push(...validateBlockAttributes(element, label));
+        Array.from(element.children).forEach(child => {
+            if (child.tagName !== 'textevent') {
+                problems.push(`${label}: unknown element <${child.tagName}>`);
+            } else if (!/^\d+$/.test(child.getAttribute('timeoffset') || '') || !child.hasAttribute('message')) {
+                problems.push(`${label}: <textevent> needs a whole-second timeoffset and a message`);
+            }
+        });
+    });
+    return problems;
+}
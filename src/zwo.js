@@ -0,0 +1,126 @@
+/**
+ * WhatsOnZwift Workout Exporter - ZWO writer
+ *
+ * Builds the Zwift workout file from the workout model.
+ */
+
+import { expandRepeat, classifySegmentTag } from './parser.js';
+import { getWorkoutDescription, PACE_REFERENCES } from './model.js';
+
+export function escapeXml(value) {
+    const entities = { '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', "'": '&apos;' };
+    return String(value).replace(/[<>&"']/g, char => entities[char]);
+}
+
+export function generateZWO(model, options = {}) {
+    const { segments } = model;
+    const description = [getWorkoutDescription(model), ...(options.descriptionLines || [])].join('\n');
+    const power = value => value.toFixed(options.powerPrecision ?? 2);
+    const tags = (model.tags || []).length
+        ? `<tags>${model.tags.map(tag => `<tag name="${escapeXml(tag)}"/>`).join('')}</tags>`
+        : '<tags/>';
+    let xml = `
+    <workout_file>
+        <author>${escapeXml(model.author)}</author>
+        <name>${escapeXml(model.name)}</name>
+        <description>${escapeXml(description)}</description>
+        <sportType>${escapeXml(model.sportType)}</sportType>${options.ftpOverride ? `
+        <ftpOverride>${options.ftpOverride}</ftpOverride>` : ''}
+        ${tags}
+        <workout>\n`;
+
+    // Ramps opening or closing the workout are written as Warmup/Cooldown, everything else keeps its type.
+    // Multi-step repeats have no ZWO element, so they are written out step by step.
+    const blocks = [];
+    segments.forEach((segment, index) => {
+        if (segment.type === 'Repeat') {
+            // Hand each text event to the step it falls in, relative to that step's start
+            let offset = 0;
+            expandRepeat(segment).forEach(step => {
+                const textEvents = (segment.textEvents || [])
+                    .filter(event => event.timeOffset >= offset && event.timeOffset < offset + step.duration)
+                    .map(event => ({ ...event, timeOffset: event.timeOffset - offset }));
+                blocks.push({ segment: textEvents.length ? { ...step, textEvents } : step, tagName: step.type });
+                offset += step.duration;
+            });
+        } else {
+            blocks.push({ segment, tagName: classifySegmentTag(segment, index, segments.length) });
+        }
+    });
+
+    blocks.forEach(({ segment, tagName }, blockIndex) => {
+        // Clone the segment so we don't modify the original
+        const segmentToProcess = { ...segment };
+
+        if (tagName !== segmentToProcess.type) {
+            segmentToProcess.originalType = segmentToProcess.type;
+            segmentToProcess.type = tagName;
+        }
+
+        xml += `        <${segmentToProcess.type} `;
+
+        // Use original type properties to determine what attributes to output
+        const originalType = segmentToProcess.originalType || segmentToProcess.type;
+
+        switch (originalType) {
+            case 'Ramp':
+                xml += `Duration="${segmentToProcess.duration}" PowerLow="${power(segmentToProcess.powerLow)}" PowerHigh="${power(segmentToProcess.powerHigh)}"`;
+                if (segmentToProcess.cadence) {
+                    xml += ` Cadence="${segmentToProcess.cadence}"`;
+                }
+                break;
+            case 'SteadyState':
+                xml += `Duration="${segmentToProcess.duration}" Power="${power(segmentToProcess.power)}"`;
+                // A range keeps Power (the midpoint) for apps that only read a single target
+                if (segmentToProcess.powerLow !== undefined && segmentToProcess.powerHigh !== undefined) {
+                    xml += ` PowerLow="${power(segmentToProcess.powerLow)}" PowerHigh="${power(segmentToProcess.powerHigh)}"`;
+                }
+                if (segmentToProcess.cadence) {
+                    xml += ` Cadence="${segmentToProcess.cadence}"`;
+                }
+                break;
+            case 'IntervalsT':
+                xml += `Repeat="${segmentToProcess.repeat}" OnDuration="${segmentToProcess.onDuration}" OnPower="${power(segmentToProcess.onPower)}" OffDuration="${segmentToProcess.offDuration}" OffPower="${power(segmentToProcess.offPower)}"`;
+                if (segmentToProcess.onCadence) {
+                    xml += ` OnCadence="${segmentToProcess.onCadence}"`;
+                }
+                if (segmentToProcess.offCadence) {
+                    xml += ` OffCadence="${segmentToProcess.offCadence}"`;
+                }
+                break;
+            case 'FreeRide':
+                xml += `Duration="${segmentToProcess.duration}" FlatRoad="${segmentToProcess.flatRoad || 1}"`;
+                if (segmentToProcess.cadence) {
+                    xml += ` Cadence="${segmentToProcess.cadence}"`;
+                }
+                break;
+            case 'MaxEffort':
+                xml += `Duration="${segmentToProcess.duration}"`;
+                break;
+            default:
+                // Guessing a target would export a different workout without anyone noticing
+                throw new Error(`Block ${blockIndex + 1} has a type the .zwo format cannot hold: ${originalType}`);
+        }
+
+        // Run targets relative to a race pace instead of threshold pace
+        if (segmentToProcess.paceReference) {
+            xml += ` pace="${PACE_REFERENCES.indexOf(segmentToProcess.paceReference)}"`;
+        }
+
+        const textEvents = segmentToProcess.textEvents || [];
+        if (textEvents.length) {
+            xml += `>\n`;
+            textEvents.forEach(event => {
+                xml += `            <textevent timeoffset="${event.timeOffset}" message="${escapeXml(event.message)}" />\n`;
+            });
+            xml += `        </${segmentToProcess.type}>\n`;
+        } else {
+            xml += ` />\n`;
+        }
+    });
+
+    xml += `    </workout>
+</workout_file>`;
+
+    return xml;
+}
@@ -0,0 +1,93 @@
+/**
+ * Tape tests for the workout builder
+ */
+
+import test from 'tape';
+import './helpers.js';
+import {
+    getDefaultDraft, normalizeDraft, loadDraft, saveDraft, readBlocks, moveBlock, duplicateBlock, removeBlock,
+    createDraftModel, renderBlockList, BUILDER_DESCRIPTION
+} from '../src/builder.js';
+import { getExporters } from '../src/exporters.js';
+import { validateZWO } from '../src/zwo-validator.js';
+
+test('Builder: readBlocks', t => {
+    const [steady, intervals, ramp, unknown, empty] = readBlocks(['20min @ 85% 90rpm', '3x 8min @ 95% / 4min @ 55%', '10min from 50% to 75%', 'easy spin', '']);
+    t.deepEqual(steady.segment, { type: 'SteadyState', duration: 1200, power: 0.85, cadence: 90 }, 'Steady blocks with a cadence');
+    t.deepEqual(intervals.segment, {
+        type: 'IntervalsT', repeat: 3, onDuration: 480, onPower: 0.95, offDuration: 240, offPower: 0.55, onCadence: null, offCadence: null
+    }, '"/" separates interval steps');
+    t.equal(ramp.segment.type, 'Ramp', 'Ramps');
+    t.equal(unknown.segment, null, 'Text that is not understood gives no segment');
+    t.equal(empty.segment, null, 'So do empty blocks');
+    t.end();
+});
+
+test('Builder: block list edits', t => {
+    const blocks = ['a', 'b', 'c'];
+    t.deepEqual(moveBlock(blocks, 1, -1), ['b', 'a', 'c'], 'Blocks move up');
+    t.deepEqual(moveBlock(blocks, 1, 1), ['a', 'c', 'b'], 'And down');
+    t.deepEqual(moveBlock(blocks, 0, -1), blocks, 'Not past the ends');
+    t.deepEqual(duplicateBlock(blocks, 0), ['a', 'a', 'b', 'c'], 'Copies go right after the block');
+    t.deepEqual(removeBlock(blocks, 2), ['a', 'b'], 'Blocks are deleted');
+    t.deepEqual(blocks, ['a', 'b', 'c'], 'The list itself is not changed');
+    t.end();
+});
+
+test('Builder: createDraftModel', t => {
+    const { model, skipped } = createDraftModel({ ...getDefaultDraft(), name: ' Sweet Spot ', blocks: ['10min @ 60%', 'easy spin', '', '2x 10min @ 90% / 5min @ 50%'] });
+    t.equal(model.name, 'Sweet Spot', 'The name is trimmed');
+    t.equal(model.description, BUILDER_DESCRIPTION, 'Without a description the builder is named');
+    t.deepEqual(model.segments.map(segment => segment.type), ['SteadyState', 'IntervalsT'], 'Blocks that are not understood are left out');
+    t.equal(skipped, 1, 'Only non-empty blocks count as left out');
+    t.deepEqual(validateZWO(getExporters().zwo.generate(model, {})), [], 'The workout exports as a valid .zwo file');
+
+    const run = createDraftModel({ name: '', description: 'Hills', sportType: 'run', blocks: ['8min @ 95% pace'] }).model;
+    t.equal(run.name, 'Custom Workout', 'Unnamed workouts get a name');
+    t.equal(run.sportType, 'run', 'The sport is kept');
+    t.equal(run.segments[0].power, 0.95, 'Run blocks read % pace');
+    t.end();
+});
+
+test('Builder: drafts in chrome.storage', async t => {
+    t.deepEqual(await loadDraft(), getDefaultDraft(), 'Outside the extension the default draft is used');
+    t.deepEqual(normalizeDraft({ name: 'Hills', sportType: 'swim', blocks: [5] }), { ...getDefaultDraft(), name: 'Hills', blocks: ['5'] }, 'Stored drafts are cleaned up');
+    const stored = {};
+    globalThis.chrome = {
+        storage: {
+            local: {
+                get: async defaults => ({ ...defaults, ...stored }),
+                set: async values => { Object.assign(stored, values); }
+            }
+        }
+    };
+    try {
+        await saveDraft({ ...getDefaultDraft(), name: 'Hills', blocks: ['5min @ 70%'] });
+        t.deepEqual((await loadDraft()).blocks, ['5min @ 70%'], 'The draft is read back');
+    } finally {
+        delete globalThis.chrome;
+    }
+});
+
+test('Builder: renderBlockList', t => {
+    const container = document.createElement('div');
+    const changes = [];
+    renderBlockList(container, ['10min @ 60%', 'easy spin'], blocks => changes.push(blocks));
+    const rows = () => container.querySelectorAll('.zwo-builder-block');
+    t.equal(rows()[0].querySelector('.zwo-builder-summary').textContent, 'SteadyState · 10min · 60%', 'Each block shows what it parsed to');
+    t.ok(rows()[1].classList.contains('zwo-builder-error'), 'Blocks that are not understood are marked');
+
+    const input = rows()[1].querySelector('input');
+    input.value = '5min @ 50%';
+    input.dispatchEvent(new window.Event('input'));
+    t.deepEqual(changes.pop(), ['10min @ 60%', '5min @ 50%'], 'Typing reports the new text');
+    t.notOk(rows()[1].classList.contains('zwo-builder-error'), 'And updates the block');
+
+    rows()[1].querySelector('button[title="Move up"]').click();
+    t.deepEqual(changes.pop(), ['5min @ 50%', '10min @ 60%'], 'Moves keep what was typed');
+    rows()[0].querySelector('button[title="Duplicate"]').click();
+    rows()[2].querySelector('button[title="Delete"]').click();
+    t.deepEqual(changes.pop(), ['5min @ 50%', '5min @ 50%'], 'Blocks are duplicated and deleted');
+    t.ok(rows()[0].querySelector('button[title="Move up"]').disabled, 'The first block cannot move up');
+    t.end();
+});
@@ -0,0 +1,115 @@
+/**
+ * Tape tests for plan/collection bulk export and the zip writer
+ */
+
+import test from 'tape';
+import { JSDOM } from 'jsdom';
+import './helpers.js';
+import { parseWorkoutDocument } from '../src/page.js';
+import { getExporters } from '../src/exporters.js';
+import { crc32, createZip } from '../src/zip.js';
+import { findCollectionWorkoutLinks, getCollectionName, buildBulkArchive } from '../src/bulk-export.js';
+
+const planPage = new JSDOM(`<!DOCTYPE html><html><body><article>
+    <h1>Build Me Up</h1>
+    <section>
+        <h3>Week 1</h3>
+        <ul>
+            <li><a href="/workouts/build-me-up/foundation-1">Foundation 1</a></li>
+            <li><a href="https://whatsonzwift.com/workouts/build-me-up/foundation-2/">Foundation 2</a></li>
+        </ul>
+        <h3>Week 2</h3>
+        <ul>
+            <li><a href="/workouts/build-me-up/pyramid">Pyramid</a></li>
+            <li><a href="/workouts/build-me-up/pyramid">Pyramid (again)</a></li>
+        </ul>
+        <a href="/workouts/build-me-up/week-3-day-1">Openers</a>
+    </section>
+    <a href="/workouts/other-plan/workout">Other plan</a>
+    <a href="/workouts/build-me-up/foundation-1/comments">Comments</a>
+    <a href="https://example.com/workouts/build-me-up/elsewhere">Elsewhere</a>
+</article></body></html>`).window.document;
+
+const workoutPage = new JSDOM(`<!DOCTYPE html><html><body><article><section><div><div>
+    <h4 class="flaticon-bike">Foundation 1</h4>
+    <button name="update-ftp">FTP</button>
+    <div class="textbar">10min from <span data-value="50" data-unit="relpow">50</span> to <span data-value="75" data-unit="relpow">75</span>% FTP</div>
+    <div class="textbar">20min @ <span data-value="85" data-unit="relpow">85</span>% FTP</div>
+    <div class="textbar">Unknown block</div>
+</div></div></section></article></body></html>`).window.document;
+
+/**
+ * Lists the file names stored in a zip by walking its local file headers.
+ * @param {Uint8Array} zip - The zip file content.
+ * @returns {Array<string>} The stored paths.
+ */
+function zipEntries(zip) {
+    const view = new DataView(zip.buffer, zip.byteOffset, zip.byteLength);
+    const names = [];
+    let offset = 0;
+    while (view.getUint32(offset, true) === 0x04034B50) {
+        const size = view.getUint32(offset + 18, true);
+        const nameLength = view.getUint16(offset + 26, true);
+        names.push(Buffer.from(zip.subarray(offset + 30, offset + 30 + nameLength)).toString('utf8'));
+        offset += 30 + nameLength + size;
+    }
+    return names;
+}
+
+test('Bulk Export: findCollectionWorkoutLinks', t => {
+    const links = findCollectionWorkoutLinks(planPage, 'https://whatsonzwift.com/workouts/build-me-up');
+    t.deepEqual(links, [
+        { url: 'https://whatsonzwift.com/workouts/build-me-up/foundation-1', title: 'Foundation 1', week: 1 },
+        { url: 'https://whatsonzwift.com/workouts/build-me-up/foundation-2', title: 'Foundation 2', week: 1 },
+        { url: 'https://whatsonzwift.com/workouts/build-me-up/pyramid', title: 'Pyramid', week: 2 },
+        { url: 'https://whatsonzwift.com/workouts/build-me-up/week-3-day-1', title: 'Openers', week: 3 }
+    ], 'Should find unique workout links of this collection with their week');
+    t.deepEqual(findCollectionWorkoutLinks(planPage, 'https://whatsonzwift.com/workouts/'), [], 'The workouts index is not a collection');
+    t.end();
+});
+
+test('Bulk Export: parseWorkoutDocument', t => {
+    const workout = parseWorkoutDocument(workoutPage);
+    t.equal(workout.name, 'Foundation 1', 'Should read the workout name from the fetched page');
+    t.equal(workout.segments.length, 2, 'Should parse every segment');
+    t.equal(workout.skipped, 1, 'Should count unparsable segments');
+    t.equal(getCollectionName(planPage, 'https://whatsonzwift.com/workouts/build-me-up'), 'Build Me Up', 'Collection name comes from the heading');
+    t.end();
+});
+
+test('Bulk Export: buildBulkArchive', t => {
+    const segments = [{ type: 'SteadyState', duration: 600, power: 0.8, cadence: null }];
+    const workouts = [
+        { name: 'Foundation 1', url: 'https://whatsonzwift.com/workouts/build-me-up/foundation-1', week: 1, segments },
+        { name: 'Foundation 2', url: 'https://whatsonzwift.com/workouts/build-me-up/foundation-2', week: 1, segments },
+        { name: 'Pyramid', url: 'https://whatsonzwift.com/workouts/build-me-up/pyramid', week: 2, segments },
+        { name: 'Bonus: Sprints', url: 'https://whatsonzwift.com/workouts/build-me-up/sprints', week: null, segments }
+    ];
+    const zip = buildBulkArchive('Build Me Up', workouts, getExporters().mrc, {}, ['Skipped something']);
+    t.deepEqual(zipEntries(zip), [
+        'Build_Me_Up/Week_01/01_Foundation_1.mrc',
+        'Build_Me_Up/Week_01/02_Foundation_2.mrc',
+        'Build_Me_Up/Week_02/01_Pyramid.mrc',
+        'Build_Me_Up/01_Bonus__Sprints.mrc',
+        'Build_Me_Up/export-report.txt'
+    ], 'Should number workouts per week folder and add the report');
+    t.ok(Buffer.from(zip).includes(Buffer.from('DESCRIPTION = Workout exported from WhatsOnZwift: https://whatsonzwift.com/workouts/build-me-up/pyramid')), 'Each file points at its own workout page');
+
+    const problems = [];
+    const broken = { name: 'Broken', url: 'https://whatsonzwift.com/workouts/build-me-up/broken', week: 1, segments: [{ type: 'SteadyState', duration: 60, power: NaN, cadence: null }] };
+    const partial = buildBulkArchive('Build Me Up', [workouts[0], broken], getExporters().zwo, {}, problems);
+    t.deepEqual(zipEntries(partial), ['Build_Me_Up/Week_01/01_Foundation_1.zwo', 'Build_Me_Up/export-report.txt'], 'Workouts that fail to export are left out');
+    t.match(problems[0], /^Skipped Broken: The \.zwo file would not be valid/, 'The failure is in the report');
+    t.end();
+});
+
+test('Bulk Export: createZip', t => {
+    t.equal(crc32(Buffer.from('123456789')), 0xCBF43926, 'Should match the CRC-32 check value');
+    const zip = createZip([{ path: 'a.txt', content: 'hello' }, { path: 'dir/b.bin', content: Uint8Array.from([1, 2, 3]) }]);
+    t.deepEqual(zipEntries(zip), ['a.txt', 'dir/b.bin'], 'Should store every file');
+    const view = new DataView(zip.buffer);
+    const endOffset = zip.length - 22;
+    t.equal(view.getUint32(endOffset, true), 0x06054B50, 'Should end with the end of central directory record');
+    t.equal(view.getUint16(endOffset + 10, true), 2, 'Should record the number of entries');
+    t.end();
+});
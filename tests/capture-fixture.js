@@ -0,0 +1,110 @@
+#!/usr/bin/env node
+
+/**
+ * Captures regression fixtures from saved WhatsOnZwift pages
+ *
+ * Usage:
+ *   node tests/capture-fixture.js <page.html>... [--name <fixture>]   add new fixtures
+ *   node tests/capture-fixture.js --update [fixture...]              rewrite the golden files
+ *
+ * A fixture is a directory in tests/fixtures holding the saved page
+ * (page.html, stripped of scripts and styles), the segments read from it
+ * (segments.json) and the file the download button produces (workout.zwo).
+ * After a parser change, --update rewrites the golden files so the change
+ * in output shows up in `git diff tests/fixtures` for review.
+ */
+
+import { JSDOM } from 'jsdom';
+import { parseArgs } from 'util';
+import { pathToFileURL } from 'url';
+import * as fs from 'fs';
+import * as path from 'path';
+import { getSafeFilename } from '../src/page.js';
+import { FIXTURES_DIR, listFixtures, readFixture, runPageFlow } from './fixture-harness.js';
+
+const USAGE = 'Usage: node tests/capture-fixture.js <page.html>... [--name <fixture>] | --update [fixture...]';
+
+/**
+ * Strips a saved page down to what the exporter reads: scripts, styles,
+ * embedded content and all links but the canonical one are removed.
+ * @param {string} html - The page as saved by the browser.
+ * @returns {string} The trimmed page.
+ */
+export function trimSavedPage(html) {
+    const { document } = new JSDOM(html).window;
+    document.querySelectorAll('script, style, noscript, iframe, link:not([rel="canonical"])').forEach(node => node.remove());
+    return `<!DOCTYPE html>\n${document.documentElement.outerHTML.replace(/\n\s*\n/g, '\n')}\n`;
+}
+
+/**
+ * Runs a fixture's page through the exporter and writes its golden files.
+ * @param {string} name - Fixture name.
+ * @returns {Promise<{changed: boolean, parsed: Object, zwo: ?string}>} Whether a golden file changed, and the output.
+ */
+export async function writeGoldenFiles(name) {
+    const before = readFixture(name);
+    const { parsed, buttonAdded, zwo } = await runPageFlow(before.html);
+    if (!buttonAdded) {
+        console.warn(`${name}: the download button was not added to this page`);
+    }
+    const segments = JSON.stringify(parsed, null, 2) + '\n';
+    fs.writeFileSync(path.join(FIXTURES_DIR, name, 'segments.json'), segments);
+    if (zwo !== null) {
+        fs.writeFileSync(path.join(FIXTURES_DIR, name, 'workout.zwo'), zwo);
+    }
+    const changed = JSON.stringify(before.segments) !== JSON.stringify(parsed) || before.zwo !== zwo;
+    return { changed, parsed, zwo };
+}
+
+/**
+ * Runs the script.
+ * @param {Array<string>} argv - Arguments after the script name.
+ * @returns {Promise<number>} The exit code.
+ */
+export async function main(argv) {
+    let args;
+    try {
+        args = parseArgs({
+            args: argv,
+            allowPositionals: true,
+            options: { name: { type: 'string' }, update: { type: 'boolean' }, help: { type: 'boolean', short: 'h' } }
+        });
+    } catch (error) {
+        console.error(`${error.message}\n${USAGE}`);
+        return 1;
+    }
+    const { name, update, help } = args.values;
+    const inputs = args.positionals;
+    if (help || (!update && !inputs.length) || (name && inputs.length !== 1)) {
+        console[help ? 'log' : 'error'](USAGE);
+        return help ? 0 : 1;
+    }
+
+    if (update) {
+        const fixtures = inputs.length ? inputs : listFixtures();
+        for (const fixture of fixtures) {
+            const { changed } = await writeGoldenFiles(fixture);
+            console.log(`${fixture}: ${changed ? 'updated' : 'unchanged'}`);
+        }
+        return 0;
+    }
+
+    for (const input of inputs) {
+        const fixture = name || getSafeFilename(path.basename(input).replace(/\.html?$/i, '')).toLowerCase();
+        const dir = path.join(FIXTURES_DIR, fixture);
+        if (fs.existsSync(dir)) {
+            console.error(`${fixture}: already exists, use --update to rewrite its golden files`);
+            return 1;
+        }
+        fs.mkdirSync(dir, { recursive: true });
+        fs.writeFileSync(path.join(dir, 'page.html'), trimSavedPage(fs.readFileSync(input, 'utf8')));
+        const { parsed } = await writeGoldenFiles(fixture);
+        console.log(`${input} -> tests/fixtures/${fixture} (${parsed.segments.length} blocks, ${parsed.skipped} skipped)`);
+    }
+    console.log('Check page.html for personal details (names, e-mail addresses) before committing.');
+    return 0;
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(fs.realpathSync(process.argv[1])).href) {
+    process.exitCode = await main(process.argv.slice(2));
+}
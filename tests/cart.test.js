@@ -0,0 +1,103 @@
+/**
+ * Tape tests for the session cart
+ */
+
+import test from 'tape';
+import './helpers.js';
+import {
+    createCartItems, loadCart, addToCart, getCartSportType, moveCartItem, removeCartItem, insertRecovery,
+    getCartName, createCartModel, renderCartList
+} from '../src/cart.js';
+import { getExporters } from '../src/exporters.js';
+import { validateZWO } from '../src/zwo-validator.js';
+
+const warmup = { type: 'Ramp', duration: 600, powerLow: 0.4, powerHigh: 0.75, cadence: null };
+const mainSet = { type: 'IntervalsT', repeat: 3, onDuration: 480, onPower: 0.95, offDuration: 240, offPower: 0.55, onCadence: null, offCadence: null };
+const cooldown = { type: 'Ramp', duration: 300, powerLow: 0.6, powerHigh: 0.4, cadence: null };
+const foundation = { name: 'Foundation 1', sourceUrl: 'https://whatsonzwift.com/workouts/foundation-1', sportType: 'bike' };
+const gorby = { name: 'The Gorby', sourceUrl: 'https://whatsonzwift.com/workouts/the-gorby', sportType: 'bike' };
+const session = [
+    ...createCartItems(foundation, [warmup]),
+    ...createCartItems(gorby, [mainSet]),
+    ...createCartItems(foundation, [cooldown])
+];
+
+test('Cart: createCartItems', t => {
+    const items = createCartItems(foundation, [warmup, cooldown]);
+    t.equal(items.length, 2, 'One item per block');
+    t.deepEqual({ ...items[0], id: undefined }, { id: undefined, ...foundation, segment: warmup }, 'Items remember their workout');
+    t.notEqual(items[0].id, items[1].id, 'Every item gets its own id');
+    t.end();
+});
+
+test('Cart: editing', t => {
+    t.deepEqual(moveCartItem(session, 2, -1).map(item => item.segment), [warmup, cooldown, mainSet], 'Blocks move');
+    t.deepEqual(removeCartItem(session, 0).map(item => item.segment), [mainSet, cooldown], 'Blocks are removed');
+
+    const withRecovery = insertRecovery(session, 0, '4min @ 45%');
+    t.deepEqual(withRecovery[1].segment, { type: 'SteadyState', duration: 240, power: 0.45, cadence: null }, 'Recovery blocks go after the chosen block');
+    t.equal(withRecovery[1].name, null, 'They belong to no workout');
+    t.equal(insertRecovery(session, -1)[0].segment.duration, 300, 'The default recovery is inserted at the start');
+    t.equal(insertRecovery(session, 0, 'a rest'), null, 'Recovery text that is not understood is refused');
+    t.equal(session.length, 3, 'The cart itself is not changed');
+    t.end();
+});
+
+test('Cart: createCartModel', t => {
+    t.equal(getCartName(session), 'Foundation 1 + The Gorby', 'The name lists each workout once, in order');
+    t.equal(getCartName(insertRecovery([], -1)), 'Custom Session', 'A session of recovery blocks still has a name');
+
+    const model = createCartModel(insertRecovery(session, 1));
+    t.deepEqual(model.segments.map(segment => segment.type), ['Ramp', 'IntervalsT', 'SteadyState', 'Ramp'], 'Every block is kept, in order');
+    t.equal(model.description, 'Session combined from:\n- Foundation 1: https://whatsonzwift.com/workouts/foundation-1\n- The Gorby: https://whatsonzwift.com/workouts/the-gorby', 'The description lists the source workouts');
+    const zwo = getExporters().zwo.generate(model, {});
+    t.deepEqual(validateZWO(zwo), [], 'The session exports as one valid .zwo file');
+    t.ok(zwo.includes('<name>Foundation 1 + The Gorby</name>'), 'Named after its workouts');
+    t.end();
+});
+
+test('Cart: chrome.storage', async t => {
+    t.deepEqual(await loadCart(), [], 'The cart is empty outside the extension');
+    const stored = {};
+    globalThis.chrome = {
+        storage: {
+            local: {
+                get: async defaults => ({ ...defaults, ...stored }),
+                set: async values => { Object.assign(stored, values); }
+            }
+        }
+    };
+    try {
+        await addToCart(createCartItems(foundation, [warmup]));
+        await addToCart(createCartItems(gorby, [mainSet]));
+        t.deepEqual((await loadCart()).map(item => item.name), ['Foundation 1', 'The Gorby'], 'Blocks from every page end up in one cart');
+        t.equal(getCartSportType(await loadCart()), 'bike', 'The session takes the sport of its blocks');
+        try {
+            await addToCart(createCartItems({ name: 'Tempo Run', sportType: 'run' }, [warmup]));
+            t.fail('Run blocks are added to a bike session');
+        } catch (error) {
+            t.match(error.message, /holds bike blocks/, 'Blocks of another sport are refused');
+        }
+        t.equal((await loadCart()).length, 2, 'And not stored');
+    } finally {
+        delete globalThis.chrome;
+    }
+});
+
+test('Cart: renderCartList', t => {
+    const container = document.createElement('div');
+    const changes = [];
+    renderCartList(container, session, { onChange: cart => changes.push(cart), getRecovery: () => '3min @ 40%' });
+    const rows = container.querySelectorAll('.zwo-cart-item');
+    t.equal(rows.length, 3, 'One row per block');
+    t.equal(rows[1].querySelector('.zwo-cart-text').textContent, '3x 8min @ 95% / 4min @ 55% · The Gorby', 'Rows show the block and its workout');
+    t.ok(rows[0].querySelector('button[title="Move up"]').disabled, 'The first block cannot move up');
+
+    rows[1].querySelector('button[title="Move down"]').click();
+    t.deepEqual(changes.pop().map(item => item.segment), [warmup, cooldown, mainSet], 'Moves are reported');
+    rows[0].querySelector('button[title^="Insert"]').click();
+    t.equal(changes.pop()[1].segment.duration, 180, 'The recovery block typed in the popup is inserted');
+    rows[2].querySelector('button[title="Remove"]').click();
+    t.equal(changes.pop().length, 2, 'Removals are reported');
+    t.end();
+});
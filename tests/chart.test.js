@@ -0,0 +1,59 @@
+/**
+ * Tape tests for the power profile chart
+ */
+
+import test from 'tape';
+import './helpers.js';
+import { getZoneColor, renderPowerChart } from '../src/chart.js';
+
+/**
+ * Reads the x/y coordinates of a chart polygon.
+ * @param {Element} polygon - A polygon from the chart.
+ * @returns {Array<Array<number>>} The four corner points.
+ */
+function polygonPoints(polygon) {
+    return polygon.getAttribute('points').split(' ').map(point => point.split(',').map(Number));
+}
+
+test('Chart: getZoneColor', t => {
+    t.equal(getZoneColor(0.5), '#7f7f7f', 'Z1 below 60%');
+    t.equal(getZoneColor(0.6), '#338cff', 'Z2 from 60%');
+    t.equal(getZoneColor(0.76), '#59bf59', 'Z3 from 76%');
+    t.equal(getZoneColor(0.9), '#ffcc3f', 'Z4 from 90%');
+    t.equal(getZoneColor(1.05), '#ff6639', 'Z5 from 105%');
+    t.equal(getZoneColor(1.19), '#ff330c', 'Z6 from 119%');
+    t.end();
+});
+
+test('Chart: renderPowerChart', t => {
+    const segments = [
+        { type: 'Ramp', duration: 300, powerLow: 0.4, powerHigh: 0.8, cadence: null },
+        { type: 'IntervalsT', repeat: 2, onDuration: 60, onPower: 1.2, offDuration: 60, offPower: 0.5, onCadence: null, offCadence: null },
+        { type: 'FreeRide', duration: 60, flatRoad: 1 },
+        { type: 'SteadyState', duration: 120, power: 0.7, cadence: null }
+    ];
+    const svg = renderPowerChart(segments, { width: 600, height: 100 });
+    t.equal(svg.tagName, 'svg', 'Should return an SVG element');
+    t.equal(svg.getAttribute('viewBox'), '0 0 600 100', 'Should use the requested size');
+
+    const polygons = Array.from(svg.querySelectorAll('polygon'));
+    t.equal(polygons.length, 10 + 4 + 1 + 1, 'Ramp is sliced, every other step is one shape');
+
+    const ramp = polygons.slice(0, 10).map(polygonPoints);
+    t.ok(ramp[0][1][1] > ramp[9][2][1], 'Ramp goes up from left to right');
+    t.notEqual(polygons[0].getAttribute('fill'), polygons[9].getAttribute('fill'), 'Ramp slices change zone color');
+
+    const last = polygonPoints(polygons[polygons.length - 1]);
+    t.equal(last[2][0], 600, 'Last step ends at the right edge');
+    t.equal(polygons[10].getAttribute('fill'), '#ff330c', 'Interval on step is red');
+    t.equal(polygons[14].getAttribute('fill'), '#bdbdbd', 'Free ride is grey');
+    t.ok(svg.querySelector('text').textContent.includes('12min total'), 'Label shows the total duration');
+    t.end();
+});
+
+test('Chart: empty workout', t => {
+    const svg = renderPowerChart([]);
+    t.equal(svg.querySelectorAll('polygon').length, 0, 'No shapes without segments');
+    t.ok(svg.querySelector('line'), 'FTP line is still drawn');
+    t.end();
+});
@@ -0,0 +1,87 @@
+/**
+ * Tape tests for the woz2zwo command line converter
+ */
+
+import test from 'tape';
+import { spawnSync } from 'child_process';
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+
+const cli = path.resolve(process.cwd(), 'bin/woz2zwo.js');
+
+const page = (name, blocks) => `<!DOCTYPE html><html><head>
+    <link rel="canonical" href="https://whatsonzwift.com/workouts/cli/${name.toLowerCase()}">
+</head><body><article><section><div><div>
+    <h4 class="flaticon-bike">${name}</h4>
+    <button name="update-ftp">FTP</button>
+    ${blocks}
+</div></div></section></article></body></html>`;
+
+const complete = page('Tempo', `
+    <div class="textbar">10min from <span data-value="50" data-unit="relpow">50</span> to <span data-value="75" data-unit="relpow">75</span>% FTP</div>
+    <div class="textbar">20min @ <span data-value="85" data-unit="relpow">85</span>% FTP</div>`);
+const partial = page('Partial', `
+    <div class="textbar">20min @ <span data-value="85" data-unit="relpow">85</span>% FTP</div>
+    <div class="textbar">Unknown block</div>`);
+const empty = page('Empty', '<div class="textbar">Unknown block</div>');
+
+/**
+ * Writes the given pages into a fresh temporary directory.
+ * @param {Object<string, string>} files - File name to HTML.
+ * @returns {string} The directory.
+ */
+function writePages(files) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'woz2zwo-'));
+    Object.entries(files).forEach(([file, html]) => fs.writeFileSync(path.join(dir, file), html));
+    return dir;
+}
+
+const run = (...args) => spawnSync('node', [cli, ...args], { encoding: 'utf8' });
+
+test('CLI: converts a single page to ZWO', t => {
+    const dir = writePages({ 'tempo.html': complete });
+    const result = run(path.join(dir, 'tempo.html'));
+    t.equal(result.status, 0, 'Exit code 0');
+    const zwo = fs.readFileSync(path.join(dir, 'Tempo.zwo'), 'utf8');
+    t.ok(zwo.includes('<Warmup Duration="600" PowerLow="0.50" PowerHigh="0.75"'), 'Warmup written');
+    t.ok(zwo.includes('https://whatsonzwift.com/workouts/cli/tempo'), 'Canonical page URL in the description');
+    fs.rmSync(dir, { recursive: true });
+    t.end();
+});
+
+test('CLI: converts a directory to JSON', t => {
+    const dir = writePages({ 'a.html': complete, 'b.htm': partial, 'notes.txt': 'ignored' });
+    const out = path.join(dir, 'out');
+    const result = run(dir, '--format', 'json', '--out', out);
+    t.equal(result.status, 2, 'Exit code 2 when blocks were skipped');
+    t.deepEqual(fs.readdirSync(out).sort(), ['Partial.json', 'Tempo.json'], 'One file per page');
+    const json = JSON.parse(fs.readFileSync(path.join(out, 'Partial.json'), 'utf8'));
+    t.equal(json.version, 4, 'Workout model version');
+    t.ok(result.stderr.includes('1 block(s) could not be parsed'), 'Skipped blocks are reported');
+    t.deepEqual(json.segments, [{ type: 'SteadyState', duration: 1200, power: 0.85, cadence: null }], 'Parsed segments');
+    fs.rmSync(dir, { recursive: true });
+    t.end();
+});
+
+test('CLI: pages with the same title', t => {
+    const dir = writePages({ 'a.html': complete, 'b.html': complete, 'c.html': page('TEMPO', '<div class="textbar">5min @ <span data-value="50" data-unit="relpow">50</span>% FTP</div>') });
+    const result = run(dir);
+    t.equal(result.status, 0, 'Exit code 0');
+    t.deepEqual(fs.readdirSync(dir).filter(file => file.endsWith('.zwo')).sort(), ['TEMPO_3.zwo', 'Tempo.zwo', 'Tempo_2.zwo'], 'No file is overwritten, whatever the case');
+    t.ok(result.stderr.includes('another page is also named "Tempo", saving as Tempo_2.zwo'), 'The new name is reported');
+    fs.rmSync(dir, { recursive: true });
+    t.end();
+});
+
+test('CLI: exit codes for failures', t => {
+    const dir = writePages({ 'empty.html': empty, 'tempo.html': complete });
+    t.equal(run(dir).status, 3, 'Exit code 3 when a page has no workout');
+    t.notOk(fs.existsSync(path.join(dir, 'Empty.zwo')), 'Nothing written for the empty page');
+    t.ok(fs.existsSync(path.join(dir, 'Tempo.zwo')), 'Other pages are still converted');
+    t.equal(run().status, 1, 'Exit code 1 without an input');
+    t.equal(run(path.join(dir, 'missing.html')).status, 1, 'Exit code 1 for a missing file');
+    t.equal(run(dir, '--format', 'erg').status, 1, 'Exit code 1 for an unknown format');
+    fs.rmSync(dir, { recursive: true });
+    t.end();
+});
@@ -0,0 +1,52 @@
+/**
+ * Tape tests for the problem report
+ */
+
+import test from 'tape';
+import { JSDOM } from 'jsdom';
+import './helpers.js';
+import { sanitizeSnippet, buildDiagnostics, renderDiagnosticsPanel, ISSUES_URL } from '../src/diagnostics.js';
+
+const doc = new JSDOM(`<!DOCTYPE html><html><body><article><section><div><div>
+    <h4 class="flaticon-bike">Foundation 1</h4>
+    <button name="update-ftp" id="ftp" onclick="track()">FTP</button>
+    <a href="/athlete/12345" class="profile">My profile</a>
+    <input name="email" value="rider@example.com">
+    <script>track()</script>
+    <div class="textbar">20min @ <span data-value="85" data-unit="relpow">213</span>W</div>
+    <div class="textbar">Unknown block</div>
+    <div class="zwo-preview-panel" data-woz2zwo>Exporter preview</div>
+</div></div></section></article></body></html>`, { url: 'https://whatsonzwift.com/workouts/plan/foundation-1?session=abc' }).window.document;
+
+test('Diagnostics: sanitizeSnippet', t => {
+    const snippet = sanitizeSnippet(doc.querySelector('article'));
+    t.notOk(snippet.includes('12345') || snippet.includes('rider@example.com'), 'Links and form values are dropped');
+    t.notOk(snippet.includes('<script') || snippet.includes('onclick'), 'Scripts and handlers are dropped');
+    t.notOk(snippet.includes('Exporter preview'), "The exporter's own elements are dropped");
+    t.ok(snippet.includes('<span data-value="85" data-unit="relpow">213</span>'), 'What the parser reads is kept');
+    t.ok(sanitizeSnippet(doc.querySelector('article'), 50).endsWith('<!-- truncated -->'), 'Long snippets are cut');
+    t.end();
+});
+
+test('Diagnostics: buildDiagnostics', t => {
+    const report = buildDiagnostics(doc, { version: '1.4.0', date: new Date('2024-03-01T10:00:00Z') });
+    t.equal(report.page, 'https://whatsonzwift.com/workouts/plan/foundation-1', 'The page address has no query string');
+    t.equal(report.version, '1.4.0', 'The extension version is recorded');
+    t.deepEqual(report.selectors.blocks, { selector: '.textbar', fallback: false, count: 2 }, 'Selector matches are listed');
+    t.equal(report.workout.ftp, 251, 'The FTP read from the page is recorded');
+    t.deepEqual(report.workout.blocks[0], { text: '20min @ 213W', segment: { type: 'SteadyState', duration: 1200, power: 0.85, cadence: null }, error: null }, 'Every block shows what was parsed from it');
+    t.equal(report.workout.blocks[1].segment, null, 'Failed blocks have no segment');
+    t.ok(report.workout.blocks[1].error, 'Failed blocks carry the error');
+    t.ok(report.snippet.startsWith('<div>'), 'The snippet is the workout list');
+    t.end();
+});
+
+test('Diagnostics: renderDiagnosticsPanel', t => {
+    const container = document.createElement('div');
+    renderDiagnosticsPanel(container, { report: 'woz2zwo-diagnostics' });
+    t.deepEqual(JSON.parse(container.querySelector('textarea').value), { report: 'woz2zwo-diagnostics' }, 'The report is shown as JSON');
+    t.equal(container.querySelector('a').href, ISSUES_URL, 'A link opens a new issue');
+    container.querySelectorAll('button')[1].click();
+    t.equal(container.children.length, 0, 'Close removes the panel');
+    t.end();
+});
@@ -0,0 +1,135 @@
+/**
+ * Tape tests for the ERG, MRC and FIT exporters
+ */
+
+import test from 'tape';
+import './helpers.js';
+import { expandSegmentSteps } from '../src/parser.js';
+import { createWorkoutModel } from '../src/model.js';
+import { getExporters, generateERG, generateMRC, fitCrc16, generateFIT, getFixedWattsModel } from '../src/exporters.js';
+import { parseZWO } from '../src/zwo-import.js';
+
+const segments = [
+    { type: 'Ramp', duration: 300, powerLow: 0.5, powerHigh: 0.75, cadence: null },
+    { type: 'IntervalsT', repeat: 2, onDuration: 60, onPower: 1.2, offDuration: 30, offPower: 0.5, onCadence: 100, offCadence: null },
+    { type: 'FreeRide', duration: 120, flatRoad: 1 },
+    { type: 'SteadyState', duration: 600, power: 0.6, cadence: 85 }
+];
+
+/**
+ * Returns the [minutes, target] rows between [COURSE DATA] markers.
+ * @param {string} content - ERG or MRC file content.
+ * @returns {Array<Array<string>>} The data rows split on tabs.
+ */
+function courseData(content) {
+    const match = content.match(/\[COURSE DATA\]\r\n([\s\S]*?)\[END COURSE DATA\]/);
+    return match[1].trim().split('\r\n').map(line => line.split('\t'));
+}
+
+test('Exporters: registry', t => {
+    const exporters = getExporters();
+    t.deepEqual(Object.keys(exporters), ['zwo', 'erg', 'mrc', 'fit', 'json'], 'Should offer ZWO, ERG, MRC, FIT and JSON');
+    Object.values(exporters).forEach(exporter => {
+        t.equal(typeof exporter.generate, 'function', `${exporter.extension} exporter should have a generate function`);
+    });
+    t.ok(exporters.erg.requiresFtp, 'ERG needs an FTP for absolute watts');
+    t.notOk(exporters.mrc.requiresFtp, 'MRC is relative to FTP');
+    t.end();
+});
+
+test('Exporters: expandSegmentSteps', t => {
+    const steps = expandSegmentSteps(segments);
+    t.equal(steps.length, 1 + 4 + 1 + 1, 'Intervals should be unrolled into on/off steps');
+    t.deepEqual(steps[0], { duration: 300, powerStart: 0.5, powerEnd: 0.75, cadence: null, freeRide: false }, 'Ramp keeps its start and end power');
+    t.equal(steps[1].cadence, 100, 'On step keeps its cadence');
+    t.equal(steps[5].freeRide, true, 'Free ride is flagged');
+
+    const repeatSteps = expandSegmentSteps([{
+        type: 'Repeat', repeat: 2, steps: [
+            { type: 'SteadyState', duration: 60, power: 1.2, cadence: 100 },
+            { type: 'Ramp', duration: 30, powerLow: 0.8, powerHigh: 0.5, cadence: null }
+        ]
+    }]);
+    t.deepEqual(repeatSteps.map(step => [step.duration, step.powerStart, step.powerEnd]), [[60, 1.2, 1.2], [30, 0.8, 0.5], [60, 1.2, 1.2], [30, 0.8, 0.5]], 'Repeats are unrolled step by step');
+    t.end();
+});
+
+test('Exporters: generateMRC', t => {
+    const mrc = generateMRC(createWorkoutModel('Test Workout', segments));
+    t.ok(mrc.includes('MINUTES PERCENT'), 'Should declare percent units');
+    t.notOk(mrc.includes('FTP ='), 'Should not record an FTP');
+    t.ok(mrc.includes('FILE NAME = Test Workout'), 'Should include the workout name');
+    const rows = courseData(mrc);
+    t.deepEqual(rows[0], ['0.00', '50'], 'Ramp starts at 50%');
+    t.deepEqual(rows[1], ['5.00', '75'], 'Ramp ends at 75% after 5 minutes');
+    t.deepEqual(rows[2], ['5.00', '120'], 'First interval starts at 120%');
+    t.deepEqual(rows[rows.length - 1], ['20.00', '60'], 'Workout ends after 20 minutes at 60%');
+    t.end();
+});
+
+test('Exporters: generateERG', t => {
+    const erg = generateERG(createWorkoutModel('Test Workout', segments, { ftp: 250 }));
+    t.ok(erg.includes('MINUTES WATTS'), 'Should declare watt units');
+    t.ok(erg.includes('FTP = 250'), 'Should record the FTP used');
+    const rows = courseData(erg);
+    t.deepEqual(rows[0], ['0.00', '125'], 'Ramp starts at 125W');
+    t.deepEqual(rows[2], ['5.00', '300'], 'Intervals are converted to watts');
+    t.throws(() => generateERG(createWorkoutModel('Test Workout', segments)), /FTP is required/, 'Should refuse to export watts without an FTP');
+    t.end();
+});
+
+test('Exporters: generateFIT', t => {
+    const fit = generateFIT(createWorkoutModel('Test Workout', segments));
+    t.ok(fit instanceof Uint8Array, 'Should return bytes');
+    t.equal(fit[0], 14, 'Header should be 14 bytes');
+    t.equal(String.fromCharCode(fit[8], fit[9], fit[10], fit[11]), '.FIT', 'Header should contain the .FIT signature');
+    const dataSize = fit[4] | (fit[5] << 8) | (fit[6] << 16) | (fit[7] << 24);
+    t.equal(fit.length, 14 + dataSize + 2, 'Data size should match the file length');
+    t.equal(fitCrc16(fit.subarray(0, 14)), 0, 'Header CRC should validate');
+    t.equal(fitCrc16(fit), 0, 'File CRC should validate');
+    t.ok(Buffer.from(fit).includes(Buffer.from('Test Workout\0')), 'Should embed the workout name');
+    t.end();
+});
+
+test('Exporters: max efforts and power ranges', t => {
+    const sprintModel = createWorkoutModel('Sprints', [
+        { type: 'SteadyState', duration: 600, power: 0.9, powerLow: 0.85, powerHigh: 0.95, cadence: null },
+        { type: 'MaxEffort', duration: 30 }
+    ]);
+    const rows = courseData(generateMRC(sprintModel));
+    t.deepEqual(rows[0], ['0.00', '90'], 'Trainer formats hold the middle of a power range');
+    t.deepEqual(rows[2], ['10.00', '160'], 'Trainer formats hold a max effort at 160%');
+    t.equal(expandSegmentSteps(sprintModel.segments)[1].maxEffort, true, 'Max effort steps are flagged');
+    const fit = generateFIT(sprintModel);
+    t.equal(fitCrc16(fit), 0, 'FIT file with max efforts should validate');
+    t.end();
+});
+
+test('Exporters: fixed watts', t => {
+    const exporters = getExporters();
+    const model = createWorkoutModel('Test Workout', segments, { ftp: 250 });
+    const options = { absoluteWatts: true, ftp: 253, wattsRounding: 5 };
+    t.equal(getFixedWattsModel(model, {}), null, 'Off unless asked for');
+    t.equal(getFixedWattsModel(createWorkoutModel('Run', segments, { sportType: 'run', ftp: 250 }), options), null, 'Runs keep their pace targets');
+    t.equal(getFixedWattsModel(model, options).ftp, 253, 'The FTP typed for the export wins over the page FTP');
+
+    const zwo = exporters.zwo.generate(model, options);
+    t.ok(zwo.includes('<ftpOverride>253</ftpOverride>'), 'The .zwo records the FTP its targets were worked out from');
+    t.ok(zwo.includes('Fixed watts for an FTP of 253 W, rounded to 5 W.'), 'The description says how the watts were worked out');
+    t.ok(zwo.includes('PowerHigh="0.7510"'), 'Targets carry enough decimals for the exact watts (190 W / 253 W)');
+    const imported = parseZWO(zwo);
+    t.equal(imported.ftp, 253, 'The FTP is read back from the file');
+    t.equal(Math.round(imported.segments[1].onPower * imported.ftp), 305, 'Watts survive the round trip (1.2 x 253 W = 303.6 W, rounded to 305 W)');
+    t.ok(exporters.zwo.generate(model, {}).includes('<tags/>') && !exporters.zwo.generate(model, {}).includes('ftpOverride'), 'Relative exports are unchanged');
+
+    t.deepEqual(courseData(exporters.erg.generate(model, options))[2], ['5.00', '305'], 'ERG files use the rounded watts');
+    t.ok(Buffer.from(exporters.fit.generate(model, options)).includes(Buffer.from([0x19, 0x05, 0, 0])), 'FIT targets are watts plus 1000 (305 W)');
+    t.equal(fitCrc16(exporters.fit.generate(model, options)), 0, 'The FIT file with watt targets validates');
+    t.end();
+});
+
+test('Exporters: fitCrc16', t => {
+    t.equal(fitCrc16([]), 0, 'Empty input has a zero checksum');
+    t.equal(fitCrc16(Buffer.from('123456789')), 0xBB3D, 'Should match the CRC-16/ARC check value');
+    t.end();
+});
@@ -0,0 +1,109 @@
+/**
+ * Runs a saved workout page through the exporter the way the browser does:
+ * the page is loaded into JSDOM, initExporter adds the download button and
+ * the button is clicked. Shared by fixtures.test.js and capture-fixture.js,
+ * so the golden files are exactly what the test compares against.
+ */
+
+import { JSDOM, VirtualConsole } from 'jsdom';
+import { fileURLToPath } from 'url';
+import * as fs from 'fs';
+import * as path from 'path';
+import { getSavedPageUrl } from '../bin/woz2zwo.js';
+import { parseWorkoutDocument } from '../src/page.js';
+import { initExporter } from '../src/main.js';
+
+export const FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures');
+// Used for pages saved without a canonical link
+const FALLBACK_URL = 'https://whatsonzwift.com/workouts/fixture';
+// How long to wait for the download after clicking the button
+const DOWNLOAD_TIMEOUT = 2000;
+
+/**
+ * Lists the fixtures: every directory in tests/fixtures with a page.html.
+ * @returns {Array<string>} Fixture names, sorted.
+ */
+export function listFixtures() {
+    return fs.readdirSync(FIXTURES_DIR)
+        .filter(name => fs.existsSync(path.join(FIXTURES_DIR, name, 'page.html')))
+        .sort();
+}
+
+/**
+ * Reads a fixture's saved page and golden files.
+ * @param {string} name - Fixture name.
+ * @returns {{html: string, segments: ?Object, zwo: ?string}} The goldens are null when not captured yet.
+ */
+export function readFixture(name) {
+    const read = file => {
+        const target = path.join(FIXTURES_DIR, name, file);
+        return fs.existsSync(target) ? fs.readFileSync(target, 'utf8') : null;
+    };
+    const segments = read('segments.json');
+    return { html: read('page.html'), segments: segments && JSON.parse(segments), zwo: read('workout.zwo') };
+}
+
+/**
+ * Loads a saved page as the current page, with the browser globals the
+ * exporter uses pointing at it.
+ * @param {string} html - The saved page.
+ * @returns {{window: Window, restore: Function}} The page's window, and a function putting the previous globals back.
+ */
+function loadPage(html) {
+    const url = getSavedPageUrl(new JSDOM(html).window.document) || FALLBACK_URL;
+    // A silent console: saved pages log about missing styles and scripts
+    const { window } = new JSDOM(html, { url, virtualConsole: new VirtualConsole() });
+    const names = ['document', 'window', 'DOMParser', 'XMLSerializer', 'MutationObserver', 'alert'];
+    const previous = Object.fromEntries(names.map(name => [name, globalThis[name]]));
+    const { createObjectURL, revokeObjectURL } = URL;
+    Object.assign(globalThis, {
+        document: window.document,
+        window,
+        DOMParser: window.DOMParser,
+        XMLSerializer: window.XMLSerializer,
+        MutationObserver: window.MutationObserver,
+        alert: message => console.log(`alert: ${message}`)
+    });
+    const restore = () => {
+        Object.assign(globalThis, previous);
+        Object.assign(URL, { createObjectURL, revokeObjectURL });
+        window.close();
+    };
+    return { window, restore };
+}
+
+/**
+ * Runs the whole page flow on a saved page.
+ * @param {string} html - The saved page.
+ * @returns {Promise<{parsed: Object, buttonAdded: boolean, zwo: ?string}>} What the page reader found
+ *   (name, sport, FTP, segments and skipped blocks, as plain JSON), whether the download button was
+ *   added, and the .zwo file it downloaded.
+ */
+export async function runPageFlow(html) {
+    const { window, restore } = loadPage(html);
+    let watcher = null;
+    let timer = null;
+    try {
+        const parsed = JSON.parse(JSON.stringify(parseWorkoutDocument(window.document)));
+        const download = new Promise(resolve => {
+            URL.createObjectURL = blob => {
+                resolve(blob.text());
+                return 'blob:fixture';
+            };
+            URL.revokeObjectURL = () => {};
+        });
+        watcher = initExporter();
+        const button = window.document.querySelector('.zwo-download-button');
+        if (!button) {
+            return { parsed, buttonAdded: false, zwo: null };
+        }
+        button.click();
+        // No download at all (e.g. nothing could be parsed) gives a null file rather than a hang
+        const timeout = new Promise(resolve => { timer = setTimeout(() => resolve(null), DOWNLOAD_TIMEOUT); });
+        return { parsed, buttonAdded: true, zwo: await Promise.race([download, timeout]) };
+    } finally {
+        clearTimeout(timer);
+        watcher?.stop();
+        restore();
+    }
+}
@@ -0,0 +1,46 @@
+/**
+ * Tape tests running saved workout pages through the whole page flow and
+ * comparing the result with their golden files. Fixtures named synthetic-*
+ * are hand-written pages, see the README. When a change in output is
+ * intended, run `npm run capture-fixture -- --update` and review the diff.
+ */
+
+import test from 'tape';
+import './helpers.js';
+import { listFixtures, readFixture, runPageFlow } from './fixture-harness.js';
+import { trimSavedPage } from './capture-fixture.js';
+import { validateZWO } from '../src/zwo-validator.js';
+
+const fixtures = listFixtures();
+
+test('Fixtures: the corpus is there', t => {
+    t.ok(fixtures.length >= 4, 'Several saved pages are covered');
+    fixtures.forEach(name => {
+        const { segments, zwo } = readFixture(name);
+        t.ok(segments && zwo, `${name} has its golden files`);
+    });
+    t.end();
+});
+
+fixtures.forEach(name => {
+    test(`Fixtures: ${name}`, async t => {
+        const expected = readFixture(name);
+        const { parsed, buttonAdded, zwo } = await runPageFlow(expected.html);
+        t.ok(buttonAdded, 'The download button is added');
+        t.deepEqual(parsed, expected.segments, 'The page reads as in segments.json');
+        t.equal(zwo, expected.zwo, 'The button downloads workout.zwo');
+        t.deepEqual(validateZWO(zwo), [], 'The download is a valid .zwo file');
+    });
+});
+
+test('Fixtures: trimSavedPage', t => {
+    const trimmed = trimSavedPage(`<html><head>
+        <link rel="canonical" href="https://whatsonzwift.com/workouts/tempo">
+        <link rel="stylesheet" href="site.css"><style>body {}</style>
+        <script src="analytics.js"></script>
+    </head><body><article><h4 class="flaticon-bike">Tempo</h4><iframe src="ad.html"></iframe></article></body></html>`);
+    t.notOk(/<script|<style|<iframe|stylesheet/.test(trimmed), 'Scripts, styles and embedded content are removed');
+    t.ok(trimmed.includes('<link rel="canonical" href="https://whatsonzwift.com/workouts/tempo">'), 'The canonical link is kept for the source URL');
+    t.ok(trimmed.includes('<h4 class="flaticon-bike">Tempo</h4>'), 'The workout is kept');
+    t.end();
+});
@@ -0,0 +1,28 @@
+/**
+ * Shared test setup: a JSDOM environment providing the browser globals the
+ * extension modules use.
+ */
+
+import { JSDOM } from 'jsdom';
+
+// Create a minimal DOM environment for testing functions that interact with DOM elements
+// The URL doubles as the location used in generated descriptions
+const dom = new JSDOM('<!DOCTYPE html><html><body></body></html>', { url: 'http://test.com/mock-workout' });
+global.document = dom.window.document;
+global.window = dom.window;
+global.DOMParser = dom.window.DOMParser;
+global.XMLSerializer = dom.window.XMLSerializer;
+global.MutationObserver = dom.window.MutationObserver;
+
+/**
+ * Helper function to create a DOM element from an HTML string.
+ * @param {string} htmlString - The HTML string to parse.
+ * @returns {Element} The first element created from the HTML string.
+ */
+export function createElementFromHTML(htmlString) {
+    const div = document.createElement('div');
+    // Trim whitespace to avoid creating extra text nodes
+    div.innerHTML = htmlString.trim();
+    // Return the first child element
+    return div.firstChild;
+}
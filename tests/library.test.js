@@ -0,0 +1,121 @@
+/**
+ * Tape tests for the workout library
+ */
+
+import test from 'tape';
+import './helpers.js';
+import { createWorkoutModel } from '../src/model.js';
+import { getExporters } from '../src/exporters.js';
+import { buildBulkArchive } from '../src/bulk-export.js';
+import {
+    createLibraryEntry, mergeLibraryEntries, searchLibrary, loadLibrary, addToLibrary, deleteFromLibrary,
+    renderLibraryList, LIBRARY_MAX_ENTRIES
+} from '../src/library.js';
+
+const hour = [{ type: 'SteadyState', duration: 3600, power: 1, cadence: null }];
+const easy = [{ type: 'SteadyState', duration: 1800, power: 0.5, cadence: null }];
+const tempo = createWorkoutModel('Tempo Hour', hour, { sourceUrl: 'https://whatsonzwift.com/workouts/tempo-hour', tags: ['Threshold'] });
+const spin = createWorkoutModel('Easy Spin', easy, { sourceUrl: 'https://whatsonzwift.com/workouts/easy-spin', tags: ['Recovery', 'Base'] });
+const run = createWorkoutModel('Tempo Run', easy, { sportType: 'run' });
+
+test('Library: createLibraryEntry', t => {
+    const entry = createLibraryEntry(tempo, new Date('2024-03-01T10:00:00Z'));
+    t.equal(entry.savedAt, '2024-03-01T10:00:00.000Z', 'Export time is recorded');
+    t.equal(entry.duration, 3600, 'Duration in seconds');
+    t.equal(entry.tss, 100, 'One hour at FTP is 100 TSS');
+    t.equal(entry.model, tempo, 'The model is kept as exported');
+    t.notEqual(entry.id, createLibraryEntry(tempo, new Date('2024-03-01T10:00:00Z')).id, 'Every entry gets its own id');
+    t.end();
+});
+
+test('Library: mergeLibraryEntries', t => {
+    const old = [createLibraryEntry(spin), createLibraryEntry(tempo)];
+    const again = createLibraryEntry(tempo);
+    const merged = mergeLibraryEntries(old, [again]);
+    t.deepEqual(merged.map(entry => entry.id), [again.id, old[0].id], 'Exporting a workout again replaces its entry and moves it to the top');
+
+    const many = Array.from({ length: LIBRARY_MAX_ENTRIES }, (_, index) => createLibraryEntry(createWorkoutModel(`Workout ${index}`, easy)));
+    const full = mergeLibraryEntries(many, [again]);
+    t.equal(full.length, LIBRARY_MAX_ENTRIES, 'The library is capped');
+    t.equal(full[full.length - 1].model.name, `Workout ${LIBRARY_MAX_ENTRIES - 2}`, 'The oldest entry is dropped first');
+    t.end();
+});
+
+test('Library: searchLibrary', t => {
+    const library = [createLibraryEntry(tempo), createLibraryEntry(spin), createLibraryEntry(run)];
+    const names = query => searchLibrary(library, query).map(entry => entry.model.name);
+    t.deepEqual(names(''), ['Tempo Hour', 'Easy Spin', 'Tempo Run'], 'An empty query lists everything');
+    t.deepEqual(names('tempo'), ['Tempo Hour', 'Tempo Run'], 'Words match the name, ignoring case');
+    t.deepEqual(names('tag:base'), ['Easy Spin'], 'tag: matches tags only');
+    t.deepEqual(names('recovery'), ['Easy Spin'], 'Plain words also match tags');
+    t.deepEqual(names('tss>50'), ['Tempo Hour'], 'TSS can be compared');
+    t.deepEqual(names('tss<=80'), ['Easy Spin'], 'Runs have no TSS to compare');
+    t.deepEqual(names('min<=30'), ['Easy Spin', 'Tempo Run'], 'Minutes can be compared');
+    t.deepEqual(names('tempo min>45'), ['Tempo Hour'], 'Every word has to match');
+    t.end();
+});
+
+test('Library: chrome.storage', async t => {
+    t.deepEqual(await loadLibrary(), [], 'The library is empty outside the extension');
+    t.deepEqual(await addToLibrary([tempo]), [], 'Nothing is stored outside the extension');
+
+    const stored = {};
+    globalThis.chrome = {
+        storage: {
+            local: {
+                get: async defaults => ({ ...defaults, ...stored }),
+                set: async values => { Object.assign(stored, values); }
+            }
+        }
+    };
+    try {
+        await addToLibrary([tempo]);
+        await addToLibrary([spin, run]);
+        const library = await loadLibrary();
+        t.deepEqual(library.map(entry => entry.model.name), ['Easy Spin', 'Tempo Run', 'Tempo Hour'], 'Exports are kept, newest first');
+        await deleteFromLibrary(library[1].id);
+        t.deepEqual((await loadLibrary()).map(entry => entry.model.name), ['Easy Spin', 'Tempo Hour'], 'Entries can be deleted');
+
+        await Promise.all([addToLibrary([tempo]), addToLibrary([run])]);
+        t.deepEqual((await loadLibrary()).map(entry => entry.model.name), ['Tempo Run', 'Tempo Hour', 'Easy Spin'], 'Overlapping exports are both kept');
+
+        stored.library[0].model.version = 1;
+        t.equal((await loadLibrary())[0].model.version, tempo.version, 'Entries saved by an older version are brought up to date');
+    } finally {
+        delete globalThis.chrome;
+    }
+});
+
+test('Library: renderLibraryList', t => {
+    const container = document.createElement('div');
+    const calls = [];
+    const handlers = { onExport: (entry, format) => calls.push(['export', entry.model.name, format]), onDelete: entry => calls.push(['delete', entry.model.name]) };
+    renderLibraryList(container, [createLibraryEntry(tempo), createLibraryEntry(run)], getExporters(), handlers);
+
+    const items = container.querySelectorAll('.zwo-library-entry');
+    t.equal(items.length, 2, 'One item per entry');
+    t.equal(items[0].querySelector('a').href, 'https://whatsonzwift.com/workouts/tempo-hour', 'The name links to the source page');
+    t.ok(items[0].textContent.includes('1:00:00 · TSS 100'), 'Duration and TSS are shown');
+    t.notOk(items[1].textContent.includes('TSS'), 'Runs show no TSS');
+    t.deepEqual(Array.from(items[1].querySelectorAll('option')).map(option => option.value), ['zwo', 'json'], 'Runs only offer run formats');
+
+    items[0].querySelector('select').value = 'mrc';
+    items[0].querySelectorAll('button')[0].click();
+    items[1].querySelectorAll('button')[1].click();
+    t.deepEqual(calls, [['export', 'Tempo Hour', 'mrc'], ['delete', 'Tempo Run']], 'Buttons call the handlers with the chosen format');
+
+    renderLibraryList(container, [], getExporters(), handlers);
+    t.ok(container.querySelector('.zwo-library-empty'), 'An empty list says so');
+    t.end();
+});
+
+test('Library: bulk exports are recorded', t => {
+    const exported = [];
+    const workouts = [
+        { name: 'Tempo Hour', url: 'https://whatsonzwift.com/workouts/plan/tempo-hour', week: 1, segments: hour },
+        { name: 'Broken', url: 'https://whatsonzwift.com/workouts/plan/broken', week: 1, segments: [{ type: 'SteadyState', duration: 60, power: NaN, cadence: null }] }
+    ];
+    buildBulkArchive('Plan', workouts, getExporters().zwo, {}, [], undefined, exported);
+    t.deepEqual(exported.map(model => model.name), ['Tempo Hour'], 'Only workouts written to the zip are collected');
+    t.end();
+});
@@ -0,0 +1,75 @@
+/**
+ * Tape tests for workout metrics
+ */
+
+import test from 'tape';
+import './helpers.js';
+import { computeWorkoutMetrics, formatClockDuration, formatMetricsSummary, formatTimeInZones } from '../src/metrics.js';
+import { createWorkoutModel } from '../src/model.js';
+import { getExporters } from '../src/exporters.js';
+
+const hourAt = power => [{ type: 'SteadyState', duration: 3600, power, cadence: null }];
+
+test('Metrics: steady workouts', t => {
+    const threshold = computeWorkoutMetrics(hourAt(1.0), 250);
+    t.equal(threshold.duration, 3600, 'Duration in seconds');
+    t.equal(Math.round(threshold.normalizedPower * 1000), 1000, 'NP of a steady hour equals its power');
+    t.equal(Math.round(threshold.tss), 100, 'One hour at FTP is 100 TSS');
+    t.equal(Math.round(threshold.kilojoules), 900, 'kJ at 250W for an hour');
+    t.equal(Math.round(threshold.normalizedWatts), 250, 'NP in watts');
+
+    const endurance = computeWorkoutMetrics(hourAt(0.75), null);
+    t.equal(endurance.intensityFactor.toFixed(2), '0.75', 'IF of a steady hour at 75%');
+    t.equal(Math.round(endurance.tss * 100) / 100, 56.25, 'TSS scales with IF squared');
+    t.equal(endurance.kilojoules, null, 'No kJ without an FTP');
+    t.deepEqual(endurance.timeInZones.map(zone => zone.seconds), [0, 3600, 0, 0, 0, 0, 0], '75% is Coggan zone 2');
+    t.end();
+});
+
+test('Metrics: variable workouts', t => {
+    const segments = [
+        { type: 'Ramp', duration: 600, powerLow: 0.4, powerHigh: 0.7, cadence: null },
+        { type: 'IntervalsT', repeat: 5, onDuration: 60, onPower: 1.3, offDuration: 60, offPower: 0.5, onCadence: null, offCadence: null },
+        { type: 'FreeRide', duration: 300, flatRoad: 1 }
+    ];
+    const metrics = computeWorkoutMetrics(segments, 200);
+    t.equal(metrics.duration, 600 + 600 + 300, 'Duration includes every step');
+    t.ok(metrics.normalizedPower > metrics.averagePower, 'NP is above average power for intervals');
+    t.equal(metrics.timeInZones[5].seconds, 300, 'Five minutes at 130% in zone 6');
+    t.equal(metrics.timeInZones.reduce((total, zone) => total + zone.seconds, 0), metrics.duration, 'Every second is in one zone');
+    t.equal(Math.round(metrics.kilojoules), Math.round(metrics.averagePower * 200 * 1500 / 1000), 'kJ from average power');
+    t.end();
+});
+
+test('Metrics: edge cases', t => {
+    const empty = computeWorkoutMetrics([], 250);
+    t.equal(empty.duration, 0, 'Empty workout has no duration');
+    t.equal(empty.tss, 0, 'Empty workout has no load');
+
+    const short = computeWorkoutMetrics([{ type: 'SteadyState', duration: 20, power: 1.5, cadence: null }], null);
+    t.equal(short.normalizedPower, 1.5, 'Under 30 seconds NP falls back to average power');
+
+    const sprint = computeWorkoutMetrics([{ type: 'MaxEffort', duration: 30 }], null);
+    t.equal(sprint.timeInZones[6].seconds, 30, 'Max efforts count as neuromuscular');
+    t.end();
+});
+
+test('Metrics: formatting', t => {
+    const metrics = computeWorkoutMetrics(hourAt(0.75), 300);
+    t.equal(formatMetricsSummary(metrics), 'Duration 1:00:00 · TSS 56 · IF 0.75 · NP 225W · 810 kJ', 'Summary with an FTP');
+    t.equal(formatMetricsSummary(computeWorkoutMetrics(hourAt(0.75), null)), 'Duration 1:00:00 · TSS 56 · IF 0.75 · NP 75% FTP', 'Summary without an FTP');
+    t.equal(formatTimeInZones(metrics), 'Z2 1:00:00', 'Time in zone');
+    t.equal(formatClockDuration(3725), '1:02:05', 'Clock duration');
+    t.end();
+});
+
+test('Metrics: ZWO description', t => {
+    const zwo = getExporters().zwo;
+    const withMetrics = zwo.generate(createWorkoutModel('Metrics', hourAt(0.75), { ftp: 300 }), { includeMetrics: true });
+    t.ok(withMetrics.includes('TSS 56 · IF 0.75 · NP 225W · 810 kJ'), 'Metrics are written into the description');
+    t.ok(withMetrics.includes('Time in zone: Z2 1:00:00'), 'Time in zone is written into the description');
+    t.notOk(zwo.generate(createWorkoutModel('Metrics', hourAt(0.75)), {}).includes('TSS'), 'Metrics are optional');
+    const run = zwo.generate(createWorkoutModel('Metrics', hourAt(0.75), { sportType: 'run' }), { includeMetrics: true });
+    t.notOk(/TSS|FTP|Time in zone/.test(run), 'Runs leave out the power metrics');
+    t.end();
+});
@@ -0,0 +1,82 @@
+/**
+ * Tape tests for the workout model, its JSON Schema and validation
+ */
+
+import test from 'tape';
+import * as fs from 'fs';
+import * as path from 'path';
+import './helpers.js';
+import { createWorkoutModel, getWorkoutSchema, validateWorkoutModel, generateWorkoutJSON, upgradeWorkoutModel, WORKOUT_MODEL_VERSION } from '../src/model.js';
+import { generateZWO } from '../src/zwo.js';
+import { generateMRC } from '../src/exporters.js';
+
+const segments = [
+    { type: 'Ramp', duration: 600, powerLow: 0.5, powerHigh: 0.75, cadence: null },
+    { type: 'IntervalsT', repeat: 3, onDuration: 60, onPower: 1.2, offDuration: 60, offPower: 0.5, onCadence: 100, offCadence: null, textEvents: [{ timeOffset: 0, message: 'Go' }] },
+    { type: 'Repeat', repeat: 2, steps: [
+        { type: 'SteadyState', duration: 120, power: 0.9, cadence: null },
+        { type: 'Ramp', duration: 60, powerLow: 0.9, powerHigh: 0.6, cadence: null }
+    ] },
+    { type: 'FreeRide', duration: 300, flatRoad: 1 }
+];
+
+test('Model: createWorkoutModel', t => {
+    const model = createWorkoutModel('Tempo', segments, { sourceUrl: 'https://whatsonzwift.com/workouts/tempo', ftp: 250 });
+    t.equal(model.version, WORKOUT_MODEL_VERSION, 'Model is versioned');
+    t.equal(model.ftp, 250, 'FTP is recorded');
+    t.equal(model.sourceUrl, 'https://whatsonzwift.com/workouts/tempo', 'Source URL is recorded');
+    t.deepEqual(model.segments, segments, 'Parsed segments are kept as they are');
+    t.equal(createWorkoutModel('Tempo', segments).ftp, null, 'FTP is null when unknown');
+
+    const extra = createWorkoutModel('Tempo', [{ type: 'SteadyState', duration: 60, power: 0.5, cadence: null, originalType: 'Warmup' }]);
+    t.deepEqual(extra.segments[0], { type: 'SteadyState', duration: 60, power: 0.5, cadence: null }, 'Fields outside the model are dropped');
+    t.end();
+});
+
+test('Model: validation', t => {
+    const model = createWorkoutModel('Tempo', segments, { ftp: 250 });
+    t.deepEqual(validateWorkoutModel(model), [], 'A parsed workout is valid');
+    t.deepEqual(validateWorkoutModel(JSON.parse(generateWorkoutJSON(model))), [], 'The JSON export is valid');
+
+    const broken = createWorkoutModel('', [
+        { type: 'SteadyState', duration: 90.5, power: '0.9', cadence: null },
+        { type: 'Unknown', duration: 60 },
+        { type: 'Repeat', repeat: 0, steps: [{ type: 'IntervalsT', repeat: 1, onDuration: 1, onPower: 1, offDuration: 1, offPower: 1 }] }
+    ]);
+    t.deepEqual(validateWorkoutModel(broken), [
+        'workout.name: must not be empty',
+        'workout.segments[0].duration: must be integer',
+        'workout.segments[0].power: must be number',
+        'workout.segments[1]: type must be one of SteadyState, Ramp, IntervalsT, FreeRide, MaxEffort, Repeat',
+        'workout.segments[2].repeat: must be at least 1',
+        'workout.segments[2].steps[0]: type must be one of SteadyState, Ramp, MaxEffort, Repeat'
+    ], 'Problems are reported with their location');
+    t.throws(() => generateWorkoutJSON(broken), /does not match the JSON schema/, 'Invalid models are not exported');
+    t.end();
+});
+
+test('Model: published schema', t => {
+    const published = JSON.parse(fs.readFileSync(path.resolve(process.cwd(), `schema/workout-${WORKOUT_MODEL_VERSION}.schema.json`), 'utf8'));
+    t.deepEqual(published, getWorkoutSchema(), 'schema/ holds the current schema');
+    for (let version = 1; version < WORKOUT_MODEL_VERSION; version++) {
+        t.ok(fs.existsSync(path.resolve(process.cwd(), `schema/workout-${version}.schema.json`)), `The version ${version} schema stays published`);
+    }
+    t.end();
+});
+
+test('Model: upgradeWorkoutModel', t => {
+    const model = createWorkoutModel('Tempo', segments, { ftp: 250 });
+    const older = { ...model, $schema: model.$schema.replace(/workout-\d+/, 'workout-1'), version: 1 };
+    t.notDeepEqual(validateWorkoutModel(older), [], 'A version 1 model does not pass as the current version');
+    t.deepEqual(upgradeWorkoutModel(older), model, 'It is brought up to date');
+    t.equal(upgradeWorkoutModel(model), model, 'Current models are left as they are');
+    t.end();
+});
+
+test('Model: exporters read the model', t => {
+    const model = createWorkoutModel('Tempo', segments, { sourceUrl: 'https://whatsonzwift.com/workouts/tempo' });
+    t.ok(generateZWO(model).includes('Workout exported from WhatsOnZwift: https://whatsonzwift.com/workouts/tempo'), 'ZWO description uses the model source URL');
+    t.ok(generateMRC(model).includes('FILE NAME = Tempo'), 'MRC uses the model name');
+    t.ok(generateZWO(createWorkoutModel('Tempo', segments)).includes('<description>Workout exported from WhatsOnZwift</description>'), 'No URL when the source is unknown');
+    t.end();
+});
@@ -0,0 +1,93 @@
+/**
+ * Tape tests for the page watcher that keeps the exporter attached
+ */
+
+import test from 'tape';
+import './helpers.js';
+import { watchPage, markInjected, removeInjected, INJECTED_ATTRIBUTE } from '../src/page-watcher.js';
+
+const settle = () => new Promise(resolve => setTimeout(resolve, 20));
+
+/**
+ * A fake page and exporter: the "workout" is the text of #name, the FTP the
+ * text of #ftp, and the exporter a button added next to them.
+ */
+function createPage() {
+    const root = document.createElement('div');
+    document.body.appendChild(root);
+    const calls = [];
+    const hooks = {
+        getPageKey: () => root.querySelector('#name')?.textContent,
+        getRefreshKey: () => root.querySelector('#ftp')?.textContent,
+        isAttached: () => Boolean(root.querySelector('.exporter')),
+        attach: () => {
+            calls.push('attach');
+            if (!root.querySelector('#name')) return false;
+            const button = document.createElement('button');
+            button.className = 'exporter';
+            markInjected(button);
+            root.appendChild(button);
+            return true;
+        },
+        detach: () => { calls.push('detach'); removeInjected(root); },
+        refresh: () => calls.push('refresh')
+    };
+    return { root, calls, hooks };
+}
+
+test('Page Watcher: markInjected and removeInjected', t => {
+    const root = document.createElement('div');
+    root.innerHTML = '<p>site</p><span>ours</span><em>ours too</em>';
+    markInjected(root.querySelector('span'), root.querySelector('em'));
+    t.ok(root.querySelector('span').hasAttribute(INJECTED_ATTRIBUTE), 'Elements are marked');
+    removeInjected(root);
+    t.equal(root.innerHTML, '<p>site</p>', 'Only marked elements are removed');
+    t.end();
+});
+
+test('Page Watcher: attaches once the page is rendered', async t => {
+    const { root, calls, hooks } = createPage();
+    const watcher = watchPage(hooks, { root, delay: 0 });
+    t.equal(calls.filter(call => call === 'attach').length, 1, 'Tries right away');
+    t.notOk(hooks.isAttached(), 'Nothing is attached before the workout is there');
+
+    root.innerHTML = '<h4 id="name">Tempo</h4><span id="ftp">250</span>';
+    await settle();
+    t.ok(hooks.isAttached(), 'Attached once the workout appears');
+    t.equal(root.querySelectorAll('.exporter').length, 1, 'One button');
+    watcher.stop();
+    root.remove();
+});
+
+test('Page Watcher: navigation, re-renders and FTP changes', async t => {
+    const { root, calls, hooks } = createPage();
+    root.innerHTML = '<h4 id="name">Tempo</h4><span id="ftp">250</span>';
+    const watcher = watchPage(hooks, { root, delay: 0 });
+    calls.length = 0;
+
+    root.querySelector('.exporter').textContent = 'Processing...';
+    await settle();
+    t.deepEqual(calls, [], 'Changes inside the exporter are ignored');
+
+    root.querySelector('#ftp').textContent = '260';
+    await settle();
+    t.deepEqual(calls, ['refresh'], 'An FTP change refreshes the exporter');
+
+    calls.length = 0;
+    root.querySelector('#name').textContent = 'Sweet Spot';
+    await settle();
+    t.deepEqual(calls, ['detach', 'attach'], 'Another workout re-attaches the exporter');
+    t.equal(root.querySelectorAll('.exporter').length, 1, 'The stale button is removed');
+
+    calls.length = 0;
+    root.querySelector('.exporter').remove();
+    await settle();
+    t.deepEqual(calls, ['detach', 'attach'], 'A removed exporter is added again');
+
+    calls.length = 0;
+    watcher.stop();
+    root.querySelector('#ftp').textContent = '270';
+    await settle();
+    t.deepEqual(calls, [], 'Nothing happens after stop');
+    root.remove();
+});
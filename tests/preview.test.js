@@ -0,0 +1,119 @@
+/**
+ * Tape tests for the segment preview panel and shorthand block editing
+ */
+
+import test from 'tape';
+import { createElementFromHTML } from './helpers.js';
+import { parsePageBlocks, collectBlockSegments } from '../src/page.js';
+import { describeSegment } from '../src/zwo-import.js';
+import { parseSegmentText, summarizeSegment, renderPreviewPanel } from '../src/preview.js';
+
+const pageBlocks = [
+    '<div class="textbar">10min from <span data-value="50" data-unit="relpow">50</span> to <span data-value="75" data-unit="relpow">75</span>% FTP</div>',
+    '<div class="textbar">Mystery block @ <span data-value="90" data-unit="relpow">90</span>% and <span data-value="95" data-unit="relpow">95</span>%</div>',
+    '<div class="textbar">4x 1min @ 100rpm, <span data-value="120" data-unit="relpow">120</span>% FTP,<br> 2min @ <span data-value="50" data-unit="relpow">50</span>% FTP</div>'
+].map(createElementFromHTML);
+
+test('Preview: parseSegmentText', t => {
+    t.deepEqual(parseSegmentText('10min @ 80%'), { type: 'SteadyState', duration: 600, power: 0.8, cadence: null }, 'Steady shorthand');
+    t.deepEqual(parseSegmentText('5min @ 90rpm, 85% FTP'), { type: 'SteadyState', duration: 300, power: 0.85, cadence: 90 }, 'Page-style text with cadence');
+    t.deepEqual(parseSegmentText('8min from 50% to 75%'), { type: 'Ramp', duration: 480, powerLow: 0.5, powerHigh: 0.75, cadence: null }, 'Ramp shorthand');
+    t.deepEqual(
+        parseSegmentText('3x 8min @ 95% / 4min @ 55%'),
+        { type: 'IntervalsT', repeat: 3, onDuration: 480, onPower: 0.95, offDuration: 240, offPower: 0.55, onCadence: null, offCadence: null },
+        'Interval shorthand with "/"'
+    );
+    t.equal(parseSegmentText('3x (2min @ 105% / 1min @ 120% / 2min @ 50%)').steps.length, 3, 'Multi-step shorthand');
+    t.deepEqual(parseSegmentText('15min free ride'), { type: 'FreeRide', duration: 900, flatRoad: 1 }, 'Free ride shorthand');
+    t.deepEqual(parseSegmentText('20sec max effort'), { type: 'MaxEffort', duration: 20 }, 'Max effort shorthand');
+    t.deepEqual(parseSegmentText('10min @ 85%-95%'), { type: 'SteadyState', duration: 600, power: 0.9, powerLow: 0.85, powerHigh: 0.95, cadence: null }, 'Power range shorthand');
+    t.equal(parseSegmentText('hard for a while'), null, 'Unknown text is rejected');
+
+    const pace = { thresholdPace: 270 };
+    t.equal(parseSegmentText('10min @ 4:30/km', pace)?.power, 1, 'An absolute pace is read with the threshold pace');
+    t.equal(parseSegmentText('10min @ 4:30/km'), null, 'Without a threshold pace it is not understood');
+    const paceIntervals = parseSegmentText('3x 1min @ 5:00/km / 1min @ 60% pace', pace);
+    t.deepEqual([paceIntervals?.type, paceIntervals?.onPower, paceIntervals?.offPower], ['IntervalsT', 0.9, 0.6], 'The "/" in a pace does not split steps');
+    t.equal(parseSegmentText('10min @ 80% <i>steady</i>')?.power, 0.8, 'Markup in the input is treated as text');
+
+    const repeat = parseSegmentText('2x 3min @ 95% 90rpm / 1min from 60% to 40%');
+    t.equal(parseSegmentText(describeSegment(repeat)).repeat, 2, 'describeSegment output can be edited and parsed again');
+    t.end();
+});
+
+test('Preview: summarizeSegment', t => {
+    t.deepEqual(summarizeSegment({ type: 'Ramp', duration: 450, powerLow: 0.5, powerHigh: 0.75, cadence: 90 }), { type: 'Ramp', duration: '7min 30sec', power: '50% → 75%', cadence: '90rpm' }, 'Ramp columns');
+    t.deepEqual(
+        summarizeSegment({ type: 'IntervalsT', repeat: 4, onDuration: 60, onPower: 1.2, offDuration: 120, offPower: 0.5, onCadence: 100, offCadence: null }),
+        { type: 'IntervalsT 4x', duration: '12min', power: '120% / 50%', cadence: '100 / –rpm' },
+        'Interval columns use the total duration'
+    );
+    t.deepEqual(summarizeSegment({ type: 'FreeRide', duration: 600, flatRoad: 1 }), { type: 'FreeRide', duration: '10min', power: '–', cadence: '–' }, 'Free ride columns');
+    t.deepEqual(summarizeSegment({ type: 'MaxEffort', duration: 30 }), { type: 'MaxEffort', duration: '30sec', power: 'max', cadence: '–' }, 'Max effort columns');
+    t.equal(summarizeSegment({ type: 'SteadyState', duration: 600, power: 0.9, powerLow: 0.85, powerHigh: 0.95, cadence: null }).power, '85%–95%', 'Power range column');
+    t.end();
+});
+
+test('Preview: parsePageBlocks and collectBlockSegments', t => {
+    const blocks = parsePageBlocks(pageBlocks);
+    t.equal(blocks.length, 3, 'One entry per block');
+    t.equal(blocks[1].segment, null, 'Failed block has no segment');
+    t.ok(blocks[1].error, 'Failed block has an error');
+    t.ok(blocks[1].text.startsWith('Mystery block'), 'Failed block keeps its text');
+
+    t.equal(collectBlockSegments(blocks).skipped, 1, 'Failed block is skipped without an override');
+    const overrides = new Map([[1, { type: 'SteadyState', duration: 300, power: 0.9, cadence: null }]]);
+    const { segments, skipped } = collectBlockSegments(blocks, {}, overrides);
+    t.equal(skipped, 0, 'Nothing is skipped once the block is fixed');
+    t.deepEqual(segments.map(segment => segment.type), ['Ramp', 'SteadyState', 'IntervalsT'], 'The fixed block keeps its position');
+    t.end();
+});
+
+test('Preview: renderPreviewPanel', t => {
+    const panel = document.createElement('div');
+    const overrides = new Map();
+    let changes = 0;
+    const render = () => {
+        changes++;
+        renderPreviewPanel(panel, parsePageBlocks(pageBlocks), overrides, render);
+    };
+    renderPreviewPanel(panel, parsePageBlocks(pageBlocks), overrides, render);
+
+    const rows = () => panel.querySelectorAll('.zwo-preview-row');
+    t.equal(rows().length, 3, 'One row per block');
+    t.ok(panel.textContent.includes('1 could not be parsed'), 'Heading reports the failure');
+    t.equal(rows()[1].style.color, 'rgb(198, 40, 40)', 'Failed row is highlighted in red');
+
+    rows()[1].querySelector('button').click();
+    const input = rows()[1].querySelector('input');
+    t.ok(input, 'Fix opens an input');
+    input.value = 'not a block';
+    rows()[1].querySelectorAll('button')[0].click();
+    t.equal(overrides.size, 0, 'Invalid input is not applied');
+
+    input.value = '5min @ 90%';
+    rows()[1].querySelectorAll('button')[0].click();
+    t.equal(changes, 1, 'Applying a fix re-renders');
+    t.deepEqual(overrides.get(1), { type: 'SteadyState', duration: 300, power: 0.9, cadence: null }, 'Fixed block is stored as an override');
+    t.ok(rows()[1].textContent.includes('(edited)'), 'Edited row is marked');
+    t.notOk(panel.textContent.includes('could not be parsed'), 'No failures remain');
+
+    Array.from(rows()[1].querySelectorAll('button')).find(button => button.textContent === 'Reset').click();
+    t.equal(overrides.size, 0, 'Reset drops the override');
+    t.end();
+});
+
+test('Preview: adding blocks to the session', t => {
+    const panel = document.createElement('div');
+    const added = [];
+    const blocks = parsePageBlocks(pageBlocks);
+    renderPreviewPanel(panel, blocks, new Map(), () => {}, segment => added.push(segment));
+    const sessionButtons = Array.from(panel.querySelectorAll('button')).filter(button => button.textContent === '+ Session');
+    t.equal(sessionButtons.length, 2, 'Only parsed blocks can be added');
+    sessionButtons[1].click();
+    t.deepEqual(added, [blocks[2].segment], 'The button adds its own block');
+
+    renderPreviewPanel(panel, blocks, new Map(), () => {});
+    t.notOk(panel.textContent.includes('+ Session'), 'No buttons without a handler');
+    t.end();
+});
@@ -0,0 +1,95 @@
+/**
+ * Tape tests for the team roster
+ */
+
+import test from 'tape';
+import './helpers.js';
+import { createWorkoutModel } from '../src/model.js';
+import { getExporters } from '../src/exporters.js';
+import { getDefaultSettings } from '../src/settings.js';
+import {
+    normalizeAthlete, normalizeRoster, loadRoster, saveRoster, describeAthlete, personalizeModel,
+    buildRosterArchive, renderRosterEditor
+} from '../src/roster.js';
+
+const segments = [{ type: 'SteadyState', duration: 600, power: 0.8, cadence: null }];
+const tempo = createWorkoutModel('Tempo', segments, { sourceUrl: 'https://whatsonzwift.com/workouts/tempo', ftp: 250 });
+const anna = normalizeAthlete({ name: 'Anna', ftp: '240', weight: '60', intensity: '95', units: 'watts' });
+const ben = normalizeAthlete({ name: 'Ben' });
+
+test('Roster: normalizeAthlete', t => {
+    t.deepEqual(anna, { name: 'Anna', ftp: 240, weight: 60, intensity: 95, units: 'watts' }, 'Typed values are converted');
+    t.deepEqual(ben, { name: 'Ben', ftp: null, weight: null, intensity: 100, units: 'percent' }, 'Missing values get defaults');
+    t.equal(normalizeAthlete({ name: '  ', ftp: 250 }), null, 'Athletes need a name');
+    t.equal(normalizeAthlete({ name: 'Cleo', intensity: '500', units: 'kph' }).intensity, 100, 'Out of range intensities are ignored');
+    t.deepEqual(normalizeRoster([{ name: 'Anna' }, { name: '' }, { name: 'anna ' }, { name: 'Ben' }]).map(athlete => athlete.name), ['Anna', 'Ben'], 'Empty and repeated names are dropped');
+    t.end();
+});
+
+test('Roster: chrome.storage', async t => {
+    t.deepEqual(await loadRoster(), [], 'The roster is empty outside the extension');
+    const stored = {};
+    globalThis.chrome = {
+        storage: {
+            sync: {
+                get: async defaults => ({ ...defaults, ...stored }),
+                set: async values => { Object.assign(stored, values); }
+            }
+        }
+    };
+    try {
+        t.deepEqual(await saveRoster([{ name: 'Anna', ftp: '240' }, { name: '' }]), [normalizeAthlete({ name: 'Anna', ftp: 240 })], 'Saving returns the cleaned up roster');
+        t.deepEqual((await loadRoster()).map(athlete => athlete.name), ['Anna'], 'The roster is read back');
+    } finally {
+        delete globalThis.chrome;
+    }
+});
+
+test('Roster: personalizeModel', t => {
+    t.equal(describeAthlete(anna), 'For Anna: FTP 240 W, 4.0 W/kg, 95% intensity, fixed watts.', 'The athlete line lists what differs');
+    t.equal(describeAthlete(ben), 'For Ben.', 'Athletes without details just get their name');
+
+    const personal = personalizeModel(tempo, anna, { ...getDefaultSettings(), author: 'Coach Kim' });
+    t.equal(personal.author, 'Coach Kim for Anna', 'The author names the athlete');
+    t.equal(personal.ftp, 240, "The athlete's FTP is used");
+    t.equal(personal.segments[0].power, 0.76, 'Power is scaled to the athlete');
+    t.ok(personal.description.endsWith('\nFor Anna: FTP 240 W, 4.0 W/kg, 95% intensity, fixed watts.'), 'The description ends with the athlete line');
+    t.equal(personalizeModel(tempo, ben).ftp, 250, "Without an FTP the page's is kept");
+    t.end();
+});
+
+test('Roster: buildRosterArchive', t => {
+    const { zip: content, exported } = buildRosterArchive(tempo, [anna, ben], getExporters().zwo, { ftp: 250 });
+    const zip = Buffer.from(content);
+    t.deepEqual(exported, ['Anna', 'Ben'], 'Every athlete got a file');
+    t.ok(zip.includes('Tempo_Anna.zwo') && zip.includes('Tempo_Ben.zwo'), 'One file per athlete, named after them');
+    t.ok(zip.includes('<ftpOverride>240</ftpOverride>'), 'Athletes on fixed watts get their FTP written');
+    t.equal(zip.toString().split('<ftpOverride>').length, 2, 'Athletes on % FTP do not');
+    t.ok(zip.includes('<author>WhatsOnZwift Exporter for Ben</author>'), 'The author names the athlete');
+    t.notOk(zip.includes('export-report.txt'), 'No report without problems');
+
+    const problems = [];
+    const erg = buildRosterArchive(tempo, [anna, ben], getExporters().erg, {}, problems);
+    const ergZip = Buffer.from(erg.zip);
+    t.deepEqual(erg.exported, ['Anna'], 'Only athletes who got a file are counted');
+    t.deepEqual(problems, ['Skipped Ben: no FTP set for this athlete'], 'Athletes without an FTP are skipped for formats that need one');
+    t.ok(ergZip.includes('Tempo_Anna.erg') && ergZip.includes('export-report.txt'), 'The others are exported with a report');
+    t.end();
+});
+
+test('Roster: renderRosterEditor', t => {
+    const container = document.createElement('div');
+    const editor = renderRosterEditor(container, [anna]);
+    t.deepEqual(editor.read(), [anna], 'The roster is read back from the table');
+
+    container.querySelector('div > button').click();
+    const row = container.querySelectorAll('tbody tr')[1];
+    row.querySelector('[name="name"]').value = 'Ben';
+    row.querySelector('[name="units"]').value = 'watts';
+    t.deepEqual(editor.read().map(athlete => athlete.units), ['watts', 'watts'], 'Added rows are read');
+
+    container.querySelector('tbody tr button').click();
+    t.deepEqual(editor.read().map(athlete => athlete.name), ['Ben'], 'Rows can be removed');
+    t.equal(renderRosterEditor(container, []).read().length, 0, 'An empty roster shows one empty row');
+    t.end();
+});
@@ -3,27 +3,35 @@
 /**
  * Test runner script
  * 
- * This script runs the tests using Node.js with ESM modules support.
+ * This script runs every *.test.js file in this directory, one after the
+ * other, using Node.js with ESM modules support.
  * Run with: node tests/run-tests.js
  */
 
-import { spawn } from 'child_process';
+import { spawnSync } from 'child_process';
 import { fileURLToPath } from 'url';
 import { dirname } from 'path';
+import * as fs from 'fs';
 import * as path from 'path';
 
 // Get the directory name of this script
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
-// Path to the test file
-const testFilePath = path.join(__dirname, 'parser.test.js');
+// Collect the test files
+const testFiles = fs.readdirSync(__dirname)
+  .filter(file => file.endsWith('.test.js'))
+  .sort();
 
-// Run the test with node
-const testProcess = spawn('node', ['--enable-source-maps', testFilePath], {
-  stdio: 'inherit'
+// Run each test file with node and remember the first failure
+let exitCode = 0;
+testFiles.forEach(file => {
+  const result = spawnSync('node', ['--enable-source-maps', path.join(__dirname, file)], {
+    stdio: 'inherit'
+  });
+  if (result.status !== 0 && exitCode === 0) {
+    exitCode = result.status || 1;
+  }
 });
 
-testProcess.on('close', (code) => {
-  process.exit(code);
-}); 
\ No newline at end of file
+process.exit(exitCode);
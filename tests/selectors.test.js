@@ -0,0 +1,62 @@
+/**
+ * Tape tests for the selector registry and its fallbacks
+ */
+
+import test from 'tape';
+import { JSDOM } from 'jsdom';
+import './helpers.js';
+import { SELECTORS, matchSelector, findElement, checkSelectors } from '../src/selectors.js';
+import { parseWorkoutDocument, createBlockElement } from '../src/page.js';
+
+const page = body => new JSDOM(`<!DOCTYPE html><html><body>${body}</body></html>`).window.document;
+
+const current = page(`<article><section><div><div>
+    <h4 class="flaticon-bike">Foundation 1</h4>
+    <button name="update-ftp">FTP</button>
+    <div class="textbar">20min @ <span data-value="85" data-unit="relpow">85</span>% FTP</div>
+</div></div></section></article>`);
+
+// A made-up redesign: renamed classes, and the block list replaced by the graph alone
+const redesigned = page(`<article><header><h2 class="icon flaticon-run-2">Tempo Run</h2></header>
+    <div class="workout-graph">
+        <div class="bar" title="10min @ 70% pace"></div>
+        <div class="bar" title="3x 5min @ 100% pace, 2min @ 60% pace"></div>
+        <div class="bar"></div>
+    </div>
+</article>`);
+
+test('Selectors: matchSelector', t => {
+    t.deepEqual(matchSelector(current, 'blocks'), { selector: '.textbar', elements: Array.from(current.querySelectorAll('.textbar')) }, 'The first choice is used when it matches');
+    t.equal(findElement(redesigned, 'workoutName').textContent, 'Tempo Run', 'Fallbacks are tried in order');
+    t.deepEqual(matchSelector(redesigned, 'blocks'), { selector: null, elements: [] }, 'No match gives no elements');
+    t.ok(Object.values(SELECTORS).every(selectors => selectors.length >= 1), 'Every entry has at least one selector');
+    t.end();
+});
+
+test('Selectors: checkSelectors', t => {
+    const currentReport = checkSelectors(current);
+    t.deepEqual(currentReport.ftpButton, { selector: 'button[name="update-ftp"]', fallback: false, count: 1 }, 'Current markup matches the first choice');
+    const redesignedReport = checkSelectors(redesigned);
+    t.equal(redesignedReport.workoutName.fallback, true, 'Fallback matches are flagged');
+    t.equal(redesignedReport.ftpButton.selector, null, 'Missing elements are reported');
+    t.equal(redesignedReport.graphBars.count, 2, 'Only graph bars with a tooltip count');
+    t.end();
+});
+
+test('Selectors: the workout graph stands in for missing blocks', t => {
+    const workout = parseWorkoutDocument(redesigned);
+    t.equal(workout.name, 'Tempo Run', 'The name is found through a fallback');
+    t.equal(workout.sportType, 'run', 'So is the sport');
+    t.deepEqual(workout.segments.map(segment => segment.type), ['SteadyState', 'IntervalsT'], 'Blocks are read from the graph tooltips');
+    t.equal(workout.segments[1].repeat, 3, 'Intervals keep their repeats');
+    t.end();
+});
+
+test('Selectors: createBlockElement', t => {
+    const element = createBlockElement('5min from 50% to 70% FTP');
+    t.equal(element.className, 'textbar', 'Looks like a page block');
+    t.deepEqual(Array.from(element.querySelectorAll('span')).map(span => span.dataset.value), ['50', '70'], 'Every percentage becomes a power span');
+    t.equal(element.textContent, '5min from 50% FTP to 70% FTP', 'The text is kept');
+    t.equal(createBlockElement('10min @ 70% pace').querySelector('span').dataset.unit, 'relpace', 'Pace percentages stay pace');
+    t.end();
+});
@@ -0,0 +1,117 @@
+/**
+ * Tape tests for the user settings and how exports apply them
+ */
+
+import test from 'tape';
+import './helpers.js';
+import { createWorkoutModel } from '../src/model.js';
+import { generateZWO } from '../src/zwo.js';
+import { getExporters } from '../src/exporters.js';
+import { getExportOptions } from '../src/ui.js';
+import { buildBulkArchive } from '../src/bulk-export.js';
+import {
+    getDefaultSettings, normalizeSettings, loadSettings, saveSettings,
+    getTemplateValues, formatFilename, applySettingsToModel, getCueTemplates
+} from '../src/settings.js';
+import { getDefaultCueTemplates } from '../src/text-events.js';
+import { collectBlockSegments } from '../src/page.js';
+
+const segments = [
+    { type: 'SteadyState', duration: 1800, power: 0.875, cadence: null },
+    { type: 'IntervalsT', repeat: 3, onDuration: 300, onPower: 1.05, offDuration: 300, offPower: 0.5, onCadence: null, offCadence: null }
+];
+const model = createWorkoutModel('Tempo: Intervals', segments, { sourceUrl: 'https://whatsonzwift.com/workouts/tempo', ftp: 250 });
+
+test('Settings: normalizeSettings', t => {
+    t.deepEqual(normalizeSettings({}), getDefaultSettings(), 'Missing settings fall back to the defaults');
+    const settings = normalizeSettings({ author: '  Coach  ', tags: 'Build Me Up, Threshold, ,Threshold', ftp: '260', powerPrecision: '3' });
+    t.equal(settings.author, 'Coach', 'Text is trimmed');
+    t.deepEqual(settings.tags, ['Build Me Up', 'Threshold'], 'Comma separated tags are split, blanks and duplicates dropped');
+    t.equal(settings.ftp, 260, 'FTP is read as a number');
+    t.equal(settings.powerPrecision, 3, 'Precision is read as a number');
+    const broken = normalizeSettings({ author: ' ', filenamePattern: '', ftp: -5, powerPrecision: 12 });
+    t.equal(broken.author, 'WhatsOnZwift Exporter', 'A blank author falls back to the default');
+    t.equal(broken.filenamePattern, '{name}', 'A blank pattern falls back to the default');
+    t.equal(broken.ftp, null, 'An impossible FTP is dropped');
+    t.equal(broken.powerPrecision, 2, 'An impossible precision is dropped');
+    t.equal(normalizeSettings({ powerPrecision: 0 }).powerPrecision, 2, 'So is one that would change the workout');
+    t.equal(normalizeSettings({ powerPrecision: '1' }).powerPrecision, 2, 'One decimal merges zones');
+    const watts = normalizeSettings({ absoluteWatts: true, wattsRounding: '5' });
+    t.ok(watts.absoluteWatts && watts.wattsRounding === 5, 'Fixed watts and their rounding are kept');
+    t.equal(normalizeSettings({ wattsRounding: 3 }).wattsRounding, 1, 'Only 1, 5 and 10 W rounding is offered');
+    t.end();
+});
+
+test('Settings: cue templates', t => {
+    t.deepEqual(getCueTemplates(getDefaultSettings()), getDefaultCueTemplates(), 'The default cues are unchanged');
+    const settings = normalizeSettings({ cueInterval: ' Rep {n}/{total} ', cueCadence: '', cueSeparator: ' | ' });
+    t.deepEqual(getCueTemplates(settings), { interval: 'Rep {n}/{total}', cadence: 'Cadence {cadence}rpm', separator: ' | ' },
+        'Templates are trimmed, blanks fall back and the separator keeps its spaces');
+
+    const blocks = [{ segment: { ...segments[1], onCadence: 100 }, notes: ['Stay seated'] }];
+    const { segments: [cued] } = collectBlockSegments(blocks, { autoCues: true, templates: getCueTemplates(settings) });
+    t.equal(cued.textEvents[0].message, 'Stay seated | Rep 1/3 | Cadence 100rpm', 'Exports use the templates from the settings');
+    t.end();
+});
+
+test('Settings: chrome.storage', async t => {
+    t.deepEqual(await loadSettings(), getDefaultSettings(), 'Defaults are used outside the extension');
+
+    const stored = {};
+    globalThis.chrome = {
+        storage: {
+            sync: {
+                get: async defaults => ({ ...defaults, ...stored }),
+                set: async values => { Object.assign(stored, values); }
+            }
+        }
+    };
+    try {
+        const saved = await saveSettings({ author: 'Coach', tags: 'Base', filenamePattern: '{date}_{name}' });
+        t.equal(stored.author, 'Coach', 'Settings are written to chrome.storage.sync');
+        t.deepEqual(saved.tags, ['Base'], 'Settings are normalized before they are stored');
+        const loaded = await loadSettings();
+        t.equal(loaded.filenamePattern, '{date}_{name}', 'Stored settings are read back');
+        t.equal(loaded.powerPrecision, 2, 'Settings never stored keep their default');
+    } finally {
+        delete globalThis.chrome;
+    }
+});
+
+test('Settings: placeholders', t => {
+    const values = getTemplateValues(model, new Date(2024, 2, 1));
+    t.equal(values.duration, '60min', 'Duration covers every block');
+    t.equal(values.date, '2024-03-01', 'Date is the local export date');
+    t.equal(values.source, 'Workout exported from WhatsOnZwift: https://whatsonzwift.com/workouts/tempo', 'Source is the usual description line');
+    t.equal(formatFilename('{name}', values), 'Tempo__Intervals', 'The default pattern gives the old file name');
+    t.equal(formatFilename('{date} {name} {duration}', values), '2024-03-01_Tempo__Intervals_60min', 'Placeholders are filled and the result made safe');
+    t.equal(formatFilename('{unknown}', values), '_unknown_', 'Unknown placeholders are left as text');
+    t.equal(formatFilename('  ', values), 'Tempo__Intervals', 'An empty result falls back to the workout name');
+    t.end();
+});
+
+test('Settings: applied to the export', t => {
+    const settings = normalizeSettings({ author: 'Coach & Co', tags: 'Build Me Up, Threshold', descriptionTemplate: '{name} ({duration})\n{url}', powerPrecision: 3 });
+    const customized = applySettingsToModel(model, settings, getTemplateValues(model));
+    t.equal(model.author, 'WhatsOnZwift Exporter', 'The original model is left untouched');
+    const zwo = generateZWO(customized, { powerPrecision: settings.powerPrecision });
+    t.ok(zwo.includes('<author>Coach &amp; Co</author>'), 'Author is written');
+    t.ok(zwo.includes('<tags><tag name="Build Me Up"/><tag name="Threshold"/></tags>'), 'Tags are written');
+    t.ok(zwo.includes('<description>Tempo: Intervals (60min)\nhttps://whatsonzwift.com/workouts/tempo</description>'), 'Description follows the template');
+    t.ok(zwo.includes('Power="0.875"'), 'Power uses the chosen precision');
+    t.ok(generateZWO(model).includes('<tags/>') && generateZWO(model).includes('Power="0.88"'), 'Defaults are unchanged');
+    t.ok(getExporters().mrc.generate(customized).includes('DESCRIPTION = Tempo: Intervals (60min) https://whatsonzwift.com/workouts/tempo\r\n'), 'Course files get the description on one line');
+
+    t.equal(getExportOptions(getExporters().erg, normalizeSettings({ ftp: 240 })).ftp, 240, 'The FTP from the settings is used when the page shows none');
+    const wattsOptions = getExportOptions(getExporters().zwo, normalizeSettings({ ftp: 240, absoluteWatts: true, wattsRounding: 10 }), { ftp: 265 });
+    t.deepEqual([wattsOptions.ftp, wattsOptions.absoluteWatts, wattsOptions.wattsRounding], [265, true, 10], 'An FTP typed for the export comes first');
+    t.equal(getExportOptions(getExporters().zwo, normalizeSettings({ absoluteWatts: true }), { absoluteWatts: false, ftp: 265 }).absoluteWatts, false, 'The page can turn fixed watts off');
+    const runOptions = getExportOptions(getExporters().zwo, normalizeSettings({ absoluteWatts: true }), {}, 'run');
+    t.deepEqual([runOptions.absoluteWatts, runOptions.ftp], [false, null], 'Run workouts are exported without fixed watts and without asking for an FTP');
+
+    const zip = buildBulkArchive('Plan', [{ name: 'Tempo', url: 'https://whatsonzwift.com/workouts/plan/tempo', week: 1, segments }],
+        getExporters().zwo, {}, [], normalizeSettings({ filenamePattern: '{name}_{duration}', author: 'Coach' }));
+    t.ok(Buffer.from(zip).includes(Buffer.from('Plan/Week_01/01_Tempo_60min.zwo')), 'Bulk exports follow the file name pattern');
+    t.ok(Buffer.from(zip).includes(Buffer.from('<author>Coach</author>')), 'Bulk exports carry the author');
+    t.end();
+});
@@ -0,0 +1,92 @@
+/**
+ * Tape tests for notes and auto-generated text cues
+ */
+
+import test from 'tape';
+import { createElementFromHTML } from './helpers.js';
+import { parseSegment } from '../src/parser.js';
+import { createWorkoutModel } from '../src/model.js';
+import { generateZWO } from '../src/zwo.js';
+import { formatCue, buildCueEvents, attachTextEvents } from '../src/text-events.js';
+import { getSegmentNotes, parsePageSegments } from '../src/page.js';
+import { parseZWO } from '../src/zwo-import.js';
+
+const intervals = { type: 'IntervalsT', repeat: 3, onDuration: 60, onPower: 1.2, offDuration: 30, offPower: 0.5, onCadence: 100, offCadence: null };
+
+test('Text Events: buildCueEvents', t => {
+    t.deepEqual(buildCueEvents(intervals), [
+        { timeOffset: 0, message: 'Interval 1 of 3' },
+        { timeOffset: 0, message: 'Cadence 100rpm' },
+        { timeOffset: 90, message: 'Interval 2 of 3' },
+        { timeOffset: 90, message: 'Cadence 100rpm' },
+        { timeOffset: 180, message: 'Interval 3 of 3' },
+        { timeOffset: 180, message: 'Cadence 100rpm' }
+    ], 'Should count intervals and announce the on cadence');
+
+    t.deepEqual(buildCueEvents({ type: 'SteadyState', duration: 300, power: 0.8, cadence: null }), [], 'No cues for a plain steady block');
+    t.deepEqual(buildCueEvents({ type: 'Ramp', duration: 300, powerLow: 0.5, powerHigh: 0.8, cadence: 90 }), [{ timeOffset: 0, message: 'Cadence 90rpm' }], 'Cadence cue for a ramp');
+
+    const repeat = {
+        type: 'Repeat', repeat: 2, steps: [
+            { type: 'SteadyState', duration: 60, power: 1.05, cadence: null },
+            { type: 'SteadyState', duration: 30, power: 1.2, cadence: 110 },
+            { type: 'SteadyState', duration: 90, power: 0.5, cadence: null }
+        ]
+    };
+    t.deepEqual(buildCueEvents(repeat), [
+        { timeOffset: 0, message: 'Interval 1 of 2' },
+        { timeOffset: 60, message: 'Cadence 110rpm' },
+        { timeOffset: 180, message: 'Interval 2 of 2' },
+        { timeOffset: 240, message: 'Cadence 110rpm' }
+    ], 'Should place cues at each step of a multi-step repeat');
+    t.end();
+});
+
+test('Text Events: configurable templates', t => {
+    const templates = { interval: 'Rep {n}/{total}', cadence: '', separator: ' | ' };
+    t.deepEqual(buildCueEvents(intervals, templates).map(event => event.message), ['Rep 1/3', 'Rep 2/3', 'Rep 3/3'], 'Custom interval template, cadence cues disabled');
+    t.equal(formatCue('{n} and {unknown}', { n: 2 }), '2 and {unknown}', 'Unknown placeholders are left alone');
+
+    const segment = attachTextEvents(intervals, ['Stay seated'], { autoCues: true, templates });
+    t.equal(segment.textEvents[0].message, 'Stay seated | Rep 1/3', 'Notes and cues at the same time are merged with the custom separator');
+    t.end();
+});
+
+test('Text Events: attachTextEvents', t => {
+    const steady = { type: 'SteadyState', duration: 300, power: 0.8, cadence: 95 };
+    t.equal(attachTextEvents(steady, []), steady, 'Nothing to attach leaves the segment untouched');
+    t.deepEqual(attachTextEvents(steady, ['Smooth pedalling']).textEvents, [{ timeOffset: 0, message: 'Smooth pedalling' }], 'Notes only without auto cues');
+    t.deepEqual(attachTextEvents(steady, ['Smooth pedalling'], { autoCues: true }).textEvents, [{ timeOffset: 0, message: 'Smooth pedalling - Cadence 95rpm' }], 'Notes and cues are merged');
+    t.notOk('textEvents' in steady, 'The original segment is not modified');
+    t.end();
+});
+
+test('Text Events: notes on the page', t => {
+    const element = createElementFromHTML('<div class="textbar" title="Big gear, low cadence">10min @ <span data-value="80" data-unit="relpow">80</span>% FTP<span class="textbar-note">Stay seated at 60rpm</span></div>');
+    t.deepEqual(getSegmentNotes(element), ['Big gear, low cadence', 'Stay seated at 60rpm'], 'Should read tooltip and note elements');
+    t.deepEqual(parseSegment(element), { type: 'SteadyState', duration: 600, power: 0.8, cadence: null }, 'Note text does not leak into the parsed segment');
+
+    const { segments } = parsePageSegments([element], { autoCues: false });
+    t.equal(segments[0].textEvents.length, 1, 'Notes at the same offset are merged into one event');
+    t.equal(segments[0].textEvents[0].message, 'Big gear, low cadence - Stay seated at 60rpm', 'Merged note text');
+    t.end();
+});
+
+test('Text Events: ZWO output', t => {
+    const segments = [
+        { type: 'SteadyState', duration: 300, power: 0.8, cadence: null, textEvents: [{ timeOffset: 0, message: 'Over & under <3>' }] },
+        attachTextEvents({ type: 'Repeat', repeat: 2, steps: [
+            { type: 'SteadyState', duration: 60, power: 1.1, cadence: null },
+            { type: 'SteadyState', duration: 60, power: 0.5, cadence: null }
+        ] }, [], { autoCues: true })
+    ];
+    const zwo = generateZWO(createWorkoutModel('Cues', segments));
+    t.ok(zwo.includes('<textevent timeoffset="0" message="Over &amp; under &lt;3&gt;" />'), 'Messages are escaped');
+    t.ok(/<SteadyState Duration="300" Power="0.80">\s*<textevent[^>]*\/>\s*<\/SteadyState>/.test(zwo), 'Text events are children of their segment');
+    t.equal((zwo.match(/message="Interval \d of 2"/g) || []).length, 2, 'Repeat cues are handed to the expanded steps');
+
+    const imported = parseZWO(zwo);
+    t.deepEqual(imported.segments[0].textEvents, [{ timeOffset: 0, message: 'Over & under <3>' }], 'Text events round-trip through the importer');
+    t.deepEqual(imported.segments[3].textEvents, [{ timeOffset: 0, message: 'Interval 2 of 2' }], 'Second repetition cue sits on its first step');
+    t.end();
+});
@@ -0,0 +1,84 @@
+/**
+ * Tape tests for workout transformations
+ */
+
+import test from 'tape';
+import './helpers.js';
+import { getSegmentDuration } from '../src/parser.js';
+import { scaleIntensity, scaleDuration, setCadence, convertSteadyToFreeRide, applyTransforms, getTransformSuffix, roundToWatts } from '../src/transforms.js';
+import { collectBlockSegments } from '../src/page.js';
+
+const workout = () => [
+    { type: 'Ramp', duration: 600, powerLow: 0.5, powerHigh: 0.75, cadence: null },
+    { type: 'IntervalsT', repeat: 6, onDuration: 180, onPower: 1.1, offDuration: 60, offPower: 0.5, onCadence: 95, offCadence: null },
+    { type: 'Repeat', repeat: 2, steps: [
+        { type: 'SteadyState', duration: 300, power: 0.9, cadence: 90 },
+        { type: 'Ramp', duration: 120, powerLow: 0.6, powerHigh: 0.8, cadence: null }
+    ] },
+    { type: 'SteadyState', duration: 600, power: 0.6, cadence: 85, textEvents: [{ timeOffset: 300, message: 'Easy' }] }
+];
+const total = segments => segments.reduce((sum, segment) => sum + getSegmentDuration(segment), 0);
+
+test('Transforms: scale intensity', t => {
+    const input = workout();
+    const scaled = scaleIntensity(input, 0.95);
+    t.equal(scaled[0].powerHigh, 0.7125, 'Ramp end power scaled');
+    t.equal(scaled[1].onPower, 1.045, 'Interval on power scaled');
+    t.equal(scaled[2].steps[0].power, 0.855, 'Steps inside a repeat are scaled');
+    t.equal(input[0].powerHigh, 0.75, 'Input is left untouched');
+    t.end();
+});
+
+test('Transforms: round to watts', t => {
+    const input = workout();
+    const rounded = roundToWatts(input, 253);
+    t.equal(Math.round(rounded[2].steps[0].power * 253 * 1e6) / 1e6, 228, 'Targets become whole watts (0.9 x 253 W = 227.7 W)');
+    t.equal(rounded[1].onPower, 278 / 253, 'Interval targets are rounded');
+    const fives = roundToWatts(input, 253, 5);
+    t.equal(Math.round(fives[0].powerHigh * 253), 190, 'Targets can be rounded to 5 W steps (189.75 W)');
+    t.equal(input[0].powerHigh, 0.75, 'Input is left untouched');
+    t.end();
+});
+
+test('Transforms: scale duration', t => {
+    const scaled = scaleDuration(workout(), 0.75);
+    t.equal(scaled[0].duration, 450, 'Plain blocks scale their duration');
+    t.equal(scaled[1].repeat, 5, 'Interval sets drop repeats first');
+    t.equal(getSegmentDuration(scaled[1]), 1080, 'Interval set keeps the scaled total');
+    t.equal(scaled[2].repeat, 2, 'Two repeats stay two');
+    t.equal(scaled[2].steps[0].duration, 225, 'Repeat steps take up the rest');
+    t.equal(scaled[3].textEvents[0].timeOffset, 225, 'Cue offsets move with the block');
+
+    const shorter = applyTransforms(workout(), { targetDuration: 45 * 60 });
+    t.ok(Math.abs(total(shorter) - 2700) <= 5, `Target duration reached (${total(shorter)}s)`);
+    t.end();
+});
+
+test('Transforms: cadence and free ride', t => {
+    const stripped = setCadence(workout(), null);
+    t.equal(stripped[1].onCadence, null, 'Interval cadence removed');
+    t.equal(stripped[2].steps[0].cadence, null, 'Repeat step cadence removed');
+
+    const fixed = applyTransforms(workout(), { cadence: 90 });
+    t.equal(fixed[3].cadence, 90, 'Cadence overridden');
+    t.equal(fixed[0].cadence, 90, 'Blocks without cadence get one too');
+
+    const free = convertSteadyToFreeRide(workout());
+    t.deepEqual(free[3], { type: 'FreeRide', duration: 600, flatRoad: 1, cadence: 85, textEvents: [{ timeOffset: 300, message: 'Easy' }] }, 'Steady block becomes a free ride');
+    t.equal(free[0].type, 'Ramp', 'Ramps are kept');
+    t.end();
+});
+
+test('Transforms: name suffix', t => {
+    t.equal(getTransformSuffix({ intensity: 1, targetDuration: 0, cadence: 'keep', freeRide: false }), '', 'No suffix without changes');
+    t.equal(getTransformSuffix({ intensity: 0.95, targetDuration: 2700, cadence: 'strip', freeRide: true }), ' (95%, 45min, no cadence, free ride)', 'Suffix lists every change');
+    t.end();
+});
+
+test('Transforms: applied before cues on export', t => {
+    const blocks = [{ index: 0, notes: [], segment: workout()[1] }];
+    const { segments } = collectBlockSegments(blocks, { autoCues: true }, undefined, { intensity: 1, targetDuration: 720 });
+    t.equal(segments[0].repeat, 3, 'Interval count halved');
+    t.equal(segments[0].textEvents.filter(event => event.message.includes('Interval 1 of 3')).length, 1, 'Interval cues count the new repeats');
+    t.end();
+});
@@ -0,0 +1,146 @@
+/**
+ * Tape tests for saving straight into the Zwift workouts folder
+ */
+
+import test from 'tape';
+import './helpers.js';
+import { getExporters } from '../src/exporters.js';
+import { buildBulkFiles } from '../src/bulk-export.js';
+import {
+    writeFiles, ensureWritePermission, createDirectSaveControls,
+    queueZwiftFolderSave, getPendingSave, removePendingSave, sendToZwiftFolder, SAVE_MESSAGE
+} from '../src/zwift-folder.js';
+
+function notFound() {
+    return Object.assign(new Error('Not found'), { name: 'NotFoundError' });
+}
+
+/**
+ * In-memory stand-in for a FileSystemDirectoryHandle.
+ * @param {string} name - Folder name.
+ * @param {string} [permission] - What queryPermission answers.
+ */
+function createFolder(name, permission = 'granted') {
+    const folders = new Map();
+    const files = new Map();
+    return {
+        name,
+        folders,
+        files,
+        requested: 0,
+        async queryPermission() { return permission; },
+        async requestPermission() { this.requested++; return 'granted'; },
+        async getDirectoryHandle(child, { create = false } = {}) {
+            if (!folders.has(child)) {
+                if (!create) throw notFound();
+                folders.set(child, createFolder(child));
+            }
+            return folders.get(child);
+        },
+        async getFileHandle(child, { create = false } = {}) {
+            if (!files.has(child) && !create) throw notFound();
+            return {
+                async createWritable() {
+                    return { async write(content) { files.set(child, content); }, async close() {} };
+                }
+            };
+        }
+    };
+}
+
+test('Zwift Folder: writeFiles', async t => {
+    const folder = createFolder('12345678');
+    const asked = [];
+    const result = await writeFiles(folder, [
+        { path: 'Tempo.zwo', content: 'tempo' },
+        { path: 'Plan/Week_01/01_Easy.zwo', content: 'easy' }
+    ], existing => asked.push(existing));
+    t.deepEqual(result, { written: ['Tempo.zwo', 'Plan/Week_01/01_Easy.zwo'], skipped: [] }, 'New files are written');
+    t.equal(folder.files.get('Tempo.zwo'), 'tempo', 'Files land in the folder');
+    t.equal(folder.folders.get('Plan').folders.get('Week_01').files.get('01_Easy.zwo'), 'easy', 'Plan subfolders are created');
+    t.equal(asked.length, 0, 'Nothing is asked when no file exists');
+
+    const declined = await writeFiles(folder, [
+        { path: 'Tempo.zwo', content: 'tempo 2' },
+        { path: 'Plan/Week_01/01_Easy.zwo', content: 'easy 2' },
+        { path: 'Plan/Week_01/02_Hard.zwo', content: 'hard' }
+    ], existing => { asked.push(existing); return false; });
+    t.deepEqual(asked, [['Tempo.zwo', 'Plan/Week_01/01_Easy.zwo']], 'Existing files are listed in a single question');
+    t.deepEqual(declined, { written: ['Plan/Week_01/02_Hard.zwo'], skipped: ['Tempo.zwo', 'Plan/Week_01/01_Easy.zwo'] }, 'Declining keeps the existing files');
+    t.equal(folder.files.get('Tempo.zwo'), 'tempo', 'The existing file is unchanged');
+
+    const accepted = await writeFiles(folder, [{ path: 'Tempo.zwo', content: 'tempo 3' }], () => true);
+    t.deepEqual(accepted.written, ['Tempo.zwo'], 'Accepting replaces the file');
+    t.equal(folder.files.get('Tempo.zwo'), 'tempo 3', 'The new content is written');
+});
+
+test('Zwift Folder: ensureWritePermission', async t => {
+    const granted = createFolder('12345678');
+    t.ok(await ensureWritePermission(granted), 'Granted access is used');
+    t.equal(granted.requested, 0, 'The user is not asked again');
+    const prompt = createFolder('12345678', 'prompt');
+    t.ok(await ensureWritePermission(prompt), 'Access is requested in a new session');
+    t.equal(prompt.requested, 1, 'The user is asked once');
+});
+
+test('Zwift Folder: plan files', async t => {
+    const segments = [{ type: 'SteadyState', duration: 600, power: 0.6, cadence: null }];
+    const problems = [];
+    const files = buildBulkFiles('Build Me Up', [
+        { name: 'Easy', url: 'https://whatsonzwift.com/workouts/build-me-up/easy', week: 1, segments },
+        { name: 'Broken', url: 'https://whatsonzwift.com/workouts/build-me-up/broken', week: 1, segments: [{ type: 'SteadyState', duration: 60, power: NaN, cadence: null }] }
+    ], getExporters().zwo, {}, problems);
+    t.deepEqual(files.map(file => file.path), ['Build_Me_Up/Week_01/01_Easy.zwo'], 'Only workout files, each in its plan and week folder');
+    t.equal(problems.length, 1, 'Problems are reported to the caller');
+
+    const folder = createFolder('12345678');
+    await writeFiles(folder, files, () => true);
+    t.ok(folder.folders.get('Build_Me_Up').folders.get('Week_01').files.get('01_Easy.zwo').includes('<workout_file>'), 'The plan gets its own subfolder');
+});
+
+test('Zwift Folder: createDirectSaveControls', t => {
+    const controls = createDirectSaveControls();
+    t.equal(controls.element.style.display, 'none', 'Hidden where the browser cannot write to folders');
+    t.notOk(controls.isEnabled(), 'Off until the user turns it on');
+    t.end();
+});
+
+test('Zwift Folder: handing files to the folder page', async t => {
+    const session = {};
+    const opened = [];
+    const sent = [];
+    globalThis.chrome = {
+        storage: {
+            session: {
+                get: async defaults => ({ ...defaults, ...session }),
+                set: async values => { Object.assign(session, values); }
+            }
+        },
+        tabs: { create: async options => { opened.push(options.url); } },
+        runtime: {
+            getURL: path => `chrome-extension://woz2zwo/${path}`,
+            sendMessage: async message => { sent.push(message); return { ok: true }; }
+        }
+    };
+    try {
+        const files = [{ path: 'Tempo.zwo', content: '<workout_file/>' }];
+        await sendToZwiftFolder(files);
+        t.deepEqual(sent, [{ type: SAVE_MESSAGE, files }], 'Workout pages only send the files');
+
+        const id = await queueZwiftFolderSave(files);
+        t.deepEqual(opened, [`chrome-extension://woz2zwo/zwift-folder.html?save=${id}`], 'The folder page is opened for them');
+        t.deepEqual(await getPendingSave(id), files, 'The folder page finds the files');
+        await removePendingSave(id);
+        t.equal(await getPendingSave(id), null, 'They are gone once written');
+
+        chrome.runtime.sendMessage = async () => ({ ok: false, error: 'Quota exceeded' });
+        try {
+            await sendToZwiftFolder(files);
+            t.fail('A failed hand-over should throw');
+        } catch (error) {
+            t.equal(error.message, 'Quota exceeded', 'A failed hand-over is reported');
+        }
+    } finally {
+        delete globalThis.chrome;
+    }
+});
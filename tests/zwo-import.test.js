@@ -0,0 +1,111 @@
+/**
+ * Tape tests for the ZWO importer and segment comparison
+ */
+
+import test from 'tape';
+import './helpers.js';
+import { createWorkoutModel } from '../src/model.js';
+import { generateZWO } from '../src/zwo.js';
+import { parseZWO, segmentsEqual, diffSegments, describeSegment } from '../src/zwo-import.js';
+
+const sampleZWO = `<workout_file>
+    <author>Coach</author>
+    <name>Sample Workout</name>
+    <description>A sample</description>
+    <sportType>bike</sportType>
+    <tags><tag name="FTP"/><tag name="Intervals"/></tags>
+    <workout>
+        <Warmup Duration="600" PowerLow="0.25" PowerHigh="0.75"/>
+        <SteadyState Duration="300" Power="0.88" Cadence="90">
+            <textevent timeoffset="10" message="Settle in"/>
+        </SteadyState>
+        <IntervalsT Repeat="5" OnDuration="60" OffDuration="60" OnPower="1.2" OffPower="0.5" Cadence="105" CadenceResting="85"/>
+        <FreeRide Duration="120" FlatRoad="0"/>
+        <MaxEffort Duration="20"/>
+        <Cooldown Duration="300" PowerLow="0.6" PowerHigh="0.3"/>
+    </workout>
+</workout_file>`;
+
+test('ZWO Import: parseZWO', t => {
+    const workout = parseZWO(sampleZWO);
+    t.equal(workout.name, 'Sample Workout', 'Should read the name');
+    t.equal(workout.author, 'Coach', 'Should read the author');
+    t.equal(workout.sportType, 'bike', 'Should read the sport type');
+    t.deepEqual(workout.tags, ['FTP', 'Intervals'], 'Should read the tags');
+    t.deepEqual(workout.segments, [
+        { type: 'Ramp', duration: 600, powerLow: 0.25, powerHigh: 0.75, cadence: null },
+        { type: 'SteadyState', duration: 300, power: 0.88, cadence: 90, textEvents: [{ timeOffset: 10, message: 'Settle in' }] },
+        { type: 'IntervalsT', repeat: 5, onDuration: 60, onPower: 1.2, offDuration: 60, offPower: 0.5, onCadence: 105, offCadence: 85 },
+        { type: 'FreeRide', duration: 120, flatRoad: 0 },
+        { type: 'MaxEffort', duration: 20 },
+        { type: 'Ramp', duration: 300, powerLow: 0.6, powerHigh: 0.3, cadence: null }
+    ], 'Should convert every block into segment objects');
+    t.end();
+});
+
+test('ZWO Import: invalid files', t => {
+    t.throws(() => parseZWO('<workout_file><name>Broken</workout_file>'), /Invalid ZWO file/, 'Should reject malformed XML');
+    t.throws(() => parseZWO('<html><body></body></html>'), /missing <workout_file>/, 'Should reject documents that are not workouts');
+    t.end();
+});
+
+test('ZWO Import: round trip through generateZWO', t => {
+    const segments = [
+        { type: 'SteadyState', duration: 600, power: 0.8, cadence: null },
+        { type: 'Ramp', duration: 480, powerLow: 0.6, powerHigh: 0.85, cadence: 90 },
+        { type: 'IntervalsT', repeat: 2, onDuration: 30, onPower: 1.1, offDuration: 30, offPower: 0.55, onCadence: 110, offCadence: 85 },
+        { type: 'FreeRide', duration: 120, flatRoad: 1 },
+        { type: 'FreeRide', duration: 240, flatRoad: 1, cadence: 95 },
+        { type: 'SteadyState', duration: 600, power: 0.9, powerLow: 0.85, powerHigh: 0.95, cadence: null },
+        { type: 'MaxEffort', duration: 20 },
+        { type: 'SteadyState', duration: 300, power: 0.75, cadence: 85 }
+    ];
+    const imported = parseZWO(generateZWO(createWorkoutModel('Round Trip', segments)));
+    t.equal(imported.name, 'Round Trip', 'Name survives the round trip');
+    t.deepEqual(imported.segments, segments, 'Segments survive the round trip');
+    t.end();
+});
+
+test('ZWO Import: a multi-step repeat compares equal to its own file', t => {
+    const segments = [
+        { type: 'SteadyState', duration: 600, power: 0.6, cadence: null },
+        { type: 'Repeat', repeat: 3, steps: [
+            { type: 'SteadyState', duration: 120, power: 1.05, cadence: null },
+            { type: 'SteadyState', duration: 60, power: 1.2, cadence: null },
+            { type: 'SteadyState', duration: 120, power: 0.5, cadence: null }
+        ] },
+        { type: 'SteadyState', duration: 300, power: 0.5, cadence: null }
+    ];
+    const imported = parseZWO(generateZWO(createWorkoutModel('Over-Unders', segments)));
+    const diff = diffSegments(imported.segments, segments);
+    t.ok(diff.every(entry => entry.status === 'same'), 'Every block is unchanged');
+    t.equal(diff.length, 11, 'The repeat is compared step by step');
+    t.end();
+});
+
+test('ZWO Import: diffSegments', t => {
+    const a = { type: 'SteadyState', duration: 600, power: 0.8, cadence: null };
+    const b = { type: 'Ramp', duration: 300, powerLow: 0.5, powerHigh: 0.7, cadence: null };
+    const c = { type: 'FreeRide', duration: 120, flatRoad: 1 };
+    const bChanged = { ...b, powerHigh: 0.9 };
+
+    t.ok(segmentsEqual(a, { ...a, power: 0.801 }), 'Power rounding differences are ignored');
+    t.ok(segmentsEqual(a, { ...a, cadence: undefined }), 'Missing and null cadence are equal');
+    t.notOk(segmentsEqual(b, bChanged), 'Different power is a difference');
+
+    t.deepEqual(diffSegments([a, b, c], [a, b, c]).map(entry => entry.status), ['same', 'same', 'same'], 'Identical lists');
+    t.deepEqual(diffSegments([a, b, c], [a, bChanged, c]).map(entry => entry.status), ['same', 'changed', 'same'], 'Changed block');
+    t.deepEqual(diffSegments([a, c], [a, b, c]).map(entry => entry.status), ['same', 'added', 'same'], 'Added block');
+    t.deepEqual(diffSegments([a, b, c], [a, c]).map(entry => entry.status), ['same', 'removed', 'same'], 'Removed block');
+    const changed = diffSegments([b], [bChanged])[0];
+    t.equal(changed.from, b, 'Changed entry keeps the old block');
+    t.equal(changed.to, bChanged, 'Changed entry keeps the new block');
+    t.end();
+});
+
+test('ZWO Import: describeSegment', t => {
+    t.equal(describeSegment({ type: 'SteadyState', duration: 450, power: 0.8, cadence: 90 }), '7min 30sec @ 80% 90rpm', 'SteadyState summary');
+    t.equal(describeSegment({ type: 'Ramp', duration: 600, powerLow: 0.5, powerHigh: 0.7, cadence: null }), '10min from 50% to 70%', 'Ramp summary');
+    t.equal(describeSegment({ type: 'IntervalsT', repeat: 5, onDuration: 30, onPower: 1.2, offDuration: 60, offPower: 0.5, onCadence: null, offCadence: null }), '5x 30sec @ 120% / 1min @ 50%', 'Intervals summary');
+    t.end();
+});
@@ -0,0 +1,74 @@
+/**
+ * Tape tests for XML escaping and the ZWO validator
+ */
+
+import test from 'tape';
+import './helpers.js';
+import { createWorkoutModel } from '../src/model.js';
+import { generateZWO } from '../src/zwo.js';
+import { validateZWO } from '../src/zwo-validator.js';
+import { getExporters } from '../src/exporters.js';
+import { parseZWO } from '../src/zwo-import.js';
+
+const segments = [
+    { type: 'Ramp', duration: 600, powerLow: 0.5, powerHigh: 0.75, cadence: null },
+    { type: 'IntervalsT', repeat: 3, onDuration: 60, onPower: 1.2, offDuration: 60, offPower: 0.5, onCadence: 100, offCadence: 85, textEvents: [{ timeOffset: 0, message: 'Go' }] },
+    { type: 'FreeRide', duration: 300, flatRoad: 1 },
+    { type: 'MaxEffort', duration: 20 },
+    { type: 'SteadyState', duration: 300, power: 0.5, cadence: null }
+];
+
+test('ZWO Validator: names and descriptions are escaped', t => {
+    const model = createWorkoutModel('Over & Unders <3>', segments, { sourceUrl: 'https://whatsonzwift.com/workouts/a?b=1&c="2"' });
+    const zwo = generateZWO(model);
+    t.ok(zwo.includes('<name>Over &amp; Unders &lt;3&gt;</name>'), 'Name is escaped');
+    t.deepEqual(validateZWO(zwo), [], 'The file is valid');
+    const imported = parseZWO(zwo);
+    t.equal(imported.name, 'Over & Unders <3>', 'Name survives the round trip');
+    t.equal(imported.description, 'Workout exported from WhatsOnZwift: https://whatsonzwift.com/workouts/a?b=1&c="2"', 'Source URL survives the round trip');
+    t.end();
+});
+
+test('ZWO Validator: problems are reported', t => {
+    t.match(validateZWO('<workout_file><name>A & B</name></workout_file>')[0], /^Not well-formed XML/, 'Malformed XML');
+    t.deepEqual(validateZWO('<workout><SteadyState Duration="60" Power="0.5"/></workout>'), ['Root element must be <workout_file>, not <workout>'], 'Wrong root element');
+    t.deepEqual(validateZWO(`<workout_file>
+        <name>Broken</name>
+        <colour>red</colour>
+        <ftpOverride>250.5</ftpOverride>
+        <tags><label>x</label></tags>
+        <workout>
+            <SteadyState Duration="0" Power="0.5"/>
+            <Ramp Duration="60" PowerLow="0.5"/>
+            <SteadyState Duration="60"/>
+            <IntervalsT Repeat="2" OnDuration="30" OffDuration="30" OnPower="1.2" OffPower="NaN" Colour="red"/>
+            <Sprint Duration="10"/>
+            <FreeRide Duration="60" FlatRoad="2"><textevent message="Hi"/><note/></FreeRide>
+        </workout>
+    </workout_file>`), [
+        'Unknown element <colour> in <workout_file>',
+        '<tags> may only hold <tag name="..."/> elements',
+        '<ftpOverride> must be an FTP in whole watts, not "250.5"',
+        'Block 1 (SteadyState): Duration must be a whole number above 0, not "0"',
+        'Block 2 (Ramp): missing PowerHigh',
+        'Block 3 (SteadyState): missing power target (Power or PowerLow/PowerHigh)',
+        'Block 4 (IntervalsT): OffPower must be a power (fraction of FTP), not "NaN"',
+        'Block 4 (IntervalsT): unknown attribute Colour',
+        'Block 5 (Sprint): unknown block type',
+        'Block 6 (FreeRide): FlatRoad must be 0 or 1, not "2"',
+        'Block 6 (FreeRide): <textevent> needs a whole-second timeoffset and a message',
+        'Block 6 (FreeRide): unknown element <note>'
+    ], 'Every problem is listed with its block');
+    t.end();
+});
+
+test('ZWO Validator: the exporter refuses invalid files', t => {
+    const zwo = getExporters().zwo;
+    t.doesNotThrow(() => zwo.generate(createWorkoutModel('Valid', segments), {}), 'Valid workouts export');
+    t.throws(
+        () => zwo.generate(createWorkoutModel('Invalid', [{ type: 'SteadyState', duration: 60, power: NaN, cadence: null }]), {}),
+        /would not be valid:\nBlock 1 \(SteadyState\): Power must be a power/,
+        'Invalid workouts are reported instead of exported'
+    );
+    t.end();
+});